@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+/**
+ * WrapMeApp - Command line recommender
+ * Runs the browser app's engine (public/js/engine.js + config.js) without the browser: one case from
+ * flags, a temperature grid, or a CSV of cases, printed as text (stable, so two runs can be diffed)
+ * or JSON (the recommendation trace: requirements, adjustments and the three options)
+ *
+ * Usage: node bin/wrapme.js --temperature 3 --age elderly --gender female --activity walking
+ *        node bin/wrapme.js --grid -10..20 --age adult > before.txt
+ *        node bin/wrapme.js --csv cases.csv --format json
+ */
+
+import { readFileSync, realpathSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { getRecommendations, fitCalibration, getOutfitItems } from '../public/js/engine.js';
+import { ACTIVITY_LEVELS, ADJUSTMENTS, CALIBRATION, INFANT, ZONES } from '../public/js/config.js';
+
+const USAGE = `Usage: wrapme [options]
+
+Case:
+  -t, --temperature <°C>       Air temperature (outdoors), or room temperature for --mode indoor/sleep
+  -a, --age <category>         ${Object.keys(ADJUSTMENTS.age).join(', ')} (default adult)
+  -g, --gender <gender>        ${Object.keys(ADJUSTMENTS.gender).join(', ')} (default none - no adjustment)
+      --activity <activity>    ${Object.keys(ACTIVITY_LEVELS).join(', ')} (default waiting)
+      --duration <minutes>     Planned time outside (default none)
+      --carrier <carrier>      Infants: ${Object.keys(INFANT.carriers).join(', ')} (default pram)
+      --mode <mode>            outdoor, indoor or sleep (default outdoor)
+  Weather (outdoors, optional): --wind-speed <km/h> --wind-gusts <km/h> --humidity <%> --cloud-cover <%>
+      --solar-radiation <W/m²> --is-day <0|1> --precipitation-probability <%> --precipitation <mm>
+      --rain <mm> --snowfall <cm> --snow-depth <cm> --ground-temperature <°C>
+
+Profile and calibration:
+      --profile <file.json>    A household profile ({ ageCategory, gender, warmthAdjustment, ratings });
+                               flags override it
+      --warmth <-2..2>         Old warmth slider setting (where the calibration starts from)
+      --ratings <file.json>    "How did it feel?" ratings to fit the calibration from (see fitCalibration)
+
+Batch:
+      --grid <from>..<to>      Every temperature in the range (e.g. -10..20), other flags shared
+      --step <°C>              Grid step (default 1)
+      --csv <file.csv>         One case per row; columns are the flag names above (e.g. temperature,age,
+                               gender,activity,wind-speed) plus an optional label. Flags fill empty cells
+
+Output:
+  -f, --format <format>        text (default) or json
+  -h, --help                   Show this help`;
+
+// Flags taking a value, by long name; short aliases below
+const VALUE_FLAGS = [
+  'temperature', 'age', 'gender', 'activity', 'duration', 'carrier', 'mode',
+  'wind-speed', 'wind-gusts', 'humidity', 'cloud-cover', 'solar-radiation', 'is-day',
+  'precipitation-probability', 'precipitation', 'rain', 'snowfall', 'snow-depth', 'ground-temperature',
+  'profile', 'warmth', 'ratings', 'grid', 'step', 'csv', 'format'
+];
+const SHORT_FLAGS = { t: 'temperature', a: 'age', g: 'gender', f: 'format', h: 'help' };
+
+// Case fields that go into the weather observation (camelCase, as normalizeObservation takes them)
+const OBSERVATION_FIELDS = [
+  'wind-speed', 'wind-gusts', 'humidity', 'cloud-cover', 'solar-radiation', 'is-day',
+  'precipitation-probability', 'precipitation', 'rain', 'snowfall', 'snow-depth', 'ground-temperature'
+];
+
+// Fields a CSV row may set (everything that describes one case)
+const CASE_FIELDS = ['label', 'temperature', 'age', 'gender', 'activity', 'duration', 'carrier', 'mode', 'warmth', ...OBSERVATION_FIELDS];
+
+const MODES = ['outdoor', 'indoor', 'sleep'];
+
+export class UsageError extends Error {}
+
+/**
+ * Flags from argv: { name: value } (long names), --name=value and --name value both work;
+ * values may start with a dash (negative temperatures)
+ */
+export function parseFlags(args) {
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const match = /^--([a-z-]+)(?:=(.*))?$/.exec(arg) || /^-([a-z])$/.exec(arg);
+    if (!match) throw new UsageError(`Unexpected argument: ${arg}`);
+
+    const name = arg.startsWith('--') ? match[1] : SHORT_FLAGS[match[1]];
+    if (name === 'help') {
+      flags.help = true;
+      continue;
+    }
+    if (!VALUE_FLAGS.includes(name)) throw new UsageError(`Unknown option: ${arg}`);
+
+    const value = match[2] !== undefined ? match[2] : args[++i];
+    if (value === undefined) throw new UsageError(`Missing value for ${arg}`);
+    flags[name] = value;
+  }
+  return flags;
+}
+
+/**
+ * Rows of a CSV file as { column: value } (header row first; quoted fields, # comment lines)
+ * Empty cells are left out so flags can fill them
+ */
+export function parseCsv(text) {
+  const rows = [];
+  for (const line of text.split(/\r?\n/)) {
+    if (line.trim() === '' || line.trim().startsWith('#')) continue;
+
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted && char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = !quoted;
+      } else if (char === ',' && !quoted) {
+        cells.push(cell.trim());
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    cells.push(cell.trim());
+    rows.push(cells);
+  }
+
+  const [header = [], ...body] = rows;
+  const columns = header.map(column => column.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`));
+  const unknown = columns.filter(column => !CASE_FIELDS.includes(column));
+  if (unknown.length > 0) throw new UsageError(`Unknown CSV column(s): ${unknown.join(', ')}`);
+
+  return body.map(cells => Object.fromEntries(
+    columns.map((column, index) => [column, cells[index]]).filter(([, value]) => value !== undefined && value !== '')
+  ));
+}
+
+function readJson(file, what) {
+  try {
+    return JSON.parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new UsageError(`Could not read ${what} from ${file}: ${error.message}`);
+  }
+}
+
+function toNumber(value, name) {
+  const number = Number(value);
+  if (value === undefined || value === '' || !Number.isFinite(number)) {
+    throw new UsageError(`${name} must be a number (got ${value === undefined ? 'nothing' : `"${value}"`})`);
+  }
+  return number;
+}
+
+function checkChoice(value, choices, name) {
+  if (value !== undefined && !choices.includes(value)) {
+    throw new UsageError(`Unknown ${name} "${value}" - one of ${choices.join(', ')}`);
+  }
+}
+
+/**
+ * Temperatures for --grid from..to (inclusive) every --step degrees
+ */
+export function getGrid(range, step) {
+  const match = /^(-?\d+(?:\.\d+)?)\.\.(-?\d+(?:\.\d+)?)$/.exec(range);
+  if (!match) throw new UsageError(`--grid must look like -10..20 (got "${range}")`);
+  const [from, to] = [Number(match[1]), Number(match[2])];
+  if (step <= 0) throw new UsageError('--step must be above 0');
+
+  const temperatures = [];
+  for (let i = 0; from + i * step <= to + 1e-9; i++) {
+    temperatures.push(Math.round((from + i * step) * 100) / 100);
+  }
+  return temperatures;
+}
+
+/**
+ * Engine arguments for one case, after checking its values
+ * calibration: the profile's ratings and slider setting, fitted the way the app does it
+ */
+export function buildCase(fields, profile) {
+  const mode = fields.mode || 'outdoor';
+  // Sleep mode is for infants whatever the profile says (as in the engine)
+  const ageCategory = mode === 'sleep' ? 'infant' : fields.age || profile.ageCategory || 'adult';
+  const gender = fields.gender || profile.gender || null;
+  checkChoice(mode, MODES, 'mode');
+  checkChoice(ageCategory, Object.keys(ADJUSTMENTS.age), 'age');
+  checkChoice(fields.activity, Object.keys(ACTIVITY_LEVELS), 'activity');
+  checkChoice(fields.carrier, Object.keys(INFANT.carriers), 'carrier');
+
+  const temperature = toNumber(fields.temperature, 'temperature');
+  const observation = { temperature };
+  for (const field of OBSERVATION_FIELDS) {
+    if (fields[field] === undefined) continue;
+    const key = field.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+    observation[key] = toNumber(fields[field], field);
+  }
+
+  const warmthAdjustment = fields.warmth !== undefined ? toNumber(fields.warmth, 'warmth') : profile.warmthAdjustment || 0;
+  const prior = { core: warmthAdjustment * CALIBRATION.sliderStep };
+  const options = { mode };
+  if (fields.activity) options.activity = fields.activity;
+  if (fields.duration !== undefined) options.duration = toNumber(fields.duration, 'duration');
+  if (fields.carrier) options.carrier = fields.carrier;
+
+  return {
+    label: fields.label || null,
+    weather: mode === 'outdoor' ? observation : temperature,
+    ageCategory,
+    gender,
+    calibration: fitCalibration(profile.ratings || [], prior),
+    options
+  };
+}
+
+/**
+ * Run one case through getRecommendations; result shaped for JSON output
+ */
+function runCase(input) {
+  const recommendations = getRecommendations(input.weather, input.ageCategory, input.gender, input.calibration, input.options);
+  const trace = recommendations.length > 0 ? recommendations[0].trace : recommendations.trace;
+  const requirements = recommendations.length > 0 ? recommendations[0].requirements : null;
+
+  return {
+    label: input.label,
+    case: { weather: input.weather, ageCategory: input.ageCategory, gender: input.gender, ...input.options },
+    feelsLike: requirements ? requirements.weather.feelsLike : null,
+    alert: requirements ? requirements.alert || null : null,
+    requirements: trace.requirements,
+    adjustments: trace.adjustments,
+    outfits: recommendations.map(combo => ({
+      items: getOutfitItems(combo).map(({ key, name, zone, clo }) => ({ key, name, zone, clo })),
+      totalCLO: Math.round(combo.totalCLO * 1000) / 1000,
+      practicalityScore: Math.round(combo.practicalityScore * 1000) / 1000,
+      shortfalls: combo.shortfalls,
+      selection: combo.selection
+    })),
+    rejections: Object.fromEntries(Object.entries(trace.rejections).map(([id, { explanation, count }]) => [id, { explanation, count }]))
+  };
+}
+
+function formatNumber(value) {
+  return (Math.round(value * 100) / 100).toFixed(2);
+}
+
+/**
+ * Plain text for one result: the case, what each zone needs, then the three outfits
+ */
+function formatText(result) {
+  const { case: input, outfits } = result;
+  const temperature = typeof input.weather === 'number' ? input.weather : input.weather.temperature;
+  const who = [input.ageCategory, input.gender, input.activity, input.carrier, input.duration && `${input.duration} min`]
+    .filter(Boolean).join(', ');
+  const feels = result.feelsLike !== null && result.feelsLike !== temperature ? ` (feels like ${formatNumber(result.feelsLike)}°C)` : '';
+  const lines = [`${result.label ? `${result.label}: ` : ''}${temperature}°C ${input.mode}${feels} - ${who}${result.alert ? ` - ${result.alert}` : ''}`];
+
+  const needs = ZONES
+    .filter(zone => result.requirements[zone].max > 0)
+    .map(zone => `${zone} ${formatNumber(result.requirements[zone].optimal)}`);
+  lines.push(`  needs (CLO): ${needs.join(', ')}`);
+
+  if (outfits.length === 0) {
+    lines.push('  no outfit found');
+    const reasons = Object.values(result.rejections).sort((a, b) => b.count - a.count).slice(0, 3);
+    for (const { explanation, count } of reasons) {
+      lines.push(`    ruled out ${count}: ${explanation}`);
+    }
+  }
+  outfits.forEach((outfit, index) => {
+    const names = outfit.items.map(item => item.name).join(', ');
+    lines.push(`  ${index + 1}. ${names} [${formatNumber(outfit.totalCLO)} CLO, score ${formatNumber(outfit.practicalityScore)}]`);
+  });
+  return lines.join('\n');
+}
+
+function main(args) {
+  const flags = parseFlags(args);
+  if (flags.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const format = flags.format || 'text';
+  checkChoice(format, ['text', 'json'], 'format');
+
+  const profile = flags.profile ? readJson(flags.profile, 'profile') : {};
+  if (flags.ratings) {
+    profile.ratings = readJson(flags.ratings, 'ratings');
+  }
+
+  // Case fields given as flags (shared by every row and grid temperature)
+  const shared = Object.fromEntries(Object.entries(flags).filter(([name]) => CASE_FIELDS.includes(name)));
+
+  let rows;
+  if (flags.csv) {
+    let text;
+    try {
+      text = readFileSync(flags.csv, 'utf8');
+    } catch (error) {
+      throw new UsageError(`Could not read cases from ${flags.csv}: ${error.message}`);
+    }
+    rows = parseCsv(text).map(row => ({ ...shared, ...row }));
+  } else if (flags.grid) {
+    const step = flags.step !== undefined ? toNumber(flags.step, 'step') : 1;
+    rows = getGrid(flags.grid, step).map(temperature => ({ ...shared, temperature: String(temperature) }));
+  } else {
+    rows = [shared];
+  }
+
+  const results = rows.map(row => runCase(buildCase(row, profile)));
+  const batch = Boolean(flags.csv || flags.grid);
+
+  if (format === 'json') {
+    console.log(JSON.stringify(batch ? results : results[0], null, 2));
+  } else {
+    console.log(results.map(formatText).join('\n\n'));
+  }
+}
+
+// Run as a command, not when the tests import the parsers (npm's bin link resolves to this file)
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  try {
+    main(process.argv.slice(2));
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(`wrapme: ${error.message}`);
+    console.error('Run with --help for usage.');
+    process.exitCode = 2;
+  }
+}
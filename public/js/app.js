@@ -1,7 +1,33 @@
 /**
- * WrapMeApp - Main Application v1.9.2
+ * WrapMeApp - Main Application v1.33.2
  * Clean, modular design using CLO-guided calculation engine
  *
+ * v1.33.2: Shortfalls where your ratings ask for more warmth than any item gives say so, not that your wardrobe falls short
+ * v1.33.1: The outing waiting to be rated is taken when an outfit is chosen, not each time the results are drawn
+ * v1.33.0: "Why this outfit" counts how differently the options feel (bulk, wind) among what makes them different
+ * v1.32.0: Rated outings count warmth a garment gives another zone (a roll neck towards the neck)
+ * v1.31.0: Undo/redo for swaps, kept on / left out items, option switches and ratings, and back to the original suggestion
+ * v1.30.0: Keep an item on or leave it out ("no hat today") and the whole outfit is worked out again around it
+ * v1.29.0: All three outfit options on the results screen (label, item count, warmth bar), kept while swapping and rating
+ * v1.28.0: Own clothes can be described (garment, length, fabric, thickness, fit) for an estimated warmth instead of a level
+ * v1.27.0: Your own clothes - add custom items (name, type, warmth, optional photo) on the wardrobe screen; item names escaped
+ * v1.26.0: "Why this outfit?" panel - what each zone needs and each item gives, adjustments applied, why options 2 and 3
+ * v1.25.0: Layering rules read from config - a vest is no longer suggested as the only top
+ * v1.24.0: Outfit search is exact (best outfits first, same result every time) - no more empty results in the cold
+ * v1.23.0: "How did it feel?" ratings after an outing replace the warmth slider - learned calibration per person
+ * v1.22.0: Household profiles (name, age, gender, own warmth calibration and wardrobe), family results side by side
+ * v1.21.0: Trip packing list screen (destination + dates -> fewest items covering every day, outfit per day)
+ * v1.20.0: Day planner - hourly forecast for the time away from home, outfit for the coldest hour with layer changes
+ * v1.19.0: At home mode (room temperature, sitting) with wraps, lap blanket and slippers, below-18°C room warning
+ * v1.18.0: Bedtime mode for infants (nursery temperature -> sleepwear + TOG sleeping bag), safe sleep notice
+ * v1.17.0: Infant carrier picker (pram, car seat, sling) instead of activity, carrier advice on results
+ * v1.16.0: Footwear section on results, snow depth + ground temperature fetched, frost/snow underfoot notice
+ * v1.15.0: Legs section on results (trousers, leggings, overtrousers), legs in wardrobe and shortfalls
+ * v1.14.0: Wardrobe screen (owned items + quantities, saved locally), shortfall notice when owned clothes fall short
+ * v1.13.0: "How long will you be outside" picker, safe exposure warning with warm-up countdown
+ * v1.12.0: Activity picker on temperature screen (MET-based requirements), saved with preferences
+ * v1.11.0: Precipitation (probability, amount, snowfall) fetched, rain/snow notice on results
+ * v1.10.0: Full weather observation (wind, gusts, humidity, sun) passed to engine, wind/cold breakdown on results
  * v1.9.2: Redesigned weather button - compact inline "Enter" button
  * v1.9.1: Added change location button for easy location switching
  * v1.9.0: Comprehensive UX/UI improvements - responsive, accessible, dark mode
@@ -16,17 +42,38 @@
  * v1.7.0: Address input, geocoding, weather API integration
  */
 
-import { getRecommendations, findSubstitutes, replaceItem } from './engine.js?v=1.8.4';
+import { getRecommendations, getDayRecommendations, planLayerChanges, getPackingList, fitCalibration, findSubstitutes, getEffectiveTemperature, getOutfitItems, getOutfitBreakdown, estimateClo } from './engine.js?v=1.33.2';
+import { ACTIVITY_LEVELS, CLOTHING_ITEMS, INFANT, INDOOR, CALIBRATION, CUSTOM_ITEMS, CLO_ESTIMATION } from './config.js';
 
 // Application state
 const state = {
     age: null,
     ageCategory: null,
     gender: null,
+    activity: 'waiting', // Key from ACTIVITY_LEVELS
+    carrier: 'pram', // Infants: key from INFANT.carriers
+    mode: 'outdoor', // 'outdoor', 'indoor' (at home) or 'sleep' (infants at bedtime)
+    roomTemperature: 18, // Room temperature for indoor and sleep modes
+    duration: 30, // Planned minutes outside
+    exposureTimerEnd: null, // Timestamp when the warm-up countdown finishes
+    exposureTimerId: null,
+    profiles: [], // Household: [{ id, name, age, ageCategory, gender, warmthAdjustment, ratings, lastOuting }]
+    activeProfileId: 'me', // Whose outfit (and wardrobe) is being worked out
+    wardrobes: {}, // { member: { enabled, items: { itemKey: quantity }, custom: [own clothes, see getCustomItem] } }
     temperature: 10,
+    weather: null, // Full observation from Open-Meteo (null = manual temperature)
+    hourlyForecast: null, // Hourly observations from Open-Meteo ({ time: 'YYYY-MM-DDTHH:MM', ... })
+    dayPlan: { enabled: false, start: '07:30', end: '18:00' }, // Day planner: time away from home
     location: null,
     currentRecommendation: null,
-    warmthAdjustment: 0 // -1 = cooler, 0 = normal, +1 = warmer
+    recommendations: [], // All options from the engine (the "why this outfit" panel compares them)
+    selectedOption: 0, // Index into recommendations shown on the results screen (kept across swaps and ratings)
+    locks: { pinned: [], banned: [] }, // Items ({ key, name }) the user is keeping on or leaving out today
+    history: { entries: [], index: -1, original: null }, // Results screen edits for undo/redo (see recordHistory)
+    warmthAdjustment: 0, // Old -2..+2 slider setting - where the learned calibration starts from
+    ratings: [], // "How did it feel?" ratings after outings (see fitCalibration)
+    lastOuting: null, // Last outfit shown for going out, waiting to be rated
+    outingRated: false // Rated the outfit on the results screen
 };
 
 // Initialize app
@@ -41,8 +88,15 @@ function initializeApp() {
 
     if (tempSlider) {
         tempSlider.addEventListener('input', (e) => {
+            if (state.mode !== 'outdoor') {
+                state.roomTemperature = parseFloat(e.target.value);
+                tempValue.textContent = state.roomTemperature;
+                return;
+            }
             state.temperature = parseFloat(e.target.value);
+            state.weather = null; // Manual temperature overrides fetched weather
             tempValue.textContent = state.temperature;
+            updateDayPlanSection();
         });
     }
 
@@ -51,6 +105,8 @@ function initializeApp() {
     // Load saved preferences
     loadPreferences();
     loadWarmthPreference();
+    loadProfiles();
+    loadWardrobes();
 }
 
 function attachEventListeners() {
@@ -70,6 +126,63 @@ function attachEventListeners() {
         });
     });
 
+    // Activity selection
+    document.querySelectorAll('[data-activity]').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            setActivity(e.currentTarget.dataset.activity);
+        });
+    });
+
+    // Going out / at home / bedtime (infants)
+    document.querySelectorAll('[data-mode]').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            setMode(e.currentTarget.dataset.mode);
+        });
+    });
+
+    // Carrier selection (infants)
+    document.querySelectorAll('[data-carrier]').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            setCarrier(e.currentTarget.dataset.carrier);
+        });
+    });
+
+    // Duration selection
+    document.querySelectorAll('[data-duration]').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            setDuration(parseInt(e.currentTarget.dataset.duration, 10));
+        });
+    });
+
+    // Wardrobe screen
+    document.getElementById('wardrobeBtn')?.addEventListener('click', openWardrobe);
+    document.getElementById('wardrobeDoneBtn')?.addEventListener('click', closeWardrobe);
+    document.getElementById('wardrobeEnabled')?.addEventListener('change', (e) => {
+        getWardrobe().enabled = e.target.checked;
+        saveWardrobes();
+    });
+    for (const id of ['customItemGroup', 'customItemLayer', 'customItemType', 'customItemLength', 'customItemFabric', 'customItemThickness', 'customItemFit']) {
+        document.getElementById(id)?.addEventListener('change', updateCustomItemForm);
+    }
+    document.getElementById('customItemEstimate')?.addEventListener('toggle', updateCustomItemForm);
+    document.getElementById('addCustomItemBtn')?.addEventListener('click', addCustomItem);
+
+    // Household profiles and family results
+    document.getElementById('addProfileBtn')?.addEventListener('click', addProfile);
+    document.getElementById('newProfileName')?.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') addProfile();
+    });
+    document.getElementById('profilesBackBtn')?.addEventListener('click', () => {
+        showScreen(isProfileComplete(state) ? 'tempScreen' : 'ageScreen');
+    });
+    document.getElementById('familyBtn')?.addEventListener('click', showFamilyResults);
+    document.getElementById('familyBackBtn')?.addEventListener('click', () => showScreen('tempScreen'));
+
+    // Trip packing list screen
+    document.getElementById('tripBtn')?.addEventListener('click', openTrip);
+    document.getElementById('tripBackBtn')?.addEventListener('click', () => showScreen('tempScreen'));
+    document.getElementById('tripPackBtn')?.addEventListener('click', makePackingList);
+
     // Continue button
     document.getElementById('continueBtn')?.addEventListener('click', getRecommendation);
 
@@ -95,6 +208,14 @@ function attachEventListeners() {
     // Change location button
     document.getElementById('changeLocationBtn')?.addEventListener('click', changeLocation);
 
+    // Day planner (hourly forecast for the time away from home)
+    document.getElementById('dayPlanBtn')?.addEventListener('click', () => {
+        state.dayPlan.enabled = !state.dayPlan.enabled;
+        updateDayPlanSection();
+    });
+    document.getElementById('dayStart')?.addEventListener('change', (e) => setDayWindow(e.target.value, state.dayPlan.end));
+    document.getElementById('dayEnd')?.addEventListener('change', (e) => setDayWindow(state.dayPlan.start, e.target.value));
+
 
     // Restart button
     document.getElementById('restartBtn')?.addEventListener('click', restart);
@@ -105,9 +226,18 @@ function attachEventListeners() {
         openSourcesModal();
     });
 
+    // Why this outfit?
+    document.getElementById('explainBtn')?.addEventListener('click', openExplanationModal);
+
+    // Undo, redo and back to the original suggestion
+    document.getElementById('undoBtn')?.addEventListener('click', undo);
+    document.getElementById('redoBtn')?.addEventListener('click', redo);
+    document.getElementById('originalBtn')?.addEventListener('click', backToOriginal);
+
     // Modal close buttons
     document.getElementById('substituteModalCloseBtn')?.addEventListener('click', closeSubstituteModal);
     document.getElementById('sourcesModalCloseBtn')?.addEventListener('click', closeSourcesModal);
+    document.getElementById('explanationModalCloseBtn')?.addEventListener('click', closeExplanationModal);
 
     // Modal backdrop clicks
     const substituteModal = document.getElementById('substituteModal');
@@ -120,6 +250,11 @@ function attachEventListeners() {
         if (e.target === sourcesModal) closeSourcesModal();
     });
 
+    const explanationModal = document.getElementById('explanationModal');
+    explanationModal?.addEventListener('click', (e) => {
+        if (e.target === explanationModal) closeExplanationModal();
+    });
+
     // Escape key to close modals
     document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape') {
@@ -131,6 +266,9 @@ function attachEventListeners() {
             if (sourcesModal?.classList.contains('active')) {
                 closeSourcesModal();
             }
+            if (document.getElementById('explanationModal')?.classList.contains('active')) {
+                closeExplanationModal();
+            }
         }
     });
 }
@@ -147,24 +285,29 @@ function loadPreferences() {
             if (prefs.age) state.age = prefs.age;
             if (prefs.ageCategory) state.ageCategory = prefs.ageCategory;
             if (prefs.gender) state.gender = prefs.gender;
-
-            // If we have complete preferences, go directly to temperature screen
-            if (prefs.ageCategory && (prefs.gender || prefs.ageCategory === 'infant' || prefs.ageCategory === 'child')) {
-                showScreen('tempScreen');
-                updateTempScreenProfile();
+            if (prefs.activity && ACTIVITY_LEVELS[prefs.activity]) state.activity = prefs.activity;
+            if (prefs.carrier && INFANT.carriers[prefs.carrier]) state.carrier = prefs.carrier;
+            if (prefs.dayStart && prefs.dayEnd) {
+                state.dayPlan.start = prefs.dayStart;
+                state.dayPlan.end = prefs.dayEnd;
             }
         }
     } catch (e) {
         console.error('Error loading preferences:', e);
     }
+
+    updateActivityButtons();
+    updateCarrierButtons();
 }
 
 function savePreferences() {
+    saveActiveProfile();
     try {
         const prefs = {
-            age: state.age,
-            ageCategory: state.ageCategory,
-            gender: state.gender
+            activity: state.activity,
+            carrier: state.carrier,
+            dayStart: state.dayPlan.start,
+            dayEnd: state.dayPlan.end
         };
         localStorage.setItem('wrapUpPreferences', JSON.stringify(prefs));
     } catch (e) {
@@ -181,34 +324,96 @@ function updateTempScreenProfile() {
         return;
     }
 
-    const ageRanges = {
-        'infant': '0-2',
-        'child': '3-12',
-        'teen': '13-17',
-        'adult': '18-64',
-        'elderly': '65-80',
-        'very-elderly': '80+'
-    };
+    // Name only once there's more than one person to tell apart
+    const profile = getActiveProfile();
+    const displayText = describeProfile(state);
+    profileText.textContent = state.profiles.length > 1 ? `${profile.name}: ${displayText}` : displayText;
+    profileDisplay?.classList.remove('hidden');
 
-    const genderDisplay = {
-        'male': 'Male',
-        'female': 'Female',
-        'any': ''
-    };
+    updateModeSections();
+}
 
-    const ageRange = ageRanges[state.ageCategory] || '18-64';
-    const gender = genderDisplay[state.gender] || '';
+/**
+ * Show the temperature screen sections that apply to the profile and mode
+ * Babies are carried (ask how, not what they'll be doing); at home and bedtime only need the room temperature
+ */
+function updateModeSections() {
+    const isInfant = state.ageCategory === 'infant';
+    if (!isInfant && state.mode === 'sleep') state.mode = 'outdoor';
+    const isSleep = state.mode === 'sleep';
+    const isRoom = state.mode !== 'outdoor';
+
+    document.querySelector('[data-mode="sleep"]')?.classList.toggle('hidden', !isInfant);
+    document.getElementById('locationSection')?.classList.toggle('hidden', isRoom);
+    document.getElementById('locationDivider')?.classList.toggle('hidden', isRoom);
+    document.getElementById('activitySection')?.classList.toggle('hidden', isInfant || isRoom);
+    document.getElementById('carrierSection')?.classList.toggle('hidden', !isInfant || isRoom);
+    document.getElementById('durationSection')?.classList.toggle('hidden', isRoom);
+    document.getElementById('wardrobeBtn')?.classList.toggle('hidden', isRoom);
+    document.getElementById('tripBtn')?.classList.toggle('hidden', isRoom);
+    updateFamilyButton();
+    updateLastOutingPrompt();
+
+    const roomTempLabel = document.getElementById('roomTempLabel');
+    if (roomTempLabel) {
+        roomTempLabel.classList.toggle('hidden', !isRoom);
+        roomTempLabel.textContent = isSleep ? 'Nursery room temperature' : 'Room temperature';
+    }
 
-    const displayText = gender ? `${gender}, ${ageRange}` : ageRange;
-    profileText.textContent = displayText;
-    profileDisplay?.classList.remove('hidden');
+    document.querySelectorAll('[data-mode]').forEach(btn => {
+        const isSelected = btn.dataset.mode === state.mode;
+        btn.classList.toggle('selected', isSelected);
+        btn.setAttribute('aria-pressed', isSelected);
+    });
+
+    // Room temperatures sit well above outdoor ones
+    const tempSlider = document.getElementById('tempSlider');
+    const tempValue = document.getElementById('tempValue');
+    if (tempSlider) {
+        tempSlider.min = isSleep ? 12 : isRoom ? 10 : -10;
+        tempSlider.max = isSleep ? 30 : isRoom ? 26 : 20;
+        tempSlider.value = isRoom ? state.roomTemperature : state.temperature;
+        tempSlider.setAttribute('aria-label', isSleep ? 'Nursery room temperature' : isRoom ? 'Room temperature' : 'Temperature');
+    }
+    if (tempValue) tempValue.textContent = isRoom ? state.roomTemperature : state.temperature;
+
+    updateDayPlanSection();
+}
+
+/**
+ * Day planner is offered once an hourly forecast is fetched (not for manual temperatures or indoors)
+ */
+function updateDayPlanSection() {
+    const available = Boolean(state.hourlyForecast && state.weather) && state.mode === 'outdoor';
+    document.getElementById('dayPlanSection')?.classList.toggle('hidden', !available);
+
+    const dayPlanBtn = document.getElementById('dayPlanBtn');
+    if (dayPlanBtn) {
+        dayPlanBtn.classList.toggle('selected', state.dayPlan.enabled);
+        dayPlanBtn.setAttribute('aria-pressed', state.dayPlan.enabled);
+    }
+    document.getElementById('dayWindow')?.classList.toggle('hidden', !state.dayPlan.enabled);
+
+    const dayStart = document.getElementById('dayStart');
+    const dayEnd = document.getElementById('dayEnd');
+    if (dayStart) dayStart.value = state.dayPlan.start;
+    if (dayEnd) dayEnd.value = state.dayPlan.end;
+}
+
+function setDayWindow(start, end) {
+    // Times are 'HH:MM', so they compare as strings; ignore windows that end before they start
+    if (!start || !end || end <= start) {
+        updateDayPlanSection();
+        return;
+    }
+    state.dayPlan.start = start;
+    state.dayPlan.end = end;
+    savePreferences();
 }
 
 function changeProfile() {
-    // Reset warmth adjustment when changing profile
-    state.warmthAdjustment = 0;
-    saveWarmthPreference();
-    showScreen('ageScreen');
+    // Each person keeps their own warmth calibration - pick who's getting dressed
+    openProfiles();
 }
 
 function changeTemperature() {
@@ -216,6 +421,10 @@ function changeTemperature() {
 }
 
 function changeLocation() {
+    state.weather = null;
+    state.hourlyForecast = null;
+    updateDayPlanSection();
+
     // Clear the address input
     const addressInput = document.getElementById('addressInput');
     if (addressInput) {
@@ -236,6 +445,324 @@ function changeLocation() {
     }
 }
 
+// =======================
+// HOUSEHOLD PROFILES
+// =======================
+
+/**
+ * Load the household - the first time, whoever was saved before profiles becomes "Me"
+ */
+function loadProfiles() {
+    try {
+        const saved = localStorage.getItem('wrapUpProfiles');
+        if (saved) {
+            const household = JSON.parse(saved);
+            state.profiles = household.profiles || [];
+            state.activeProfileId = household.activeProfileId;
+        }
+    } catch (e) {
+        console.log('Could not load profiles');
+    }
+
+    if (state.profiles.length === 0) {
+        state.profiles = [{
+            id: 'me',
+            name: 'Me',
+            age: state.age,
+            ageCategory: state.ageCategory,
+            gender: state.gender,
+            warmthAdjustment: state.warmthAdjustment,
+            ratings: [],
+            lastOuting: null
+        }];
+        state.activeProfileId = 'me';
+    }
+
+    applyProfile(getActiveProfile());
+
+    // If we have a complete profile, go directly to temperature screen
+    if (isProfileComplete(state)) {
+        showScreen('tempScreen');
+        updateTempScreenProfile();
+    }
+}
+
+function saveProfiles() {
+    try {
+        const household = {
+            profiles: state.profiles,
+            activeProfileId: state.activeProfileId
+        };
+        localStorage.setItem('wrapUpProfiles', JSON.stringify(household));
+    } catch (e) {
+        console.log('Could not save profiles');
+    }
+}
+
+function getActiveProfile() {
+    return state.profiles.find(profile => profile.id === state.activeProfileId) || state.profiles[0];
+}
+
+function isProfileComplete(profile) {
+    return Boolean(profile.ageCategory && profile.gender);
+}
+
+/**
+ * Make a person the one being dressed (their age, gender and warmth calibration)
+ */
+function applyProfile(profile) {
+    state.activeProfileId = profile.id;
+    state.age = profile.age ?? null;
+    state.ageCategory = profile.ageCategory ?? null;
+    state.gender = profile.gender ?? null;
+    state.warmthAdjustment = profile.warmthAdjustment || 0;
+    state.ratings = profile.ratings || [];
+    state.lastOuting = profile.lastOuting || null;
+    updateWardrobeButton();
+}
+
+/**
+ * Copy age, gender and calibration back into the person being dressed
+ */
+function saveActiveProfile() {
+    const profile = getActiveProfile();
+    if (!profile) return;
+
+    profile.age = state.age;
+    profile.ageCategory = state.ageCategory;
+    profile.gender = state.gender;
+    profile.warmthAdjustment = state.warmthAdjustment;
+    profile.ratings = state.ratings;
+    profile.lastOuting = state.lastOuting;
+    saveProfiles();
+}
+
+/**
+ * "Male, 18-64" - children and babies just show their age range
+ */
+function describeProfile(profile) {
+    const ageRanges = {
+        'infant': '0-2',
+        'child': '3-12',
+        'teen': '13-17',
+        'adult': '18-64',
+        'elderly': '65-80',
+        'very-elderly': '80+'
+    };
+
+    const genderDisplay = {
+        'male': 'Male',
+        'female': 'Female',
+        'any': ''
+    };
+
+    const ageRange = ageRanges[profile.ageCategory] || '18-64';
+    const gender = genderDisplay[profile.gender] || '';
+    return gender ? `${gender}, ${ageRange}` : ageRange;
+}
+
+/**
+ * Names are typed in by the user - escape before putting them in markup
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function openProfiles() {
+    renderProfileList();
+    showScreen('profilesScreen');
+}
+
+function renderProfileList() {
+    const canRemove = state.profiles.length > 1;
+    let html = '';
+
+    for (const profile of state.profiles) {
+        const name = escapeHtml(profile.name);
+        const details = isProfileComplete(profile) ? describeProfile(profile) : 'Age not set';
+        const isActive = profile.id === state.activeProfileId;
+        html += `
+            <div class="wardrobe-item${isActive ? ' owned' : ''}">
+                <button class="profile-select-btn" data-profile-select="${profile.id}" aria-pressed="${isActive}">
+                    <span class="profile-name">${name}</span>
+                    <span class="profile-details">${details}</span>
+                </button>
+                <div class="wardrobe-quantity">
+                    <button class="quantity-btn" data-profile-edit="${profile.id}" aria-label="Change age for ${name}">✎</button>
+                    ${canRemove ? `<button class="quantity-btn" data-profile-remove="${profile.id}" aria-label="Remove ${name}">×</button>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    const list = document.getElementById('profileList');
+    list.innerHTML = html;
+
+    list.querySelectorAll('[data-profile-select]').forEach(btn => {
+        btn.addEventListener('click', (e) => selectProfile(e.currentTarget.dataset.profileSelect));
+    });
+    list.querySelectorAll('[data-profile-edit]').forEach(btn => {
+        btn.addEventListener('click', (e) => editProfile(e.currentTarget.dataset.profileEdit));
+    });
+    list.querySelectorAll('[data-profile-remove]').forEach(btn => {
+        btn.addEventListener('click', (e) => removeProfile(e.currentTarget.dataset.profileRemove));
+    });
+}
+
+function selectProfile(profileId) {
+    const profile = state.profiles.find(p => p.id === profileId);
+    if (!profile) return;
+
+    if (!isProfileComplete(profile)) {
+        editProfile(profileId);
+        return;
+    }
+
+    applyProfile(profile);
+    saveProfiles();
+    state.locks = { pinned: [], banned: [] }; // Someone else's clothes
+    showScreen('tempScreen');
+    updateTempScreenProfile();
+}
+
+/**
+ * Ask a person's age (and gender) again
+ */
+function editProfile(profileId) {
+    const profile = state.profiles.find(p => p.id === profileId);
+    if (!profile) return;
+
+    applyProfile(profile);
+    saveProfiles();
+    updateAgeQuestion();
+    document.querySelectorAll('[data-age], [data-gender]').forEach(btn => btn.classList.remove('selected'));
+    showScreen('ageScreen');
+}
+
+function updateAgeQuestion() {
+    const profile = getActiveProfile();
+    const question = document.querySelector('#ageScreen .question');
+    if (!question || !profile) return;
+    question.textContent = profile.id === 'me' ? 'How old are you?' : `How old is ${profile.name}?`;
+}
+
+function addProfile() {
+    const input = document.getElementById('newProfileName');
+    const name = input.value.trim();
+
+    if (!name) {
+        alert('Please enter a name');
+        return;
+    }
+
+    const profile = {
+        id: `p${Date.now()}`,
+        name,
+        age: null,
+        ageCategory: null,
+        gender: null,
+        warmthAdjustment: 0,
+        ratings: [],
+        lastOuting: null
+    };
+    state.profiles.push(profile);
+    input.value = '';
+    editProfile(profile.id);
+}
+
+function removeProfile(profileId) {
+    const profile = state.profiles.find(p => p.id === profileId);
+    if (!profile || state.profiles.length <= 1) return;
+    if (!confirm(`Remove ${profile.name}?`)) return;
+
+    state.profiles = state.profiles.filter(p => p.id !== profileId);
+    delete state.wardrobes[profileId];
+    saveWardrobes();
+
+    if (state.activeProfileId === profileId) {
+        applyProfile(state.profiles[0]);
+    }
+    saveProfiles();
+    renderProfileList();
+}
+
+/**
+ * Family results need at least two people with an age set (bedtime is for one baby)
+ */
+function updateFamilyButton() {
+    const familyCount = state.profiles.filter(isProfileComplete).length;
+    document.getElementById('familyBtn')?.classList.toggle('hidden', familyCount < 2 || state.mode === 'sleep');
+}
+
+/**
+ * Everyone in the household at the same place and temperature, outfits side by side
+ */
+function showFamilyResults() {
+    const mode = state.mode === 'indoor' ? 'indoor' : 'outdoor';
+    const weatherInput = mode === 'indoor' ? state.roomTemperature : (state.weather || state.temperature);
+
+    const results = state.profiles.filter(isProfileComplete).map(profile => {
+        const options = { ...getRecommendationOptions(profile), mode };
+        const recommendations = getRecommendations(
+            weatherInput,
+            profile.ageCategory,
+            profile.gender,
+            getCalibration(profile),
+            options
+        );
+        return { profile, recommendation: recommendations[0] || null };
+    });
+
+    displayFamilyResults(results, mode);
+    showScreen('familyScreen');
+}
+
+function displayFamilyResults(results, mode) {
+    const title = document.getElementById('familyTitle');
+    if (title) {
+        title.textContent = mode === 'indoor'
+            ? `Everyone at home, ${Math.round(state.roomTemperature)}°C`
+            : `Everyone outside, ${Math.round(state.temperature)}°C`;
+    }
+
+    let html = '';
+    for (const { profile, recommendation } of results) {
+        html += '<div class="family-card">';
+        html += `<h3 class="layer-heading">${escapeHtml(profile.name)}</h3>`;
+        html += `<div class="family-details">${describeProfile(profile)}</div>`;
+
+        if (!recommendation) {
+            html += '<p class="family-details">No suitable outfit found</p>';
+        } else {
+            const alert = ALERT_LEVELS[recommendation.requirements.alert] || ALERT_LEVELS['yellow'];
+            html += `<div class="alert-level ${alert.class}">${alert.text}</div>`;
+            html += '<ul class="item-list">';
+            for (const item of getOutfitItems(recommendation)) {
+                html += `<li>${escapeHtml(item.name)}</li>`;
+            }
+            html += '</ul>';
+        }
+
+        html += `<button class="wardrobe-link-btn" data-family-open="${profile.id}">See ${escapeHtml(profile.name)}'s outfit</button>`;
+        html += '</div>';
+    }
+
+    const container = document.getElementById('familyResults');
+    container.innerHTML = html;
+
+    container.querySelectorAll('[data-family-open]').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            selectProfile(e.currentTarget.dataset.familyOpen);
+            getRecommendation();
+        });
+    });
+}
+
 // =======================
 // NAVIGATION
 // =======================
@@ -251,10 +778,6 @@ function setAge(category, event) {
     state.ageCategory = category;
     state.age = ages[category];
 
-    // Reset warmth adjustment when changing age
-    state.warmthAdjustment = 0;
-    saveWarmthPreference();
-
     if (event && event.target) {
         selectButton(event.target);
     }
@@ -276,10 +799,6 @@ function setAge(category, event) {
 function setGender(gender, event) {
     state.gender = gender;
 
-    // Reset warmth adjustment when changing gender
-    state.warmthAdjustment = 0;
-    saveWarmthPreference();
-
     if (event && event.target) {
         selectButton(event.target);
     }
@@ -292,6 +811,50 @@ function setGender(gender, event) {
     }, 200);
 }
 
+function setActivity(activity) {
+    if (!ACTIVITY_LEVELS[activity]) return;
+    state.activity = activity;
+    updateActivityButtons();
+    savePreferences();
+}
+
+function updateActivityButtons() {
+    document.querySelectorAll('[data-activity]').forEach(btn => {
+        const isSelected = btn.dataset.activity === state.activity;
+        btn.classList.toggle('selected', isSelected);
+        btn.setAttribute('aria-pressed', isSelected);
+    });
+}
+
+function setMode(mode) {
+    state.mode = ['indoor', 'sleep'].includes(mode) ? mode : 'outdoor';
+    updateModeSections();
+}
+
+function setCarrier(carrier) {
+    if (!INFANT.carriers[carrier]) return;
+    state.carrier = carrier;
+    updateCarrierButtons();
+    savePreferences();
+}
+
+function updateCarrierButtons() {
+    document.querySelectorAll('[data-carrier]').forEach(btn => {
+        const isSelected = btn.dataset.carrier === state.carrier;
+        btn.classList.toggle('selected', isSelected);
+        btn.setAttribute('aria-pressed', isSelected);
+    });
+}
+
+function setDuration(minutes) {
+    state.duration = minutes;
+    document.querySelectorAll('[data-duration]').forEach(btn => {
+        const isSelected = parseInt(btn.dataset.duration, 10) === minutes;
+        btn.classList.toggle('selected', isSelected);
+        btn.setAttribute('aria-pressed', isSelected);
+    });
+}
+
 function selectButton(button) {
     const siblings = button.parentElement.querySelectorAll('.option');
     siblings.forEach(btn => btn.classList.remove('selected'));
@@ -308,7 +871,15 @@ function restart() {
     state.ageCategory = null;
     state.gender = null;
     state.temperature = 10;
+    state.weather = null;
+    state.mode = 'outdoor';
     state.currentRecommendation = null;
+    state.recommendations = [];
+    state.selectedOption = 0;
+    state.locks = { pinned: [], banned: [] };
+    state.history = { entries: [], index: -1, original: null };
+    stopExposureCountdown();
+    setDuration(30);
 
     const tempSlider = document.getElementById('tempSlider');
     const tempValue = document.getElementById('tempValue');
@@ -316,6 +887,7 @@ function restart() {
     if (tempSlider) tempSlider.value = 10;
     if (tempValue) tempValue.textContent = 10;
 
+    updateAgeQuestion();
     showScreen('ageScreen');
 }
 
@@ -338,33 +910,18 @@ async function getWeatherFromAddress() {
     btn.disabled = true;
 
     try {
-        // 1. Geocode the address using Nominatim (OpenStreetMap)
-        const geocodeUrl = `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(address)}&limit=1`;
-        const geocodeResponse = await fetch(geocodeUrl, {
-            headers: {
-                'User-Agent': 'WrapUp-ClothingApp/1.0'
-            }
-        });
-
-        if (!geocodeResponse.ok) {
-            throw new Error('Failed to geocode address');
-        }
-
-        const geocodeData = await geocodeResponse.json();
+        // 1. Geocode the address
+        const location = await geocodeAddress(address);
 
-        if (geocodeData.length === 0) {
+        if (!location) {
             alert('Address not found. Please try a different address or postcode.');
             btn.textContent = originalText;
             btn.disabled = false;
             return;
         }
 
-        const location = geocodeData[0];
-        const lat = parseFloat(location.lat);
-        const lon = parseFloat(location.lon);
-
         // 2. Get weather data
-        await getWeatherFromCoordinates(lat, lon, location.display_name);
+        await getWeatherFromCoordinates(location.lat, location.lon, location.name);
 
     } catch (error) {
         console.error('Error fetching weather:', error);
@@ -375,6 +932,33 @@ async function getWeatherFromAddress() {
     }
 }
 
+/**
+ * Geocode an address or postcode using Nominatim (OpenStreetMap)
+ * Returns { lat, lon, name }, or null when nothing matches
+ */
+async function geocodeAddress(address) {
+    const geocodeUrl = `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(address)}&limit=1`;
+    const geocodeResponse = await fetch(geocodeUrl, {
+        headers: {
+            'User-Agent': 'WrapUp-ClothingApp/1.0'
+        }
+    });
+
+    if (!geocodeResponse.ok) {
+        throw new Error('Failed to geocode address');
+    }
+
+    const geocodeData = await geocodeResponse.json();
+    if (geocodeData.length === 0) return null;
+
+    const location = geocodeData[0];
+    return {
+        lat: parseFloat(location.lat),
+        lon: parseFloat(location.lon),
+        name: location.display_name
+    };
+}
+
 async function useCurrentLocation() {
     if (!navigator.geolocation) {
         alert('Geolocation is not supported by your browser. Please enter your address manually.');
@@ -478,10 +1062,30 @@ async function useCurrentLocation() {
     );
 }
 
+// Open-Meteo fields read by toObservation
+// Wind in km/h (default), humidity/cloud/probability in %, radiation in W/m²,
+// precipitation/rain in mm, snowfall in cm, snow depth in m, soil temperature in °C
+const OPEN_METEO_FIELDS = [
+    'temperature_2m',
+    'relative_humidity_2m',
+    'wind_speed_10m',
+    'wind_gusts_10m',
+    'cloud_cover',
+    'shortwave_radiation',
+    'is_day',
+    'precipitation_probability',
+    'precipitation',
+    'rain',
+    'snowfall',
+    'snow_depth',
+    'soil_temperature_0cm'
+].join(',');
+
 async function getWeatherFromCoordinates(lat, lon, locationName) {
     try {
         // Use Open-Meteo API (free, no API key required)
-        const weatherUrl = `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&current=temperature_2m,apparent_temperature&timezone=auto`;
+        // Same fields hourly for the day planner (today and tomorrow, in local time)
+        const weatherUrl = `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&current=${OPEN_METEO_FIELDS}&hourly=${OPEN_METEO_FIELDS}&forecast_days=2&timezone=auto`;
 
         const weatherResponse = await fetch(weatherUrl);
 
@@ -490,12 +1094,23 @@ async function getWeatherFromCoordinates(lat, lon, locationName) {
         }
 
         const weatherData = await weatherResponse.json();
-        const actualTemp = Math.round(weatherData.current.temperature_2m);
-        const feelsLike = Math.round(weatherData.current.apparent_temperature);
+
+        // Pass the full observation to the engine - it does its own wind chill / humidity correction
+        const observation = toObservation(field => weatherData.current[field]);
+        const hourly = weatherData.hourly;
+        state.hourlyForecast = hourly && hourly.time
+            ? hourly.time.map((time, index) => ({ time, ...toObservation(field => hourly[field][index]) }))
+            : null;
+
+        const actualTemp = Math.round(observation.temperature);
+        const feelsLike = Math.round(getEffectiveTemperature(observation).temperature);
+        const windSpeed = Math.round(observation.windSpeed || 0);
 
         // Update state and UI with feels-like temperature
         state.temperature = feelsLike;
+        state.weather = observation;
         state.location = locationName;
+        updateDayPlanSection();
 
         const tempSlider = document.getElementById('tempSlider');
         const tempValue = document.getElementById('tempValue');
@@ -522,7 +1137,7 @@ async function getWeatherFromCoordinates(lat, lon, locationName) {
         const changeLocationBtn = document.getElementById('changeLocationBtn');
 
         if (weatherResult && weatherText) {
-            weatherText.textContent = `${actualTemp}°C (feels like ${feelsLike}°C)`;
+            weatherText.textContent = `${actualTemp}°C (feels like ${feelsLike}°C, wind ${windSpeed} km/h)`;
             weatherResult.classList.remove('hidden');
 
             // Show change location button
@@ -536,35 +1151,128 @@ async function getWeatherFromCoordinates(lat, lon, locationName) {
     }
 }
 
+/**
+ * Engine observation from Open-Meteo fields (read(field) gives the current or one hour's value)
+ */
+function toObservation(read) {
+    const snowDepth = read('snow_depth');
+    return {
+        temperature: read('temperature_2m'),
+        windSpeed: read('wind_speed_10m'),
+        windGusts: read('wind_gusts_10m'),
+        humidity: read('relative_humidity_2m'),
+        cloudCover: read('cloud_cover'),
+        solarRadiation: read('shortwave_radiation'),
+        isDay: read('is_day'),
+        precipitationProbability: read('precipitation_probability'),
+        precipitation: read('precipitation'),
+        rain: read('rain'),
+        snowfall: read('snowfall'),
+        snowDepth: snowDepth != null ? snowDepth * 100 : undefined,  // m -> cm
+        groundTemperature: read('soil_temperature_0cm') ?? undefined
+    };
+}
+
 // =======================
 // RECOMMENDATIONS ENGINE
 // =======================
 
-async function getRecommendation() {
-    showScreen('loadingScreen');
+/**
+ * Weather input for the engine: full observation when fetched, otherwise manual temperature
+ */
+function getWeatherInput() {
+    if (state.mode !== 'outdoor') return state.roomTemperature;
+    return state.weather || state.temperature;
+}
 
-    try {
-        // Get recommendations from engine
-        const recommendations = getRecommendations(
-            state.temperature,
+/**
+ * Engine options for a person (default: the one being dressed)
+ */
+function getRecommendationOptions(profile = { id: state.activeProfileId, ageCategory: state.ageCategory }) {
+    const isInfant = profile.ageCategory === 'infant';
+    return {
+        mode: state.mode,
+        activity: isInfant ? 'waiting' : state.activity,
+        carrier: isInfant ? state.carrier : undefined,
+        duration: state.duration,
+        wardrobe: getActiveWardrobeItems(profile.id),
+        customItems: getCustomItems(profile.id)
+    };
+}
+
+function isDayPlanActive() {
+    return state.dayPlan.enabled && state.mode === 'outdoor' && Boolean(state.weather) && getDayForecast().length > 0;
+}
+
+/**
+ * Forecast hours covering the time away from home, with times as 'HH:MM'
+ * Uses today, or tomorrow once today's window is over (browser clock, close enough for the UK)
+ */
+function getDayForecast() {
+    if (!state.hourlyForecast) return [];
+
+    const { start, end } = state.dayPlan;
+    const days = [...new Set(state.hourlyForecast.map(hour => hour.time.slice(0, 10)))];
+    const now = new Date();
+    const nowTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+    const day = nowTime > end && days[1] ? days[1] : days[0];
+    const firstHour = `${start.slice(0, 2)}:00`;
+
+    return state.hourlyForecast
+        .filter(hour => hour.time.startsWith(day))
+        .map(hour => ({ ...hour, time: hour.time.slice(11, 16) }))
+        .filter(hour => hour.time >= firstHour && hour.time <= end);
+}
+
+/**
+ * Ranked outfits from the engine - for the whole day out when the day planner is on
+ */
+function getRecommendationList() {
+    // Built around what the user is keeping on or leaving out
+    const options = { ...getRecommendationOptions(), locks: getLockKeys() };
+    if (isDayPlanActive()) {
+        return getDayRecommendations(
+            getDayForecast(),
             state.ageCategory,
             state.gender,
-            state.warmthAdjustment
+            getCalibration(),
+            options
         );
+    }
+    return getRecommendations(
+        getWeatherInput(),
+        state.ageCategory,
+        state.gender,
+        getCalibration(),
+        options
+    );
+}
+
+async function getRecommendation() {
+    showScreen('loadingScreen');
+    state.outingRated = false;
+
+    try {
+        // Get recommendations from engine
+        const recommendations = getRecommendationList();
 
         // Check if we got any recommendations
         if (!recommendations || recommendations.length === 0) {
-            console.error('No valid recommendations found');
+            console.error('No valid recommendations found', recommendations && recommendations.trace);
             alert('Unable to generate recommendations for these conditions. Please try a different temperature.');
             showScreen('tempScreen');
             return;
         }
 
-        // Use the best recommendation (first one)
+        // Start on the best recommendation (first one)
+        state.recommendations = recommendations;
+        state.selectedOption = 0;
         state.currentRecommendation = recommendations[0];
+        rememberOuting();
 
-        // Display recommendation
+        // Display recommendation - it's the original that undo and "back to original" return to
         displayRecommendation(state.currentRecommendation);
+        resetHistory();
     } catch (error) {
         console.error('Recommendation Error:', error);
         alert('Error generating recommendations. Please try again.');
@@ -576,19 +1284,24 @@ async function getRecommendation() {
 // DISPLAY RESULTS
 // =======================
 
+const ALERT_LEVELS = {
+    'green': { text: 'Low Risk', class: 'alert-green' },
+    'yellow': { text: 'Moderate Risk', class: 'alert-yellow' },
+    'amber': { text: 'High Risk', class: 'alert-amber' },
+    'red': { text: 'Severe Risk', class: 'alert-red' }
+};
+
 function displayRecommendation(recommendation) {
     // Update temperature and alert
-    document.getElementById('resultTemp').textContent = Math.round(state.temperature);
+    const mode = recommendation.requirements.mode;
+    const isSleep = mode === 'sleep';
+    const isRoom = mode === 'sleep' || mode === 'indoor';
+    const dayPlan = planLayerChanges(recommendation);
+    const resultTemp = isRoom ? state.roomTemperature : dayPlan ? dayPlan.coldest.feelsLike : state.temperature;
+    document.getElementById('resultTemp').textContent = Math.round(resultTemp);
 
     const alertLevel = document.getElementById('alertLevel');
-    const alertMap = {
-        'green': { text: 'Low Risk', class: 'alert-green' },
-        'yellow': { text: 'Moderate Risk', class: 'alert-yellow' },
-        'amber': { text: 'High Risk', class: 'alert-amber' },
-        'red': { text: 'Severe Risk', class: 'alert-red' }
-    };
-
-    const alert = alertMap[recommendation.requirements.alert] || alertMap['yellow'];
+    const alert = ALERT_LEVELS[recommendation.requirements.alert] || ALERT_LEVELS['yellow'];
     alertLevel.textContent = alert.text;
     alertLevel.className = 'alert-level ' + alert.class;
 
@@ -598,8 +1311,20 @@ function displayRecommendation(recommendation) {
     // Build recommendations by zone
     let textHtml = '';
 
+    // Nursery too warm or too cold, and safe sleep reminders
+    if (isSleep) {
+        textHtml += generateSleepNotice(recommendation.requirements);
+    }
+
+    // Room below UKHSA's 18°C, and tips for keeping warm at home
+    if (mode === 'indoor') {
+        textHtml += generateIndoorNotice(recommendation.requirements);
+    }
+
     // Warning for sub-zero temperatures
-    if (state.temperature <= -10) {
+    if (isRoom) {
+        // Indoors - no outdoor cold warnings
+    } else if (state.temperature <= -10) {
         textHtml += '<div class="warning warning-extreme">';
         textHtml += '<div class="warning-title">⚠️ Extreme Cold Warning</div>';
         textHtml += `<div class="warning-text"><strong>Get inside immediately!</strong> At this temperature, frostbite can occur within minutes. No amount of clothing makes extended outdoor exposure safe.</div>`;
@@ -611,6 +1336,30 @@ function displayRecommendation(recommendation) {
         textHtml += '</div>';
     }
 
+    // Owned clothes can't fully meet the requirement
+    textHtml += generateShortfallNotice(recommendation.shortfalls);
+
+    // Planned time outside exceeds the safe limit
+    textHtml += generateExposureWarning(recommendation.requirements.exposure);
+
+    // Layers to take off and put back on through the day
+    textHtml += generateDayPlanNotice(dayPlan);
+
+    // How much of the outfit is for the wind vs the cold
+    textHtml += generateWeatherBreakdown(recommendation.requirements);
+
+    // Rain, sleet or snow
+    textHtml += generatePrecipitationNotice(recommendation);
+
+    // Frost or snow underfoot
+    textHtml += generateGroundNotice(recommendation);
+
+    // Car seat / sling safety for babies
+    textHtml += generateCarrierNotice(recommendation.requirements.carrier);
+
+    // Items kept on or left out, each removable
+    textHtml += generateLocksNotice();
+
     // Core layers
     if (recommendation.core.length > 0) {
         const coreByCategory = {
@@ -630,7 +1379,7 @@ function displayRecommendation(recommendation) {
             textHtml += '<div class="layer-section">';
             textHtml += '<div class="layer-heading-wrapper">';
             textHtml += '<h3 class="layer-heading">Base Layers</h3>';
-            textHtml += '<span class="alternatives-tip">💡 click item of clothing for alternatives</span>';
+            textHtml += '<span class="alternatives-tip">💡 click an item to keep it, leave it out or swap it</span>';
             textHtml += '</div>';
             textHtml += '<ul class="item-list">';
             coreByCategory.base.forEach((item, index) => {
@@ -668,6 +1417,23 @@ function displayRecommendation(recommendation) {
         }
     }
 
+    // Legs
+    if (recommendation.legs && recommendation.legs.length > 0) {
+        // Innermost first: leggings, trousers, overtrousers
+        const layerOrder = { base: 0, mid: 1, outer: 2 };
+        const legs = [...recommendation.legs].sort((a, b) => layerOrder[a.category] - layerOrder[b.category]);
+
+        textHtml += '<div class="layer-section">';
+        textHtml += '<h3 class="layer-heading">Legs</h3>';
+        textHtml += '<ul class="item-list">';
+        legs.forEach((item, index) => {
+            const isLast = index === legs.length - 1;
+            const isFirst = index === 0;
+            textHtml += generateItemWithIcon(item, isLast, isFirst);
+        });
+        textHtml += '</ul></div>';
+    }
+
     // Accessories
     const accessories = [
         ...recommendation.head,
@@ -689,45 +1455,426 @@ function displayRecommendation(recommendation) {
         textHtml += '</div>';
     }
 
-    // Add calibration slider
-    textHtml += '<div class="warmth-calibration">';
-    textHtml += '<label class="calibration-label">Not quite right for me?</label>';
-    textHtml += '<input type="range" id="warmthSlider" class="warmth-slider" min="-2" max="2" value="' + state.warmthAdjustment + '" step="1" aria-label="Warmth calibration">';
-    textHtml += '<div class="calibration-scale">';
-    textHtml += '<span class="scale-label">Less layers</span>';
-    textHtml += '<span class="scale-label">More layers</span>';
-    textHtml += '</div>';
-    textHtml += '</div>';
+    // Footwear
+    if (recommendation.footwear && recommendation.footwear.length > 0) {
+        textHtml += '<div class="layer-section">';
+        textHtml += '<h3 class="layer-heading">Footwear</h3>';
+        textHtml += '<ul class="item-list">';
+        recommendation.footwear.forEach((item, index) => {
+            const isLast = index === recommendation.footwear.length - 1;
+            const isFirst = index === 0;
+            textHtml += generateItemWithIcon(item, isLast, isFirst);
+        });
+        textHtml += '</ul>';
+        textHtml += '</div>';
+    }
 
-    document.getElementById('recommendations').innerHTML = textHtml;
+    // Been out in it? Rate how it felt (going out only - ratings tune outdoor outfits)
+    if (!isRoom) {
+        textHtml += state.outingRated
+            ? `<div class="warmth-calibration"><p class="calibration-note">Thanks - outfits are now tuned to you from ${formatRatingCount(state.ratings.length)}.</p></div>`
+            : generateFeedbackPanel('Been out in this? How did it feel?', getCalibrationNote(recommendation.requirements));
+    }
+
+    // Switch between the three options, undo and redo
+    renderOptionTabs();
+    renderHistoryControls();
 
-    // Attach click handlers to clickable items
+    const recommendationsEl = document.getElementById('recommendations');
+    recommendationsEl.innerHTML = textHtml;
+
+    // Attach click handlers to clickable items and kept / left out chips
     attachItemClickHandlers();
+    recommendationsEl.querySelectorAll('[data-unlock-key]').forEach(chip => {
+        chip.addEventListener('click', (e) => unlockItem(e.currentTarget.dataset.unlockKey));
+    });
 
-    // Attach calibration slider handler
-    attachCalibrationSlider();
+    // Attach "how did it feel" buttons
+    attachFeedbackPanel(recommendationsEl, () => {
+        state.outingRated = true;
+        refreshRecommendations();
+        recordHistory('Rating');
+    });
+
+    // Attach warm-up countdown (only present when over the safe limit)
+    attachExposureTimer();
 
     showScreen('resultsScreen');
 }
 
-function generateItemWithIcon(item, isLast = false, isFirst = false) {
-    let imagePath = `/images/clothing/${item.file}`;
-    if (!item.file.includes('scarf')) {
-        imagePath = imagePath.replace('.png', '.svg');
+function generateShortfallNotice(shortfalls) {
+    if (!shortfalls || shortfalls.length === 0) return '';
+
+    const zoneLabels = {
+        core: 'Body',
+        legs: 'Legs',
+        head: 'Head',
+        hands: 'Hands',
+        neck: 'Neck',
+        feet: 'Feet',
+        footwear: 'Footwear'
+    };
+
+    let html = '<div class="warning">';
+    const title = shortfalls.every(shortfall => shortfall.calibrated) ? 'Warmer than anything there is' : 'Your wardrobe falls short';
+    html += `<div class="warning-title">${title}</div>`;
+    html += '<ul class="shortfall-list">';
+    shortfalls.forEach(shortfall => {
+        const label = zoneLabels[shortfall.zone] || shortfall.zone;
+        if (shortfall.type === 'waterproof') {
+            const what = shortfall.pinned ? 'the coat you\'re keeping isn\'t waterproof' : 'nothing waterproof';
+            html += `<li><strong>${label}:</strong> ${what} - you may get wet, and wet clothes lose warmth.</li>`;
+            return;
+        }
+        if (shortfall.type === 'ground') {
+            html += `<li><strong>${label}:</strong> nothing with enough grip for the ground - take care on frost, ice and snow.</li>`;
+            return;
+        }
+
+        const suggestion = suggestCatalogItem(shortfall.zone, shortfall.missing);
+        const suggestionText = suggestion ? ` A ${suggestion.name.toLowerCase()} would cover it.` : '';
+        if (shortfall.calibrated) {
+            const percent = Math.round(shortfall.missing / shortfall.required * 100);
+            html += `<li><strong>${label}:</strong> even the warmest there is falls about ${percent}% short of what your ratings ask for.</li>`;
+        } else if (shortfall.banned) {
+            const percent = Math.round(shortfall.missing / shortfall.required * 100);
+            html += `<li><strong>${label}:</strong> about ${percent}% short of the warmth needed without the items you're leaving out.</li>`;
+        } else if (shortfall.achieved === 0) {
+            html += `<li><strong>${label}:</strong> you don't own anything suitable.${suggestionText}</li>`;
+        } else {
+            const percent = Math.round(shortfall.missing / shortfall.required * 100);
+            html += `<li><strong>${label}:</strong> about ${percent}% short of the warmth needed.${suggestionText}</li>`;
+        }
+    });
+    html += '</ul></div>';
+    return html;
+}
+
+/**
+ * Smallest catalog item in a zone that covers the missing warmth (or the warmest there is)
+ */
+function suggestCatalogItem(zone, missingCLO) {
+    const zoneItems = [];
+    for (const group in CLOTHING_ITEMS) {
+        for (const key in CLOTHING_ITEMS[group]) {
+            const item = CLOTHING_ITEMS[group][key];
+            const suitsAge = state.ageCategory === 'infant' ? (item.infantOnly || item.infantSafe) : !item.infantOnly;
+            if (item.zone === zone && !item.requiresOwned && suitsAge) zoneItems.push(item);
+        }
+    }
+    if (zoneItems.length === 0) return null;
+
+    zoneItems.sort((a, b) => a.clo - b.clo);
+    return zoneItems.find(item => item.clo >= missingCLO) || zoneItems[zoneItems.length - 1];
+}
+
+function formatDuration(minutes) {
+    if (minutes < 60) return `${minutes} minutes`;
+    const hours = minutes / 60;
+    return hours === 1 ? '1 hour' : `${Number.isInteger(hours) ? hours : hours.toFixed(1)} hours`;
+}
+
+function generateExposureWarning(exposure) {
+    if (!exposure || !exposure.exceedsLimit) return '';
+
+    const limit = exposure.maxMinutes;
+    let html = '<div class="warning exposure-warning">';
+    html += '<div class="warning-title">⏱️ Longer than is safe in this cold</div>';
+    html += `<div class="warning-text">You're planning <strong>${formatDuration(exposure.plannedMinutes)}</strong> outside, but <strong>${formatDuration(limit)}</strong> is the safe limit today. Even with these layers, head indoors to warm up at least every ${limit} minutes.</div>`;
+    html += `<button class="exposure-timer-btn" id="exposureTimerBtn" data-minutes="${limit}">Start ${limit}-minute countdown</button>`;
+    html += '<div class="exposure-countdown hidden" id="exposureCountdown" role="timer" aria-live="polite"></div>';
+    html += '</div>';
+    return html;
+}
+
+// =======================
+// EXPOSURE COUNTDOWN
+// =======================
+
+function attachExposureTimer() {
+    const btn = document.getElementById('exposureTimerBtn');
+    if (!btn) return;
+
+    btn.addEventListener('click', () => {
+        if (state.exposureTimerEnd) {
+            stopExposureCountdown();
+        } else {
+            startExposureCountdown(parseInt(btn.dataset.minutes, 10));
+        }
+    });
+
+    // Countdown keeps running across re-renders (e.g. swapping an item)
+    updateExposureCountdown();
+}
+
+function startExposureCountdown(minutes) {
+    stopExposureCountdown();
+    state.exposureTimerEnd = Date.now() + minutes * 60000;
+    state.exposureTimerId = setInterval(updateExposureCountdown, 1000);
+    updateExposureCountdown();
+}
+
+function stopExposureCountdown() {
+    if (state.exposureTimerId) {
+        clearInterval(state.exposureTimerId);
+    }
+    state.exposureTimerId = null;
+    state.exposureTimerEnd = null;
+    updateExposureCountdown();
+}
+
+function updateExposureCountdown() {
+    const countdown = document.getElementById('exposureCountdown');
+    const btn = document.getElementById('exposureTimerBtn');
+    if (!countdown || !btn) return;
+
+    if (!state.exposureTimerEnd) {
+        countdown.classList.add('hidden');
+        btn.textContent = `Start ${btn.dataset.minutes}-minute countdown`;
+        return;
+    }
+
+    const remaining = Math.max(0, state.exposureTimerEnd - Date.now());
+    countdown.classList.remove('hidden');
+    btn.textContent = 'Stop countdown';
+
+    if (remaining === 0) {
+        countdown.textContent = 'Time to head inside and warm up!';
+        clearInterval(state.exposureTimerId);
+        state.exposureTimerId = null;
+        if (navigator.vibrate) navigator.vibrate([200, 100, 200]);
+        return;
+    }
+
+    const minutes = Math.floor(remaining / 60000);
+    const seconds = Math.floor((remaining % 60000) / 1000).toString().padStart(2, '0');
+    countdown.textContent = `Warm up indoors in ${minutes}:${seconds}`;
+}
+
+function generateWeatherBreakdown(requirements) {
+    const weather = requirements.weather;
+    if (!weather) return '';
+
+    const factorLabels = {
+        wind: { colder: 'Wind', warmer: 'Wind' },
+        humidity: { colder: 'Damp air', warmer: 'Humidity' },
+        sun: { colder: 'Sunshine', warmer: 'Sunshine' }
+    };
+
+    // Only mention factors that shift the felt temperature noticeably
+    const lines = [];
+    for (const [factor, { temp, clo }] of Object.entries(weather.factors)) {
+        if (Math.abs(temp) < 0.5) continue;
+
+        const degrees = Math.round(Math.abs(temp));
+        const label = temp < 0 ? factorLabels[factor].colder : factorLabels[factor].warmer;
+        const share = requirements.core.optimal > 0
+            ? Math.round(Math.abs(clo) / requirements.core.optimal * 100)
+            : 0;
+
+        let line = `${label} makes it feel ${degrees}° ${temp < 0 ? 'colder' : 'warmer'}`;
+        if (share > 0) {
+            line += temp < 0 ? ` · about ${share}% of your layers` : ` · saves about ${share}% of your layers`;
+        }
+        lines.push(line);
+    }
+
+    if (lines.length === 0) return '';
+
+    let html = '<div class="weather-breakdown">';
+    html += `<div class="weather-breakdown-title">Feels like ${Math.round(weather.feelsLike)}°C (air ${Math.round(weather.airTemperature)}°C)</div>`;
+    html += '<ul class="weather-breakdown-list">';
+    lines.forEach(line => {
+        html += `<li>${line}</li>`;
+    });
+    html += '</ul></div>';
+    return html;
+}
+
+function generatePrecipitationNotice(recommendation) {
+    const precipitation = recommendation.requirements.precipitation;
+    if (!precipitation || !precipitation.expected) return '';
+
+    const labels = {
+        rain: { icon: '🌧️', text: 'Rain' },
+        sleet: { icon: '🌨️', text: 'Sleet' },
+        snow: { icon: '❄️', text: 'Snow' }
+    };
+    const label = labels[precipitation.type] || labels.rain;
+
+    const falling = precipitation.amount > 0 || precipitation.snowfall > 0;
+    const likelihood = falling ? 'falling now' : `likely (${Math.round(precipitation.probability)}% chance)`;
+
+    const outer = recommendation.core.find(item => item.category === 'outer');
+    let advice;
+    if (outer && outer.waterproof) {
+        advice = `Your ${escapeHtml(outer.name.toLowerCase())} is waterproof, so the layers underneath stay dry.`;
+    } else {
+        advice = 'Take a waterproof layer - wet clothes lose a lot of their warmth.';
+    }
+
+    let html = '<div class="weather-breakdown">';
+    html += `<div class="weather-breakdown-title">${label.icon} ${label.text} ${likelihood}</div>`;
+    html += `<ul class="weather-breakdown-list"><li>${advice}</li></ul>`;
+    html += '</div>';
+    return html;
+}
+
+function generateDayPlanNotice(dayPlan) {
+    if (!dayPlan) return '';
+
+    const { hours, coldest, changes } = dayPlan;
+    const firstHour = hours[0];
+    const lastHour = hours[hours.length - 1];
+    const wornBefore = (change) => hours.some(hour => hour.time < change.time && hour.wearing.includes(change.item.key));
+
+    let html = '<div class="weather-breakdown">';
+    html += `<div class="weather-breakdown-title">🕒 Your day (${firstHour.time}-${lastHour.time}): dressed for ${coldest.time}, the coldest hour (feels like ${Math.round(coldest.feelsLike)}°C)</div>`;
+    html += '<ul class="weather-breakdown-list">';
+
+    if (changes.length === 0) {
+        html += '<li>Keep everything on - this outfit suits the whole day</li>';
+    }
+
+    // Group changes by the hour they happen
+    const times = [...new Set(changes.map(change => change.time))];
+    times.forEach(time => {
+        const atTime = changes.filter(change => change.time === time);
+        const off = atTime.filter(change => change.action === 'remove').map(change => escapeHtml(change.item.name.toLowerCase()));
+        const on = atTime.filter(change => change.action === 'add').map(change => {
+            const name = escapeHtml(change.item.name.toLowerCase());
+            return wornBefore(change) ? `${name} back` : name;
+        });
+
+        const actions = [];
+        if (off.length > 0) actions.push(`take the ${formatList(off)} off`);
+        if (on.length > 0) actions.push(`put the ${formatList(on)} on`);
+        html += `<li><strong>After ${time}</strong> - ${actions.join(', and ')}</li>`;
+    });
+
+    // Items not needed at the start still have to come along
+    const carried = [...new Set(changes
+        .filter(change => change.action === 'add' && !firstHour.wearing.includes(change.item.key))
+        .map(change => escapeHtml(change.item.name.toLowerCase())))];
+    if (carried.length > 0) {
+        html += `<li>You won't need the ${formatList(carried)} when you set off - take ${carried.length > 1 ? 'them' : 'it'} with you</li>`;
+    }
+
+    html += '</ul></div>';
+    return html;
+}
+
+/**
+ * "a", "a and b", "a, b and c"
+ */
+function formatList(words) {
+    if (words.length <= 1) return words.join('');
+    return `${words.slice(0, -1).join(', ')} and ${words[words.length - 1]}`;
+}
+
+function generateSleepNotice(requirements) {
+    const room = requirements.room;
+    let html = '';
+
+    if (requirements.warning) {
+        html += '<div class="warning">';
+        html += `<div class="warning-title">${room.tooWarm ? '🌡️ Nursery too warm' : '🌡️ Nursery too cold'}</div>`;
+        html += `<div class="warning-text">${requirements.warning}</div>`;
+        html += '</div>';
+    }
+
+    html += '<div class="weather-breakdown">';
+    html += `<div class="weather-breakdown-title">😴 Safe sleep (ideal room ${room.idealMin}-${room.idealMax}°C)</div>`;
+    html += '<ul class="weather-breakdown-list">';
+    html += '<li>Baby on their back, feet to the foot of the cot</li>';
+    html += '<li>No hats, blankets, pillows or bumpers in the cot - the sleeping bag is all the bedding needed</li>';
+    html += '<li>Check baby\'s chest or the back of the neck - hands and feet often feel cool</li>';
+    html += '</ul></div>';
+    return html;
+}
+
+function generateIndoorNotice(requirements) {
+    const room = requirements.room;
+    let html = '';
+
+    if (room.belowRecommended && requirements.warning) {
+        html += '<div class="warning">';
+        html += `<div class="warning-title">🌡️ Room below ${room.recommendedMin}°C</div>`;
+        html += `<div class="warning-text">${requirements.warning}</div>`;
+        html += '</div>';
+    }
+
+    html += '<div class="weather-breakdown">';
+    html += '<div class="weather-breakdown-title">🏠 Keeping warm at home</div>';
+    html += '<ul class="weather-breakdown-list">';
+    html += '<li>Several thin layers trap more heat than one thick one</li>';
+    html += '<li>Get up and move around at least once an hour</li>';
+    html += '<li>Have hot drinks and at least one hot meal a day</li>';
+    if (room.belowRecommended) {
+        html += `<li>Heat the room you use most to ${room.recommendedMin}°C rather than the whole house</li>`;
+    }
+    html += '</ul></div>';
+    return html;
+}
+
+function generateCarrierNotice(carrier) {
+    if (!carrier || !carrier.advice) return '';
+
+    let html = '<div class="weather-breakdown">';
+    html += `<div class="weather-breakdown-title">👶 ${carrier.name}</div>`;
+    html += `<ul class="weather-breakdown-list"><li>${carrier.advice}</li></ul>`;
+    html += '</div>';
+    return html;
+}
+
+function generateGroundNotice(recommendation) {
+    const ground = recommendation.requirements.ground;
+    if (!ground || (!ground.frost && !ground.snow)) return '';
+
+    let title;
+    if (ground.snow) {
+        title = `❄️ Snow underfoot (${Math.round(ground.snowDepth)} cm)`;
+    } else {
+        title = '🧊 Ground frost - slippery underfoot';
     }
 
+    const shoes = recommendation.footwear && recommendation.footwear[0];
+    const lacksGrip = (recommendation.shortfalls || []).some(shortfall => shortfall.type === 'ground');
+    const advice = shoes && !lacksGrip
+        ? `${escapeHtml(shoes.name)} give the grip you need - watch out for ice on paths and steps.`
+        : 'Wear shoes or boots with a good grip - watch out for ice on paths and steps.';
+
+    let html = '<div class="weather-breakdown">';
+    html += `<div class="weather-breakdown-title">${title}</div>`;
+    html += `<ul class="weather-breakdown-list"><li>${advice}</li></ul>`;
+    html += '</div>';
+    return html;
+}
+
+/**
+ * Image for an item - the user's photo for their own clothes, otherwise the catalog icon
+ */
+function getItemImage(item) {
+    if (item.photo) return item.photo;
+    const imagePath = `/images/clothing/${item.file}`;
+    return item.file.includes('scarf') ? imagePath : imagePath.replace('.png', '.svg');
+}
+
+function generateItemWithIcon(item, isLast = false, isFirst = false) {
+    const name = escapeHtml(item.name);
+
     // Add + sign at beginning of line for all items except the first
     const plusPrefix = isFirst ? '' : '<strong class="plus-sign">+&nbsp;&nbsp;</strong>';
-    const displayText = `${plusPrefix}${item.name}`;
+    const displayText = `${plusPrefix}${name}`;
 
     return `
-        <li class="item-with-icon clickable-item" data-item-key="${item.key}">
+        <li class="item-with-icon clickable-item" data-item-key="${escapeHtml(item.key)}">
             <span class="item-text">${displayText} <span class="swap-icon">⇄</span></span>
             <img
-                src="${imagePath}"
-                alt="${item.name}"
-                class="item-icon"
-                title="${item.name}"
+                src="${escapeHtml(getItemImage(item))}"
+                alt="${name}"
+                class="item-icon${item.photo ? ' item-photo' : ''}"
+                title="${name}"
                 onerror="this.style.display='none';"
             />
         </li>
@@ -737,16 +1884,13 @@ function generateItemWithIcon(item, isLast = false, isFirst = false) {
 function generateLayerImages(items) {
     let imagesHtml = '<div class="layer-images">';
     items.forEach(item => {
-        let imagePath = `/images/clothing/${item.file}`;
-        if (!item.file.includes('scarf')) {
-            imagePath = imagePath.replace('.png', '.svg');
-        }
+        const name = escapeHtml(item.name);
         imagesHtml += `
             <img
-                src="${imagePath}"
-                alt="${item.name}"
+                src="${escapeHtml(getItemImage(item))}"
+                alt="${name}"
                 class="layer-image"
-                title="${item.name}"
+                title="${name}"
                 onerror="this.style.display='none';"
             />
         `;
@@ -787,34 +1931,214 @@ function updateProfileDisplay() {
     document.getElementById('displayAge').textContent = ageRange;
     // If we have gender (male/female), show that; otherwise show age category label
     document.getElementById('displayGender').textContent = gender || ageCategoryLabel;
+
+    const activity = ACTIVITY_LEVELS[state.activity] || ACTIVITY_LEVELS.waiting;
+    const carrier = INFANT.carriers[state.carrier] || INFANT.carriers.pram;
+    if (state.mode === 'sleep') {
+        document.getElementById('displayActivity').textContent = 'Asleep in the nursery';
+        document.getElementById('displayDuration').textContent = 'Overnight';
+        return;
+    }
+    if (state.mode === 'indoor') {
+        document.getElementById('displayActivity').textContent = INDOOR.activity.name;
+        document.getElementById('displayDuration').textContent = 'Indoors';
+        return;
+    }
+    document.getElementById('displayActivity').textContent = state.ageCategory === 'infant' ? carrier.name : activity.name;
+    document.getElementById('displayDuration').textContent = isDayPlanActive()
+        ? `${formatDuration(state.duration)} outside, ${state.dayPlan.start}-${state.dayPlan.end}`
+        : `${formatDuration(state.duration)} outside`;
 }
 
 // =======================
 // WARMTH CALIBRATION
 // =======================
 
-function attachCalibrationSlider() {
-    const slider = document.getElementById('warmthSlider');
-    if (!slider) return;
+const FEELINGS = {
+    'too-cold': 'Too cold',
+    'just-right': 'Just right',
+    'too-warm': 'Too warm'
+};
 
-    // Refresh recommendations when user releases slider
-    slider.addEventListener('change', (e) => {
-        const newValue = parseInt(e.target.value);
+const FEEDBACK_ZONE_NAMES = {
+    core: 'Body',
+    legs: 'Legs',
+    head: 'Head',
+    hands: 'Hands',
+    neck: 'Neck',
+    feet: 'Feet'
+};
 
-        state.warmthAdjustment = newValue;
-        saveWarmthPreference();
-        refreshRecommendations();
+/**
+ * Learned calibration for a person (default: the one being dressed)
+ * Starts from their old slider setting and moves with every rating
+ */
+function getCalibration(profile = state) {
+    const prior = { core: (profile.warmthAdjustment || 0) * CALIBRATION.sliderStep };
+    return fitCalibration(profile.ratings || [], prior);
+}
+
+/**
+ * What was recommended and worn, ready to be rated
+ * Compared against the uncalibrated recommendation so the calibration doesn't feed on itself
+ */
+function getOuting(recommendation) {
+    const requirements = recommendation.requirements;
+    const worn = {};
+    const recommended = {};
+
+    const breakdown = getOutfitBreakdown(recommendation);
+    for (const zone of CALIBRATION.zones) {
+        const clo = breakdown[zone].clo;
+        worn[zone] = Math.round(clo * 1000) / 1000;
+        recommended[zone] = requirements.calibration ? requirements.calibration.baseline[zone] : requirements[zone].optimal;
+    }
+
+    return {
+        date: new Date().toISOString(),
+        temperature: requirements.weather.feelsLike,
+        activity: state.ageCategory === 'infant' ? state.carrier : state.activity,
+        duration: state.duration,
+        worn,
+        recommended
+    };
+}
+
+/**
+ * Keep the outfit now chosen as the outing to rate later (going out only, until it's been rated)
+ */
+function rememberOuting() {
+    const recommendation = state.currentRecommendation;
+    const mode = recommendation.requirements.mode;
+    if (state.outingRated || mode === 'sleep' || mode === 'indoor') return;
+
+    state.lastOuting = getOuting(recommendation);
+    saveActiveProfile();
+}
+
+/**
+ * Store a rating against the person's profile (oldest dropped beyond CALIBRATION.maxRatings)
+ * zones: { zone: 'too-cold' } for any part that felt colder than the rest
+ */
+function rateOuting(outing, feel, zones) {
+    if (!outing || !FEELINGS[feel]) return;
+
+    state.ratings = [...state.ratings, { ...outing, feel, zones }].slice(-CALIBRATION.maxRatings);
+    state.lastOuting = null;
+    saveActiveProfile();
+}
+
+function formatRatingCount(count) {
+    return count === 1 ? '1 rating' : `${count} ratings`;
+}
+
+/**
+ * "Tuned to you: warmer hands" - which zones the learned calibration moved for this outfit
+ */
+function getCalibrationNote(requirements) {
+    const calibration = requirements.calibration;
+    if (!calibration || calibration.count === 0) return '';
+
+    const warmer = [];
+    const cooler = [];
+    for (const zone of CALIBRATION.zones) {
+        const offset = calibration.offsets[zone] || 0;
+        // Ignore changes under a third of a step - too small to change the outfit
+        if (offset >= CALIBRATION.step[zone] / 3) warmer.push(FEEDBACK_ZONE_NAMES[zone].toLowerCase());
+        if (offset <= -CALIBRATION.step[zone] / 3) cooler.push(FEEDBACK_ZONE_NAMES[zone].toLowerCase());
+    }
+
+    const changes = [];
+    if (warmer.length > 0) changes.push(`warmer ${formatList(warmer)}`);
+    if (cooler.length > 0) changes.push(`cooler ${formatList(cooler)}`);
+    const tuned = changes.length > 0 ? `: ${changes.join(', ')}` : '';
+    return `Tuned to you from ${formatRatingCount(calibration.count)}${tuned}`;
+}
+
+/**
+ * "How did it feel?" - any part that felt colder than the rest, then an overall rating
+ */
+function generateFeedbackPanel(prompt, note = '') {
+    let html = '<div class="warmth-calibration">';
+    html += `<label class="calibration-label">${prompt}</label>`;
+
+    html += '<div class="calibration-zones" role="group" aria-label="Colder than the rest">';
+    for (const zone of CALIBRATION.zones) {
+        html += `<button class="activity-option" data-feel-zone="${zone}" aria-pressed="false">Cold ${FEEDBACK_ZONE_NAMES[zone].toLowerCase()}</button>`;
+    }
+    html += '</div>';
+
+    html += '<div class="activity-options" role="group" aria-label="How did it feel">';
+    for (const feel in FEELINGS) {
+        html += `<button class="activity-option" data-feel="${feel}">${FEELINGS[feel]}</button>`;
+    }
+    html += '</div>';
+
+    if (note) {
+        html += `<p class="calibration-note">${note}</p>`;
+    }
+    html += '</div>';
+    return html;
+}
+
+/**
+ * Wire up a feedback panel inside container - rates state.lastOuting, then calls onRated
+ */
+function attachFeedbackPanel(container, onRated) {
+    container.querySelectorAll('[data-feel-zone]').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            const isSelected = e.currentTarget.getAttribute('aria-pressed') !== 'true';
+            e.currentTarget.classList.toggle('selected', isSelected);
+            e.currentTarget.setAttribute('aria-pressed', isSelected);
+        });
+    });
+
+    container.querySelectorAll('[data-feel]').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            const zones = {};
+            container.querySelectorAll('[data-feel-zone][aria-pressed="true"]').forEach(zoneBtn => {
+                zones[zoneBtn.dataset.feelZone] = 'too-cold';
+            });
+            rateOuting(state.lastOuting, e.currentTarget.dataset.feel, zones);
+            onRated();
+        });
+    });
+
+    container.querySelector('[data-feel-dismiss]')?.addEventListener('click', () => {
+        state.lastOuting = null;
+        saveActiveProfile();
+        onRated();
     });
 }
 
-function saveWarmthPreference() {
-    try {
-        localStorage.setItem('warmthAdjustment', state.warmthAdjustment.toString());
-    } catch (e) {
-        console.log('Could not save warmth preference');
+/**
+ * Back from an outing - ask how the last outfit felt
+ */
+function updateLastOutingPrompt() {
+    const container = document.getElementById('lastOutingFeedback');
+    if (!container) return;
+
+    // Only once they should be back (planned time outside has passed)
+    const outing = state.lastOuting;
+    const isBack = outing && Date.now() >= Date.parse(outing.date) + (outing.duration || 0) * 60000;
+    if (!isBack || state.mode !== 'outdoor') {
+        container.classList.add('hidden');
+        container.innerHTML = '';
+        return;
     }
+
+    const when = new Date(outing.date).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+    let html = generateFeedbackPanel(`How did your last outfit feel? (${Math.round(outing.temperature)}°C, ${when})`);
+    html += '<button class="wardrobe-link-btn" data-feel-dismiss>Didn\'t go out</button>';
+    container.innerHTML = html;
+    container.classList.remove('hidden');
+
+    attachFeedbackPanel(container, updateLastOutingPrompt);
 }
 
+/**
+ * Calibration saved before household profiles - picked up by loadProfiles for the first profile
+ */
 function loadWarmthPreference() {
     try {
         const saved = localStorage.getItem('warmthAdjustment');
@@ -826,28 +2150,727 @@ function loadWarmthPreference() {
     }
 }
 
+/**
+ * Regenerate recommendations with current settings
+ * Returns false (leaving the results as they were) when nothing fits
+ */
 function refreshRecommendations() {
-    // Regenerate recommendations with current settings
-    const recommendations = getRecommendations(
-        state.temperature,
-        state.ageCategory,
-        state.gender,
-        state.warmthAdjustment
-    );
-
-    if (recommendations && recommendations.length > 0) {
-        state.currentRecommendation = recommendations[0];
-        displayRecommendation(state.currentRecommendation);
-    }
+    const recommendations = getRecommendationList();
+    if (!recommendations || recommendations.length === 0) return false;
+
+    // Stay on the option that was showing
+    state.recommendations = recommendations;
+    state.selectedOption = Math.min(state.selectedOption, recommendations.length - 1);
+    state.currentRecommendation = recommendations[state.selectedOption];
+    rememberOuting();
+    displayRecommendation(state.currentRecommendation);
+    return true;
 }
 
 // =======================
-// MODAL FUNCTIONS
+// OUTFIT OPTIONS
 // =======================
 
-// =======================
-// ITEM SUBSTITUTION
-// =======================
+// What the outer layer is called in each mode (for the "lightest coat" label)
+const OUTER_LAYER_NAMES = {
+    outdoor: 'coat',
+    indoor: 'wrap',
+    sleep: 'sleeping bag'
+};
+
+// Warmth bars run up to this multiple of what's needed (the marker shows what's needed)
+const WARMTH_BAR_SCALE = 1.5;
+
+/**
+ * Item count, warmth and coat warmth of an option (current items, so swaps show)
+ */
+function getOptionSummary(recommendation) {
+    const breakdown = Object.values(getOutfitBreakdown(recommendation));
+    return {
+        itemCount: getOutfitItems(recommendation).length,
+        clo: Math.round(breakdown.reduce((sum, zone) => sum + zone.clo, 0) * 100) / 100,
+        needed: breakdown.reduce((sum, zone) => sum + zone.requirement.optimal, 0),
+        outerClo: recommendation.core
+            .filter(item => item.category === 'outer')
+            .reduce((sum, item) => sum + item.clo, 0)
+    };
+}
+
+/**
+ * What each option does best of the three: fewest items, lightest coat (or none), warmest
+ * Ties don't count; option 1 is also the best match
+ */
+function getOptionLabels(summaries, mode) {
+    const isOnly = (index, field, compare) => summaries.every((other, otherIndex) =>
+        otherIndex === index || compare(summaries[index][field], other[field])
+    );
+    const hasOuter = summaries.some(summary => summary.outerClo > 0);
+    const outerName = OUTER_LAYER_NAMES[mode] || OUTER_LAYER_NAMES.outdoor;
+
+    return summaries.map((summary, index) => {
+        const labels = index === 0 ? ['Best match'] : [];
+        if (summaries.length < 2) return labels;
+
+        if (isOnly(index, 'itemCount', (value, other) => value < other)) labels.push('Fewest items');
+        if (hasOuter && isOnly(index, 'outerClo', (value, other) => value < other)) {
+            labels.push(summary.outerClo === 0 ? `No ${outerName}` : `Lightest ${outerName}`);
+        }
+        if (isOnly(index, 'clo', (value, other) => value > other)) labels.push('Warmest');
+        return labels;
+    });
+}
+
+/**
+ * Option picker above the outfit: label, item count and warmth bar for each option
+ */
+function renderOptionTabs() {
+    const container = document.getElementById('optionTabs');
+    if (!container) return;
+
+    const recommendations = state.recommendations;
+    if (recommendations.length < 2) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const summaries = recommendations.map(getOptionSummary);
+    const labels = getOptionLabels(summaries, recommendations[0].requirements.mode);
+
+    container.innerHTML = recommendations.map((recommendation, index) => {
+        const { itemCount, clo, needed } = summaries[index];
+        const selected = index === state.selectedOption;
+        const width = needed > 0 ? Math.min(100, clo / (needed * WARMTH_BAR_SCALE) * 100) : 100;
+        const marker = 100 / WARMTH_BAR_SCALE;
+        const label = labels[index].length > 0 ? labels[index].join(' · ') : 'Another option';
+
+        return `
+            <button class="option-tab${selected ? ' selected' : ''}" role="tab" aria-selected="${selected}" data-option="${index}">
+                <span class="option-tab-title">Option ${index + 1}</span>
+                <span class="option-tab-label">${label}</span>
+                <span class="option-tab-count">${itemCount} item${itemCount === 1 ? '' : 's'}</span>
+                <span class="option-warmth-bar" title="${formatClo(clo)} (needs about ${formatClo(needed)})">
+                    <span class="option-warmth-fill" style="width: ${Math.round(width)}%"></span>
+                    <span class="option-warmth-marker" style="left: ${Math.round(marker)}%"></span>
+                </span>
+            </button>
+        `;
+    }).join('');
+
+    container.querySelectorAll('.option-tab').forEach(tab => {
+        tab.addEventListener('click', (e) => {
+            selectOption(parseInt(e.currentTarget.dataset.option, 10));
+        });
+    });
+}
+
+function selectOption(index) {
+    if (!state.recommendations[index] || index === state.selectedOption) return;
+    state.selectedOption = index;
+    state.currentRecommendation = state.recommendations[index];
+    rememberOuting();
+    displayRecommendation(state.currentRecommendation);
+    recordHistory(`Option ${index + 1}`);
+}
+
+// =======================
+// WHY THIS OUTFIT
+// =======================
+
+const DIVERSITY_LABELS = {
+    itemCount: 'number of items',
+    differentItems: 'items not shared',
+    layers: 'how the layers stack up',
+    clo: 'where the warmth comes from',
+    accessories: 'hat or gloves',
+    feel: 'how bulky and windproof'
+};
+
+function formatClo(clo) {
+    return `${clo.toFixed(2)} CLO`;
+}
+
+/**
+ * Explanation of a recommendation from the engine's trace: what each zone needs after the
+ * adjustments and what each item gives (current items, so swaps show), the adjustments that
+ * fired, and why the other options were picked
+ */
+function generateExplanation(recommendation, recommendations) {
+    const trace = recommendation.trace;
+    if (!trace) return '';
+
+    const zoneLabels = {
+        core: 'Body',
+        legs: 'Legs',
+        head: 'Head',
+        hands: 'Hands',
+        neck: 'Neck',
+        feet: 'Feet',
+        footwear: 'Footwear'
+    };
+
+    // What each zone needs and what each item gives
+    let html = '<section class="sources-section">';
+    html += '<h3>What each part of you needs</h3>';
+    html += '<table class="explanation-table">';
+    html += '<tr><th>Zone</th><th>Needs (min / target / max)</th><th>Wearing</th></tr>';
+    for (const [zone, { requirement, clo, items }] of Object.entries(getOutfitBreakdown(recommendation))) {
+        if (requirement.max === 0 && items.length === 0) continue;
+
+        const needs = `${requirement.min.toFixed(2)} / ${requirement.optimal.toFixed(2)} / ${requirement.max.toFixed(2)}`;
+        const wearing = items.length === 0
+            ? 'Nothing'
+            : '<ul class="explanation-items">' + items.map(item =>
+                `<li>${escapeHtml(item.name)} - ${formatClo(item.clo)} (${Math.round(item.share * 100)}%)</li>`
+            ).join('') + `</ul><span class="explanation-note">Total ${formatClo(clo)}</span>`;
+        html += `<tr><td>${zoneLabels[zone] || zone}</td><td>${needs}</td><td>${wearing}</td></tr>`;
+    }
+    html += '</table>';
+    html += '<p class="explanation-note">CLO measures how much warmth clothing keeps in. Needs are after the adjustments below.</p>';
+    html += '</section>';
+
+    // Profile, activity and calibration adjustments
+    html += '<section class="sources-section">';
+    html += '<h3>Adjusted for you</h3>';
+    if (trace.adjustments.length === 0) {
+        html += '<p>No adjustments - the standard needs for this temperature.</p>';
+    } else {
+        html += '<ul class="explanation-list">';
+        for (const adjustment of trace.adjustments) {
+            const effects = Object.entries(adjustment.effects).map(([zone, change]) =>
+                `${zoneLabels[zone] || zone} ${change > 0 ? '+' : ''}${change.toFixed(2)}`
+            );
+            html += `<li>${escapeHtml(adjustment.reason)}`;
+            if (effects.length > 0) html += ` <span class="explanation-note">(${effects.join(', ')})</span>`;
+            html += '</li>';
+        }
+        html += '</ul>';
+    }
+    html += '</section>';
+
+    // Why each option was picked
+    html += '<section class="sources-section">';
+    html += '<h3>Why these options</h3>';
+    html += '<ul class="explanation-list">';
+    recommendations.forEach((option, index) => {
+        const selection = option.selection;
+        if (!selection) return;
+
+        const items = formatList(getOutfitItems(option).map(item => item.name.toLowerCase()));
+        html += `<li><strong>Option ${index + 1}</strong> (${escapeHtml(items)}): `;
+        if (selection.reason === 'best') {
+            html += `the best fit of the ${trace.candidates} outfits considered (all follow the layering rules).`;
+        } else {
+            const compared = selection.reason === 'different' ? 'option 1' : 'options 1 and 2';
+            const total = selection.diversity.reduce((sum, breakdown) => sum + breakdown.total, 0);
+            const differences = Object.keys(DIVERSITY_LABELS)
+                .map(key => ({ key, points: selection.diversity.reduce((sum, breakdown) => sum + breakdown[key], 0) }))
+                .filter(({ points }) => points > 0)
+                .sort((a, b) => b.points - a.points)
+                .map(({ key, points }) => `${DIVERSITY_LABELS[key]} ${Math.round(points)}`);
+            html += `number ${selection.rank} of the ${trace.candidates} considered, picked as the most different from ${compared}`;
+            html += ` <span class="explanation-note">(difference ${Math.round(total)}: ${differences.join(', ')})</span>.`;
+        }
+        html += '</li>';
+    });
+    html += '</ul>';
+
+    // Items the user chose to keep on or leave out
+    const { pinned, banned } = state.locks;
+    if (pinned.length > 0 || banned.length > 0) {
+        const names = (items) => formatList(items.map(item => escapeHtml(item.name.toLowerCase())));
+        const kept = pinned.length > 0 ? `includes your ${names(pinned)}` : '';
+        const left = banned.length > 0 ? `leaves out ${names(banned)}` : '';
+        html += `<p class="explanation-note">Every option ${[kept, left].filter(Boolean).join(' and ')}, as you chose.</p>`;
+    }
+
+    // Layering rules that ruled the most outfits out
+    const rejections = Object.values(trace.rejections).sort((a, b) => b.count - a.count).slice(0, 3);
+    if (rejections.length > 0) {
+        html += '<p class="explanation-note">Ruled out along the way:</p>';
+        html += '<ul class="explanation-list explanation-note">';
+        for (const { explanation, count } of rejections) {
+            html += `<li>${escapeHtml(explanation)} (${count})</li>`;
+        }
+        html += '</ul>';
+    }
+    html += '</section>';
+
+    return html;
+}
+
+// =======================
+// WARDROBE
+// =======================
+
+const WARDROBE_GROUPS = {
+    base: 'Base layers',
+    mid: 'Mid layers',
+    outer: 'Coats & jackets',
+    legs: 'Trousers & leggings',
+    head: 'Hats',
+    hands: 'Gloves',
+    neck: 'Scarves',
+    feet: 'Socks',
+    footwear: 'Shoes & boots'
+};
+
+function loadWardrobes() {
+    try {
+        const saved = localStorage.getItem('wrapUpWardrobe');
+        if (saved) {
+            state.wardrobes = JSON.parse(saved);
+        }
+    } catch (e) {
+        console.log('Could not load wardrobe');
+    }
+    updateWardrobeButton();
+}
+
+function saveWardrobes() {
+    try {
+        localStorage.setItem('wrapUpWardrobe', JSON.stringify(state.wardrobes));
+    } catch (e) {
+        console.log('Could not save wardrobe');
+    }
+    updateWardrobeButton();
+}
+
+function getWardrobe() {
+    if (!state.wardrobes[state.activeProfileId]) {
+        state.wardrobes[state.activeProfileId] = { enabled: false, items: {}, custom: [] };
+    }
+    const wardrobe = state.wardrobes[state.activeProfileId];
+    if (!wardrobe.custom) wardrobe.custom = []; // Saved before custom items
+    return wardrobe;
+}
+
+/**
+ * Someone's own clothes for the engine (default: the person being dressed)
+ * Used whether or not the wardrobe is switched on - they're extra items, not a restriction
+ */
+function getCustomItems(profileId = state.activeProfileId) {
+    const wardrobe = state.wardrobes[profileId];
+    return (wardrobe && wardrobe.custom) || [];
+}
+
+/**
+ * Owned items for the engine - null (whole catalog) unless switched on and not empty
+ * profileId: whose wardrobe (default: the person being dressed)
+ */
+function getActiveWardrobeItems(profileId = state.activeProfileId) {
+    const wardrobe = state.wardrobes[profileId];
+    if (!wardrobe || !wardrobe.enabled) return null;
+    const hasItems = Object.values(wardrobe.items).some(quantity => quantity > 0);
+    return hasItems ? wardrobe.items : null;
+}
+
+function updateWardrobeButton() {
+    const btn = document.getElementById('wardrobeBtn');
+    if (!btn) return;
+
+    const wardrobe = state.wardrobes[state.activeProfileId];
+    const ownedCount = wardrobe ? Object.values(wardrobe.items).filter(quantity => quantity > 0).length : 0;
+    btn.textContent = wardrobe && wardrobe.enabled && ownedCount > 0
+        ? `My wardrobe (${ownedCount} items)`
+        : 'My wardrobe';
+}
+
+function openWardrobe() {
+    const wardrobe = getWardrobe();
+    document.getElementById('wardrobeEnabled').checked = wardrobe.enabled;
+    renderWardrobeList();
+    renderCustomItemForm();
+    showScreen('wardrobeScreen');
+}
+
+function closeWardrobe() {
+    saveWardrobes();
+    showScreen('tempScreen');
+}
+
+function renderWardrobeList() {
+    const wardrobe = getWardrobe();
+    let html = '';
+
+    for (const group in WARDROBE_GROUPS) {
+        const groupItems = Object.entries(CLOTHING_ITEMS[group] || {})
+            .filter(([, item]) => !item.requiresOwned) // Made up from other items (e.g. two pairs of socks)
+            .map(([key, item]) => ({ key, ...item }));
+        const ownItems = wardrobe.custom.filter(definition => definition.group === group);
+
+        html += '<div class="wardrobe-group">';
+        html += `<h3 class="layer-heading">${WARDROBE_GROUPS[group]}</h3>`;
+        for (const item of [...groupItems, ...ownItems]) {
+            const key = escapeHtml(item.key);
+            const name = escapeHtml(item.name);
+            const quantity = wardrobe.items[item.key] || 0;
+            const photo = item.photo ? `<img src="${escapeHtml(item.photo)}" alt="" class="wardrobe-photo">` : '';
+            const remove = ownItems.includes(item)
+                ? `<button class="quantity-btn" data-custom-remove="${key}" aria-label="Remove ${name}" title="Remove">×</button>`
+                : '';
+            html += `
+                <div class="wardrobe-item${quantity > 0 ? ' owned' : ''}">
+                    <label class="wardrobe-item-name">
+                        <input type="checkbox" data-wardrobe-toggle="${key}" ${quantity > 0 ? 'checked' : ''}>
+                        ${photo}${name}
+                    </label>
+                    <div class="wardrobe-quantity">
+                        <button class="quantity-btn" data-wardrobe-step="-1" data-item-key="${key}" aria-label="One fewer ${name}">−</button>
+                        <span class="quantity-value">${quantity}</span>
+                        <button class="quantity-btn" data-wardrobe-step="1" data-item-key="${key}" aria-label="One more ${name}">+</button>
+                        ${remove}
+                    </div>
+                </div>
+            `;
+        }
+        html += '</div>';
+    }
+
+    const list = document.getElementById('wardrobeList');
+    list.innerHTML = html;
+
+    list.querySelectorAll('[data-wardrobe-toggle]').forEach(checkbox => {
+        checkbox.addEventListener('change', (e) => {
+            const key = e.target.dataset.wardrobeToggle;
+            setWardrobeQuantity(key, e.target.checked ? Math.max(1, wardrobe.items[key] || 0) : 0);
+        });
+    });
+
+    list.querySelectorAll('[data-wardrobe-step]').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            const key = e.currentTarget.dataset.itemKey;
+            const step = parseInt(e.currentTarget.dataset.wardrobeStep, 10);
+            setWardrobeQuantity(key, (wardrobe.items[key] || 0) + step);
+        });
+    });
+
+    list.querySelectorAll('[data-custom-remove]').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            removeCustomItem(e.currentTarget.dataset.customRemove);
+        });
+    });
+}
+
+// Own clothes: kind of item (a CLOTHING_ITEMS group) and warmth, with legs split by layer
+const CUSTOM_WARMTH_LABELS = {
+    'light': 'Light',
+    'medium': 'Medium',
+    'warm': 'Warm',
+    'very-warm': 'Very warm'
+};
+
+/**
+ * <option>s for a CLO_ESTIMATION table ({ key: { name } }), keeping the current choice when still offered
+ */
+function renderOptions(select, options, selected) {
+    const current = Object.hasOwn(options, select.value) ? select.value : selected;
+    select.innerHTML = Object.entries(options)
+        .map(([key, { name }]) => `<option value="${key}"${key === current ? ' selected' : ''}>${name}</option>`).join('');
+}
+
+function renderCustomItemForm() {
+    const groupSelect = document.getElementById('customItemGroup');
+    if (groupSelect.options.length === 0) {
+        groupSelect.innerHTML = Object.entries(WARDROBE_GROUPS)
+            .map(([group, label]) => `<option value="${group}">${label}</option>`).join('');
+        document.getElementById('customItemWarmth').innerHTML = CUSTOM_ITEMS.warmth
+            .map(level => `<option value="${level}"${level === 'medium' ? ' selected' : ''}>${CUSTOM_WARMTH_LABELS[level]}</option>`).join('');
+        renderOptions(document.getElementById('customItemFabric'), CLO_ESTIMATION.fabrics, CLO_ESTIMATION.defaults.fabric);
+        renderOptions(document.getElementById('customItemThickness'), CLO_ESTIMATION.thicknesses, CLO_ESTIMATION.defaults.thickness);
+        renderOptions(document.getElementById('customItemFit'), CLO_ESTIMATION.fits, CLO_ESTIMATION.defaults.fit);
+    }
+    updateCustomItemForm();
+}
+
+/**
+ * Layer picker for legs only; waterproof only for coats, overtrousers and shoes
+ * Describing the garment replaces the warmth level (and the legs layer) with an estimate
+ */
+function updateCustomItemForm() {
+    const group = document.getElementById('customItemGroup').value;
+
+    // Garments of the chosen kind, and the lengths that garment comes in
+    const typeSelect = document.getElementById('customItemType');
+    const types = Object.fromEntries(Object.entries(CLO_ESTIMATION.types).filter(([, type]) => type.group === group));
+    renderOptions(typeSelect, types, Object.keys(types)[0]);
+    const type = CLO_ESTIMATION.types[typeSelect.value];
+    const lengthSelect = document.getElementById('customItemLength');
+    if (type.length) renderOptions(lengthSelect, CLO_ESTIMATION.lengths[type.length], type.standard);
+    lengthSelect.classList.toggle('hidden', !type.length);
+
+    const construction = getCustomItemConstruction();
+    const estimate = construction && estimateClo(construction);
+    const layer = estimate ? estimate.category : document.getElementById('customItemLayer').value;
+    const canBeWaterproof = group === 'outer' || group === 'footwear' || (group === 'legs' && layer === 'outer');
+    document.getElementById('customItemLayer').classList.toggle('hidden', group !== 'legs' || Boolean(estimate));
+    document.getElementById('customItemWarmth').classList.toggle('hidden', Boolean(estimate));
+    document.getElementById('customItemWaterproofLabel').classList.toggle('hidden', !canBeWaterproof);
+    document.getElementById('customItemEstimateNote').textContent = estimate
+        ? `Estimated warmth ${estimate.clo.toFixed(2)} CLO (likely between ${estimate.min.toFixed(2)} and ${estimate.max.toFixed(2)})`
+        : '';
+}
+
+/**
+ * Garment description for estimateClo - null unless "describe it instead" is open
+ */
+function getCustomItemConstruction() {
+    if (!document.getElementById('customItemEstimate').open) return null;
+
+    const type = document.getElementById('customItemType').value;
+    const lengthSelect = document.getElementById('customItemLength');
+    return {
+        type,
+        length: lengthSelect.classList.contains('hidden') ? undefined : lengthSelect.value,
+        fabric: document.getElementById('customItemFabric').value,
+        thickness: document.getElementById('customItemThickness').value,
+        fit: document.getElementById('customItemFit').value
+    };
+}
+
+async function addCustomItem() {
+    const nameInput = document.getElementById('customItemName');
+    const name = nameInput.value.trim().slice(0, CUSTOM_ITEMS.maxNameLength);
+    if (!name) {
+        nameInput.focus();
+        return;
+    }
+
+    const group = document.getElementById('customItemGroup').value;
+    const definition = {
+        key: `custom-${Date.now().toString(36)}`,
+        name,
+        group,
+        warmth: document.getElementById('customItemWarmth').value,
+        waterproof: !document.getElementById('customItemWaterproofLabel').classList.contains('hidden') &&
+            document.getElementById('customItemWaterproof').checked
+    };
+    if (group === 'legs') {
+        definition.category = document.getElementById('customItemLayer').value;
+    }
+    const construction = getCustomItemConstruction();
+    if (construction) {
+        definition.construction = construction;
+    }
+
+    const photoInput = document.getElementById('customItemPhoto');
+    if (photoInput.files.length > 0) {
+        definition.photo = await readPhoto(photoInput.files[0]);
+    }
+
+    const wardrobe = getWardrobe();
+    wardrobe.custom.push(definition);
+    wardrobe.items[definition.key] = 1;
+
+    nameInput.value = '';
+    photoInput.value = '';
+    document.getElementById('customItemWaterproof').checked = false;
+    saveWardrobes();
+    renderWardrobeList();
+}
+
+function removeCustomItem(key) {
+    const wardrobe = getWardrobe();
+    wardrobe.custom = wardrobe.custom.filter(definition => definition.key !== key);
+    delete wardrobe.items[key];
+    saveWardrobes();
+    renderWardrobeList();
+}
+
+/**
+ * Photo scaled down to fit CUSTOM_ITEMS.photoSize, as a JPEG data URL small enough to save locally
+ * Resolves null when the file can't be read as an image
+ */
+function readPhoto(file) {
+    return new Promise(resolve => {
+        const reader = new FileReader();
+        reader.onerror = () => resolve(null);
+        reader.onload = () => {
+            const image = new Image();
+            image.onerror = () => resolve(null);
+            image.onload = () => {
+                const scale = Math.min(1, CUSTOM_ITEMS.photoSize / Math.max(image.width, image.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(image.width * scale);
+                canvas.height = Math.round(image.height * scale);
+                canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+                resolve(canvas.toDataURL('image/jpeg', 0.8));
+            };
+            image.src = reader.result;
+        };
+        reader.readAsDataURL(file);
+    });
+}
+
+function setWardrobeQuantity(key, quantity) {
+    const wardrobe = getWardrobe();
+    wardrobe.items[key] = Math.max(0, Math.min(20, quantity));
+
+    // Ticking the first item switches the wardrobe on
+    if (wardrobe.items[key] > 0 && !wardrobe.enabled) {
+        wardrobe.enabled = true;
+        document.getElementById('wardrobeEnabled').checked = true;
+    }
+
+    saveWardrobes();
+    renderWardrobeList();
+}
+
+// =======================
+// TRIP PACKING LIST
+// =======================
+
+const TRIP_MAX_DAYS = 14;        // Longest trip we plan for
+const FORECAST_DAYS_AHEAD = 15;  // Open-Meteo forecasts 16 days including today
+
+function openTrip() {
+    // Default to a weekend-length trip starting tomorrow
+    const startInput = document.getElementById('tripStart');
+    const endInput = document.getElementById('tripEnd');
+    if (startInput && !startInput.value) startInput.value = offsetDate(1);
+    if (endInput && !endInput.value) endInput.value = offsetDate(3);
+    if (startInput) startInput.max = offsetDate(FORECAST_DAYS_AHEAD);
+    if (endInput) endInput.max = offsetDate(FORECAST_DAYS_AHEAD);
+
+    showScreen('tripScreen');
+}
+
+/**
+ * Local date `days` from today as 'YYYY-MM-DD'
+ */
+function offsetDate(days) {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+async function makePackingList() {
+    const destination = document.getElementById('tripDestination').value.trim();
+    const start = document.getElementById('tripStart').value;
+    const end = document.getElementById('tripEnd').value;
+
+    if (!destination) {
+        alert('Please enter where you are going');
+        return;
+    }
+    if (!start || !end || end < start) {
+        alert('Please choose the first and last day of your trip');
+        return;
+    }
+    if (start < offsetDate(0) || end > offsetDate(FORECAST_DAYS_AHEAD)) {
+        alert(`Forecasts only go ${FORECAST_DAYS_AHEAD} days ahead. Please choose dates between today and then.`);
+        return;
+    }
+    const tripDays = Math.round((new Date(end) - new Date(start)) / 86400000) + 1;
+    if (tripDays > TRIP_MAX_DAYS) {
+        alert(`Please choose a trip of ${TRIP_MAX_DAYS} days or fewer.`);
+        return;
+    }
+
+    const btn = document.getElementById('tripPackBtn');
+    const originalText = btn.textContent;
+    btn.textContent = 'Checking the forecast...';
+    btn.disabled = true;
+
+    try {
+        const location = await geocodeAddress(destination);
+        if (!location) {
+            alert('Destination not found. Please try a different place name.');
+            return;
+        }
+
+        const weatherUrl = `https://api.open-meteo.com/v1/forecast?latitude=${location.lat}&longitude=${location.lon}&hourly=${OPEN_METEO_FIELDS}&start_date=${start}&end_date=${end}&timezone=auto`;
+        const weatherResponse = await fetch(weatherUrl);
+        if (!weatherResponse.ok) {
+            throw new Error('Failed to fetch trip forecast');
+        }
+        const hourly = (await weatherResponse.json()).hourly;
+
+        // Each day's hours while out (same window as the day planner), times as 'HH:MM'
+        const firstHour = `${state.dayPlan.start.slice(0, 2)}:00`;
+        const days = [];
+        hourly.time.forEach((time, index) => {
+            const date = time.slice(0, 10);
+            const hour = time.slice(11, 16);
+            let day = days.find(d => d.date === date);
+            if (!day) {
+                day = { date, hours: [] };
+                days.push(day);
+            }
+            if (hour >= firstHour && hour <= state.dayPlan.end) {
+                day.hours.push({ time: hour, ...toObservation(field => hourly[field][index]) });
+            }
+        });
+
+        const trip = getPackingList(
+            days,
+            state.ageCategory,
+            state.gender,
+            getCalibration(),
+            { ...getRecommendationOptions(), mode: 'outdoor' }
+        );
+        displayPackingList(trip, location.name.split(',')[0].trim());
+    } catch (error) {
+        console.error('Trip Error:', error);
+        alert('Unable to get the forecast for this trip. Please try again.');
+    } finally {
+        btn.textContent = originalText;
+        btn.disabled = false;
+    }
+}
+
+function displayPackingList(trip, placeName) {
+    const formatDate = (date) => new Date(`${date}T12:00`).toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short' });
+    const dayCount = trip.days.length;
+    let html = '';
+
+    if (dayCount === 0) {
+        html += '<div class="warning"><div class="warning-title">No packing list</div>';
+        html += '<div class="warning-text">We couldn\'t find outfits for these dates. Please try different dates.</div></div>';
+        document.getElementById('tripResults').innerHTML = html;
+        return;
+    }
+
+    html += '<div class="layer-section">';
+    html += `<h3 class="layer-heading">Pack ${trip.items.length} items</h3>`;
+    html += '<ul class="item-list">';
+    trip.items.forEach(({ item, dates }) => {
+        const worn = dates.length === dayCount ? 'every day' : `${dates.length} of ${dayCount} days`;
+        html += `<li>${escapeHtml(item.name)} <span class="trip-item-days">(${worn})</span></li>`;
+    });
+    html += '</ul></div>';
+
+    html += '<div class="layer-section">';
+    html += '<h3 class="layer-heading">What to wear each day</h3>';
+    html += '<ul class="item-list">';
+    trip.days.forEach(({ date, combination }) => {
+        const feelsLike = Math.round(combination.requirements.weather.feelsLike);
+        const items = escapeHtml(getOutfitItems(combination).map(item => item.name.toLowerCase()).join(', '));
+        html += `<li><strong>${formatDate(date)}</strong> (feels like ${feelsLike}°C): ${items}</li>`;
+    });
+    html += '</ul></div>';
+
+    if (trip.missingDates.length > 0) {
+        html += '<div class="weather-breakdown"><div class="weather-breakdown-title">No forecast outfit</div>';
+        html += `<ul class="weather-breakdown-list"><li>${trip.missingDates.map(formatDate).join(', ')} - check the forecast nearer the time</li></ul></div>`;
+    }
+
+    const results = document.getElementById('tripResults');
+    results.innerHTML = html;
+
+    // Place name comes from the geocoder - set as text, not HTML
+    const title = document.createElement('p');
+    title.className = 'wardrobe-intro';
+    title.textContent = `${placeName}, ${formatDate(trip.days[0].date)} to ${formatDate(trip.days[dayCount - 1].date)}`;
+    results.prepend(title);
+}
+
+// =======================
+// MODAL FUNCTIONS
+// =======================
+
+// =======================
+// ITEM SUBSTITUTION
+// =======================
 
 function attachItemClickHandlers() {
     document.querySelectorAll('.clickable-item').forEach(element => {
@@ -862,13 +2885,7 @@ function showSubstituteModal(itemKey) {
     if (!state.currentRecommendation) return;
 
     // Find the item in the recommendation
-    const allItems = [
-        ...state.currentRecommendation.core,
-        ...state.currentRecommendation.head,
-        ...state.currentRecommendation.hands,
-        ...state.currentRecommendation.neck,
-        ...state.currentRecommendation.feet
-    ];
+    const allItems = getOutfitItems(state.currentRecommendation);
 
     const itemToReplace = allItems.find(item => item.key === itemKey);
     if (!itemToReplace) return;
@@ -877,19 +2894,28 @@ function showSubstituteModal(itemKey) {
     const substitutes = findSubstitutes(state.currentRecommendation, itemToReplace, state.temperature);
 
     // Update modal title
-    document.getElementById('substituteModalTitle').textContent = `Replace ${itemToReplace.name}`;
+    document.getElementById('substituteModalTitle').textContent = itemToReplace.name;
+
+    // Keep it on whatever else changes, or leave it out
+    const isPinned = state.locks.pinned.some(item => item.key === itemKey);
+    let actionsHtml = '<div class="lock-actions">';
+    actionsHtml += isPinned
+        ? '<button class="activity-option" data-lock-action="unlock">📌 Stop keeping this on</button>'
+        : '<button class="activity-option" data-lock-action="pin">📌 Keep this on</button>';
+    actionsHtml += '<button class="activity-option" data-lock-action="ban">🚫 Not today</button>';
+    actionsHtml += '</div>';
 
     // Generate substitute options HTML
     const modalBody = document.getElementById('substituteModalBody');
     if (substitutes.length === 0) {
-        modalBody.innerHTML = '<div class="no-substitutes">No alternatives available for this item.</div>';
+        modalBody.innerHTML = actionsHtml + '<div class="no-substitutes">No alternatives available for this item.</div>';
     } else {
-        let optionsHtml = '';
+        let optionsHtml = actionsHtml + '<p class="lock-hint">Or wear instead:</p>';
         substitutes.forEach(substitute => {
             optionsHtml += `
-                <div class="substitute-option" data-old-key="${itemToReplace.key}" data-new-key="${substitute.key}">
+                <div class="substitute-option" data-old-key="${escapeHtml(itemToReplace.key)}" data-new-key="${escapeHtml(substitute.key)}">
                     <div class="substitute-info">
-                        <div class="substitute-name">${substitute.name}</div>
+                        <div class="substitute-name">${escapeHtml(substitute.name)}</div>
                     </div>
                     <div class="substitute-arrow">→</div>
                 </div>
@@ -907,6 +2933,15 @@ function showSubstituteModal(itemKey) {
         });
     }
 
+    modalBody.querySelectorAll('[data-lock-action]').forEach(button => {
+        button.addEventListener('click', (e) => {
+            const action = e.currentTarget.dataset.lockAction;
+            if (action === 'pin') pinItem(itemToReplace);
+            if (action === 'ban') banItem(itemToReplace);
+            if (action === 'unlock') unlockItem(itemToReplace.key);
+        });
+    });
+
     // Show modal
     openSubstituteModal();
 }
@@ -915,41 +2950,216 @@ function handleSubstitution(oldItemKey, newItemKey) {
     if (!state.currentRecommendation) return;
 
     // Find the old and new items
-    const allItems = [
-        ...state.currentRecommendation.core,
-        ...state.currentRecommendation.head,
-        ...state.currentRecommendation.hands,
-        ...state.currentRecommendation.neck,
-        ...state.currentRecommendation.feet
-    ];
+    const allItems = getOutfitItems(state.currentRecommendation);
 
     const oldItem = allItems.find(item => item.key === oldItemKey);
     if (!oldItem) return;
 
-    // Get the new item from the same zone/category
-    const allPossibleItems = [];
-    for (const zone in { core: 1, head: 1, hands: 1, neck: 1, feet: 1 }) {
-        const zoneItems = state.currentRecommendation[zone] || [];
-        for (const item of zoneItems) {
-            allPossibleItems.push(item);
-        }
-    }
-
     // Find new item from substitutes list
     const substitutes = findSubstitutes(state.currentRecommendation, oldItem, state.temperature);
     const newItem = substitutes.find(item => item.key === newItemKey);
     if (!newItem) return;
 
-    // Replace the item
-    state.currentRecommendation = replaceItem(state.currentRecommendation, oldItem, newItem);
+    // Wear the new item instead of the old one, and work the rest of the outfit out again around it
+    setLocks({
+        pinned: [...withoutLock(state.locks.pinned, oldItem.key, newItem.key), toLock(newItem)],
+        banned: [...withoutLock(state.locks.banned, oldItem.key, newItem.key), toLock(oldItem)]
+    }, `${oldItem.name} for ${newItem.name.toLowerCase()}`);
+}
+
+// =======================
+// KEEP ON / LEAVE OUT
+// =======================
+
+function toLock(item) {
+    return { key: item.key, name: item.name };
+}
+
+function withoutLock(locked, ...keys) {
+    return locked.filter(item => !keys.includes(item.key));
+}
 
-    // Close modal
+/**
+ * Keys of the items kept on and left out, for the engine (options.locks)
+ */
+function getLockKeys() {
+    return {
+        pinned: state.locks.pinned.map(item => item.key),
+        banned: state.locks.banned.map(item => item.key)
+    };
+}
+
+/**
+ * Change what's kept on and left out, and search again around it (label: the edit, for undo)
+ * Nothing fits: the change is undone and the outfit stays as it was
+ */
+function setLocks(locks, label) {
+    const previous = state.locks;
+    state.locks = locks;
     closeSubstituteModal();
 
-    // Re-display the recommendation
+    if (!refreshRecommendations()) {
+        state.locks = previous;
+        alert('No outfit works with that. Try keeping on or leaving out something else.');
+        return;
+    }
+    recordHistory(label);
+}
+
+function pinItem(item) {
+    setLocks({
+        pinned: [...withoutLock(state.locks.pinned, item.key), toLock(item)],
+        banned: withoutLock(state.locks.banned, item.key)
+    }, `Keep ${item.name.toLowerCase()} on`);
+}
+
+function banItem(item) {
+    setLocks({
+        pinned: withoutLock(state.locks.pinned, item.key),
+        banned: [...withoutLock(state.locks.banned, item.key), toLock(item)]
+    }, `Leave out ${item.name.toLowerCase()}`);
+}
+
+function unlockItem(key) {
+    const item = [...state.locks.pinned, ...state.locks.banned].find(locked => locked.key === key);
+    setLocks({
+        pinned: withoutLock(state.locks.pinned, key),
+        banned: withoutLock(state.locks.banned, key)
+    }, `Free up ${item ? item.name.toLowerCase() : key}`);
+}
+
+// =======================
+// EDIT HISTORY
+// =======================
+
+// Edits kept for undo (the original suggestion is always kept)
+const HISTORY_LIMIT = 50;
+
+/**
+ * Everything an edit on the results screen can change: the options and which one is showing,
+ * what's kept on or left out, and the calibration (ratings and the old slider setting)
+ * Recommendations are never changed in place, so holding on to them is enough
+ */
+function getHistorySnapshot(label) {
+    return {
+        label,
+        recommendations: state.recommendations,
+        selectedOption: state.selectedOption,
+        locks: state.locks,
+        calibration: {
+            warmthAdjustment: state.warmthAdjustment,
+            ratings: state.ratings,
+            lastOuting: state.lastOuting,
+            outingRated: state.outingRated
+        }
+    };
+}
+
+/**
+ * Whether two snapshots show the same thing (whatever the edit that led there)
+ * The outing waiting to be rated is left out - it follows the outfit showing
+ */
+function isSameSnapshot(a, b) {
+    return a.recommendations === b.recommendations &&
+        a.selectedOption === b.selectedOption &&
+        a.locks === b.locks &&
+        ['warmthAdjustment', 'ratings', 'outingRated'].every(key => a.calibration[key] === b.calibration[key]);
+}
+
+/**
+ * Start a new history from the suggestion on screen
+ */
+function resetHistory() {
+    const original = getHistorySnapshot('Original suggestion');
+    state.history = { entries: [original], index: 0, original };
+    renderHistoryControls();
+}
+
+/**
+ * Add the state after an edit (label: what the edit was); drops anything that had been undone
+ */
+function recordHistory(label) {
+    const { entries, index, original } = state.history;
+    if (!original) return;
+
+    const kept = [...entries.slice(0, index + 1), getHistorySnapshot(label)].slice(-HISTORY_LIMIT);
+    state.history = { entries: kept, index: kept.length - 1, original };
+    renderHistoryControls();
+}
+
+/**
+ * Put the results screen (and the calibration) back to a snapshot
+ */
+function restoreSnapshot(snapshot) {
+    state.recommendations = snapshot.recommendations;
+    state.selectedOption = snapshot.selectedOption;
+    state.currentRecommendation = snapshot.recommendations[snapshot.selectedOption];
+    state.locks = snapshot.locks;
+    Object.assign(state, snapshot.calibration);
+    saveActiveProfile();
+
+    closeSubstituteModal();
     displayRecommendation(state.currentRecommendation);
 }
 
+function undo() {
+    const { entries, index } = state.history;
+    if (index <= 0) return;
+    state.history.index = index - 1;
+    restoreSnapshot(entries[index - 1]);
+}
+
+function redo() {
+    const { entries, index } = state.history;
+    if (index >= entries.length - 1) return;
+    state.history.index = index + 1;
+    restoreSnapshot(entries[index + 1]);
+}
+
+/**
+ * Back to the outfit first suggested, with its calibration - itself an edit, so it can be undone
+ */
+function backToOriginal() {
+    const { entries, index, original } = state.history;
+    if (!original || isSameSnapshot(entries[index], original)) return;
+    restoreSnapshot(original);
+    recordHistory('Back to original');
+}
+
+function renderHistoryControls() {
+    const controls = document.getElementById('historyControls');
+    if (!controls) return;
+
+    const { entries, index, original } = state.history;
+    const canUndo = index > 0;
+    const canRedo = index < entries.length - 1;
+    controls.hidden = !canUndo && !canRedo;
+
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    const originalBtn = document.getElementById('originalBtn');
+    undoBtn.disabled = !canUndo;
+    undoBtn.title = canUndo ? `Undo: ${entries[index].label}` : '';
+    redoBtn.disabled = !canRedo;
+    redoBtn.title = canRedo ? `Redo: ${entries[index + 1].label}` : '';
+    originalBtn.disabled = !original || isSameSnapshot(entries[index], original);
+}
+
+function generateLocksNotice() {
+    const { pinned, banned } = state.locks;
+    if (pinned.length === 0 && banned.length === 0) return '';
+
+    const chips = (items) => items.map(item =>
+        `<button class="lock-chip" data-unlock-key="${escapeHtml(item.key)}" title="Undo">${escapeHtml(item.name)} &times;</button>`
+    ).join('');
+
+    let html = '<div class="locks-notice">';
+    if (pinned.length > 0) html += `<div><span class="lock-label">Keeping on:</span> ${chips(pinned)}</div>`;
+    if (banned.length > 0) html += `<div><span class="lock-label">Leaving out:</span> ${chips(banned)}</div>`;
+    html += '</div>';
+    return html;
+}
+
 function openSubstituteModal() {
     const modal = document.getElementById('substituteModal');
     modal.classList.add('active');
@@ -973,3 +3183,17 @@ function closeSourcesModal() {
     modal.classList.remove('active');
     document.body.style.overflow = 'auto';
 }
+
+function openExplanationModal() {
+    if (!state.currentRecommendation) return;
+    document.getElementById('explanationModalBody').innerHTML = generateExplanation(state.currentRecommendation, state.recommendations);
+    const modal = document.getElementById('explanationModal');
+    modal.classList.add('active');
+    document.body.style.overflow = 'hidden';
+}
+
+function closeExplanationModal() {
+    const modal = document.getElementById('explanationModal');
+    modal.classList.remove('active');
+    document.body.style.overflow = 'auto';
+}
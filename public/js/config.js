@@ -1,14 +1,79 @@
 /**
- * WrapMeApp - Configuration v1.8.7
+ * WrapMeApp - Configuration v1.27.0
  * CLO values guided by ASHRAE Standard 55 and ISO 9920 (simplified for practical use)
  * Temperature requirements informed by UKHSA Cold Weather Plan, NHS, WHO guidelines
  *
+ * v1.27.0: Item attributes - coverage, bulk, windResistance, breathability and removable, with ITEM_DEFAULTS by layer
+ *          or zone (replace sleeves, windproof and bulky); skin-layer, vest, gilet and car seat rules on attributes;
+ *          PRACTICALITY_WEIGHTS skin and thermal layers and bulk; CUSTOM_ITEMS bulk by warmth level
+ * v1.26.0: Thin, wool and roll-neck jumpers, quilted gilet, windbreaker, denim jacket, spring coat, ear-flap hat,
+ *          thick gloves and everyday socks (artwork already shipped); sleeves and covers attributes; rules for a gilet
+ *          over sleeves, one hat, one jumper, one pair of socks and one pair of warm gloves; ITEM_FREQUENCY
+ *          padded-coat in place of heavy-winter-coat (no such item)
+ * v1.25.0: CLO_ESTIMATION - garment types, length, fabric, thickness and fit factors with their uncertainties,
+ *          for estimating CLO from how a garment is made (items may give construction in place of clo)
+ * v1.24.0: CUSTOM_ITEMS - warmth levels (CLO per catalog group), icons and footwear grip for the user's own clothes
+ * v1.23.0: ADJUSTMENTS reasons (shown in the "why this outfit" explanation)
+ * v1.22.0: LAYERING_RULES - declarative layering rules (id, check type, params, when, explanation) in place of the
+ *          hard-coded checks; vest rule now matches the vest, unreachable 3+ mid layer checks dropped
+ * v1.21.0: zoneFit practicality weights (legs, accessories and footwear close to their optimal CLO)
+ * v1.20.0: CALIBRATION - temperature ranges, per-zone steps and shrinkage for learned "too cold / too warm" offsets
+ * v1.19.0: Indoor mode - INDOOR_ITEMS (everyday clothes, wraps, lap blanket, slippers), INDOOR_REQUIREMENTS by room temperature
+ * v1.18.0: Baby sleep mode - SLEEP_ITEMS (sleepwear + TOG sleeping bags), SLEEP_REQUIREMENTS by nursery temperature
+ * v1.17.0: Infant garments (sleepsuit, baby long-sleeve top, baby cardigan, baby fleece, baby coat, snowsuit, baby mittens), infantOnly/infantSafe/bulky/allInOne, INFANT
+ * v1.16.0: Footwear zone (trainers, waterproof shoes, insulated/snow boots) with grip and snow depth, GROUND_CONDITIONS
+ * v1.15.0: Separate legs zone (trousers, leggings, overtrousers) with its own requirements, ZONES list
+ * v1.14.0: requiresOwned for items made from other owned items (double socks)
+ * v1.13.0: Added EXPOSURE_SCALING for planned time outside
+ * v1.12.0: Added ACTIVITY_LEVELS (MET values) and ACTIVITY_SCALING
+ * v1.11.0: Waterproof/windproof/breathability item attributes, raincoat + waterproof jacket, PRECIPITATION
+ * v1.10.0: Added WEATHER_FACTORS for wind chill, heat index, damp cold and sunshine
  * v1.8.7: Simplified warmth indicator - removed CLO references, added color gradient
  * v1.8.1: Fixed unrealistic CLO requirements for cold weather (0°C and below)
  * v1.6.0: Boosted t-shirt and common household item frequencies
  */
 
 // CLO = Clothing Insulation Unit (1 CLO = 0.155 m²·K/W)
+// construction: { type, length, fabric, thickness, fit } - may stand in for clo (estimated, see CLO_ESTIMATION)
+// Item attributes (ITEM_DEFAULTS fills in any left out):
+//   coverage: { torso, arms, legs } - share of each body region covered, 0-1 (a t-shirt's arms are 0.5)
+//   bulk: 0-1            - how thick the garment is to wear (0 = thin as a t-shirt, 1 = snowsuit)
+//   windResistance: 0-1  - how much wind it blocks (1 = windproof, helps most on wind chill days)
+//   breathability: 0-1   - how well sweat escapes (1 = very breathable)
+//   removable: true      - easy to take off while out (coats, jumpers, accessories - not base layers)
+//   covers: { zone: CLO } - warmth the garment also gives another zone (a roll neck's collar)
+// Weather attributes (outer layers):
+//   waterproof: true     - keeps rain/snow off the layers underneath
+// Footwear attributes:
+//   grip: 0-1            - traction on frost, ice and snow (1 = best)
+//   maxSnowDepth: cm     - deepest lying snow the shoe keeps out (roughly shaft height)
+// Age attributes:
+//   infantOnly: true     - baby garment, only offered for infants
+//   infantSafe: true     - adult-catalog item that also comes in baby sizes (everything else is hidden for infants)
+//   allInOne: true       - one-piece that also covers legs and feet (sleepsuit, snowsuit)
+
+// Body zones - each has its own CLO requirement and item search
+export const ZONES = ['core', 'legs', 'head', 'hands', 'neck', 'feet', 'footwear'];
+
+// Zones dressed in layered garments (base/mid/outer) rather than single accessories
+export const GARMENT_ZONES = ['core', 'legs'];
+
+// Item attributes left out of an item - by layer for the core, by zone everywhere else
+const ACCESSORY_DEFAULTS = { coverage: {}, bulk: 0.1, windResistance: 0, breathability: 1, removable: true };
+export const ITEM_DEFAULTS = {
+  base: { coverage: { torso: 1, arms: 1 }, bulk: 0.1, windResistance: 0, breathability: 1, removable: false },
+  mid: { coverage: { torso: 1, arms: 1 }, bulk: 0.3, windResistance: 0.1, breathability: 1, removable: true },
+  outer: { coverage: { torso: 1, arms: 1 }, bulk: 0.4, windResistance: 0.5, breathability: 1, removable: true },
+  legs: { coverage: { legs: 1 }, bulk: 0.2, windResistance: 0, breathability: 1, removable: false },
+  head: ACCESSORY_DEFAULTS,
+  hands: ACCESSORY_DEFAULTS,
+  neck: ACCESSORY_DEFAULTS,
+  feet: { ...ACCESSORY_DEFAULTS, removable: false },
+  footwear: { ...ACCESSORY_DEFAULTS, bulk: 0.2, removable: false }
+};
+
+// Thin enough to go against the skin under other base layers (t-shirt, vest)
+export const SKIN_LAYER_MAX_BULK = 0.05;
 
 export const CLOTHING_ITEMS = {
   // Base Layers (Core)
@@ -18,14 +83,37 @@ export const CLOTHING_ITEMS = {
       name: 'Vest',
       file: 'base/vest-underlayer.png',
       category: 'base',
-      zone: 'core'
+      zone: 'core',
+      coverage: { torso: 1, arms: 0 },
+      bulk: 0.05,
+      infantSafe: true
+    },
+    'baby-sleepsuit': {
+      clo: 0.3,
+      name: 'Sleepsuit',
+      file: 'base/baby-sleepsuit.png',
+      category: 'base',
+      zone: 'core',
+      coverage: { torso: 1, arms: 1, legs: 1 },
+      infantOnly: true,
+      allInOne: true
+    },
+    'baby-long-sleeve-top': {
+      clo: 0.25,
+      name: 'Baby long-sleeve top',
+      file: 'base/long-sleeve-top.png',
+      category: 'base',
+      zone: 'core',
+      infantOnly: true
     },
     't-shirt': {
       clo: 0.2,
       name: 'T-shirt',
       file: 'base/t-shirt.png',
       category: 'base',
-      zone: 'core'
+      zone: 'core',
+      coverage: { torso: 1, arms: 0.5 },
+      bulk: 0.05
     },
     'long-sleeve-top': {
       clo: 0.25,
@@ -46,27 +134,75 @@ export const CLOTHING_ITEMS = {
       name: 'Thermal top',
       file: 'base/thermal-top.png',
       category: 'base',
-      zone: 'core'
+      zone: 'core',
+      bulk: 0.15
     },
+  },
+
+  // Legs - base (under trousers), mid (trousers), outer (overtrousers)
+  legs: {
     'thermal-leggings': {
-      clo: 0.35,
+      clo: 0.15,
       name: 'Thermal leggings',
       file: 'base/thermal-leggings.png',
       category: 'base',
-      zone: 'core'
+      zone: 'legs',
+      tempRestriction: { max: 10 }  // Only suggest at 10°C and below
     },
     'pyjama-bottoms': {
-      clo: 0.3,
-      name: 'Pyjama bottoms',
+      clo: 0.12,
+      name: 'Pyjama bottoms (under trousers)',
       file: 'base/pyjama-bottoms.png',
       category: 'base',
-      zone: 'core',
+      zone: 'legs',
       tempRestriction: { max: 0 }  // Only suggest below 0°C
     },
+    'trousers': {
+      clo: 0.24,
+      name: 'Trousers',
+      file: 'base/trousers.png',
+      category: 'mid',
+      zone: 'legs'
+    },
+    'lined-trousers': {
+      clo: 0.35,
+      name: 'Lined trousers',
+      file: 'base/trousers.png',
+      category: 'mid',
+      zone: 'legs'
+    },
+    'waterproof-overtrousers': {
+      clo: 0.08,
+      name: 'Waterproof overtrousers',
+      file: 'base/trousers.png',
+      category: 'outer',
+      zone: 'legs',
+      windResistance: 1,
+      waterproof: true,
+      breathability: 0.3
+    }
   },
 
   // Mid Layers (Core)
   mid: {
+    'baby-cardigan': {
+      clo: 0.25,
+      name: 'Baby cardigan',
+      file: 'base/baby-cardigan.png',
+      category: 'mid',
+      zone: 'core',
+      infantOnly: true
+    },
+    'baby-fleece': {
+      clo: 0.42,
+      name: 'Baby fleece',
+      file: 'mid/fleece.png',
+      category: 'mid',
+      zone: 'core',
+      bulk: 0.4,
+      windResistance: 0,
+      infantOnly: true
+    },
     'cardigan': {
       clo: 0.25,
       name: 'Cardigan',
@@ -86,21 +222,25 @@ export const CLOTHING_ITEMS = {
       name: 'Hoodie',
       file: 'mid/hoodie.png',
       category: 'mid',
-      zone: 'core'
+      zone: 'core',
+      bulk: 0.4
     },
     'fleece': {
       clo: 0.42,
       name: 'Fleece',
       file: 'mid/fleece.png',
       category: 'mid',
-      zone: 'core'
+      zone: 'core',
+      bulk: 0.4,
+      windResistance: 0
     },
     'thick-jumper': {
       clo: 0.4,
       name: 'Thick jumper',
       file: 'mid/jumper.png',
       category: 'mid',
-      zone: 'core'
+      zone: 'core',
+      bulk: 0.5
     },
     'thick-shirt': {
       clo: 0.28,
@@ -108,38 +248,158 @@ export const CLOTHING_ITEMS = {
       file: 'mid/thick-shirt.svg',
       category: 'mid',
       zone: 'core'
+    },
+    'thin-jumper': {
+      clo: 0.22,                // ISO 9920 thin long-sleeve sweater 0.2-0.25
+      name: 'Thin jumper',
+      file: 'mid/thin-jumper.svg',
+      category: 'mid',
+      zone: 'core',
+      bulk: 0.2
+    },
+    'wool-jumper': {
+      clo: 0.36,                // ASHRAE 55 thick long-sleeve sweater
+      name: 'Wool jumper',
+      file: 'mid/wool-jumper.svg',
+      category: 'mid',
+      zone: 'core',
+      bulk: 0.45
+    },
+    'turtleneck': {
+      clo: 0.28,                // ISO 9920 roll-neck sweater, collar adds about half a scarf
+      name: 'Roll-neck jumper',
+      file: 'mid/turtleneck.svg',
+      category: 'mid',
+      zone: 'core',
+      covers: { neck: 0.03 }
+    },
+    'quilted-gilet': {
+      clo: 0.3,                 // ISO 9920 padded vest (no sleeves - arms need another layer)
+      name: 'Quilted gilet',
+      file: 'mid/quilted-gilet.svg',
+      category: 'mid',
+      zone: 'core',
+      coverage: { torso: 1, arms: 0 },
+      bulk: 0.4
     }
   },
 
   // Outer Layers (Core)
   outer: {
+    'baby-coat': {
+      clo: 0.45,
+      name: 'Baby coat',
+      file: 'outer/baby-coat.png',
+      category: 'outer',
+      zone: 'core',
+      bulk: 0.7,
+      windResistance: 1,
+      infantOnly: true,
+      breathability: 0.7
+    },
+    'snowsuit': {
+      clo: 0.8,
+      name: 'Snowsuit (all-in-one)',
+      file: 'outer/snowsuit.png',
+      category: 'outer',
+      zone: 'core',
+      coverage: { torso: 1, arms: 1, legs: 1 },
+      bulk: 0.9,
+      removable: false,
+      infantOnly: true,
+      allInOne: true,
+      waterproof: true,
+      breathability: 0.5
+    },
     'light-jacket': {
       clo: 0.27,
       name: 'Light jacket',
       file: 'outer/light-jacket.png',
       category: 'outer',
-      zone: 'core'
+      zone: 'core',
+      bulk: 0.3,
+      windResistance: 1,
+      breathability: 0.7
+    },
+    'windbreaker': {
+      clo: 0.18,                // Thin nylon shell - little insulation, but keeps the wind out
+      name: 'Windbreaker',
+      file: 'outer/windbreaker.svg',
+      category: 'outer',
+      zone: 'core',
+      bulk: 0.1,
+      windResistance: 1,
+      breathability: 0.5
+    },
+    'denim-jacket': {
+      clo: 0.32,                // ISO 9920 unlined denim jacket
+      name: 'Denim jacket',
+      file: 'outer/denim-jacket.svg',
+      category: 'outer',
+      zone: 'core',
+      breathability: 0.8
+    },
+    'spring-coat': {
+      clo: 0.4,                 // Unlined knee-length mac/trench (ISO 9920 light overcoat)
+      name: 'Spring coat',
+      file: 'outer/spring-coat.svg',
+      category: 'outer',
+      zone: 'core',
+      windResistance: 1,
+      breathability: 0.7
+    },
+    'raincoat': {
+      clo: 0.15,
+      name: 'Raincoat',
+      file: 'outer/raincoat.png',
+      category: 'outer',
+      zone: 'core',
+      bulk: 0.1,
+      windResistance: 1,
+      waterproof: true,
+      breathability: 0.3
+    },
+    'waterproof-jacket': {
+      clo: 0.35,
+      name: 'Waterproof jacket',
+      file: 'outer/waterproof-jacket.png',
+      category: 'outer',
+      zone: 'core',
+      bulk: 0.3,
+      windResistance: 1,
+      waterproof: true,
+      breathability: 0.6
     },
     'coat': {
       clo: 0.5,
       name: 'Coat',
       file: 'outer/coat.png',
       category: 'outer',
-      zone: 'core'
+      zone: 'core',
+      bulk: 0.6,
+      windResistance: 0.6,
+      breathability: 0.8
     },
     'padded-coat': {
       clo: 0.62,
       name: 'Padded coat',
       file: 'outer/coat.png',
       category: 'outer',
-      zone: 'core'
+      zone: 'core',
+      bulk: 0.8,
+      windResistance: 1,
+      breathability: 0.6
     },
     'winter-coat': {
       clo: 0.85,
       name: 'Winter coat',
       file: 'outer/winter-coat.png',
       category: 'outer',
-      zone: 'core'
+      zone: 'core',
+      bulk: 0.9,
+      windResistance: 1,
+      waterproof: true,
+      breathability: 0.5
     }
   },
 
@@ -150,14 +410,24 @@ export const CLOTHING_ITEMS = {
       name: 'Hat',
       file: 'accessories/hat.png',
       category: 'accessory',
-      zone: 'head'
+      zone: 'head',
+      infantSafe: true
     },
     'warm-hat': {
       clo: 0.08,
       name: 'Warm hat',
       file: 'accessories/warm-hat.png',
       category: 'accessory',
-      zone: 'head'
+      zone: 'head',
+      infantSafe: true
+    },
+    'hat-ear-coverage': {
+      clo: 0.1,                 // Ear flaps: as warm as a balaclava over the head and ears
+      name: 'Hat with ear flaps',
+      file: 'accessories/hat-ear-coverage.svg',
+      category: 'accessory',
+      zone: 'head',
+      infantSafe: true
     },
     'balaclava': {
       clo: 0.10,
@@ -177,6 +447,13 @@ export const CLOTHING_ITEMS = {
       category: 'accessory',
       zone: 'hands'
     },
+    'thick-gloves': {
+      clo: 0.08,                // Knitted wool or fleece gloves
+      name: 'Thick gloves',
+      file: 'accessories/thick-gloves.svg',
+      category: 'accessory',
+      zone: 'hands'
+    },
     'insulated-gloves': {
       clo: 0.10,
       name: 'Insulated gloves',
@@ -184,12 +461,21 @@ export const CLOTHING_ITEMS = {
       category: 'accessory',
       zone: 'hands'
     },
+    'baby-mittens': {
+      clo: 0.06,
+      name: 'Baby mittens',
+      file: 'accessories/mittens.png',
+      category: 'accessory',
+      zone: 'hands',
+      infantOnly: true
+    },
     'mittens': {
       clo: 0.15,
       name: 'Mittens',
       file: 'accessories/mittens.png',
       category: 'accessory',
-      zone: 'hands'
+      zone: 'hands',
+      infantSafe: true
     }
   },
 
@@ -220,89 +506,260 @@ export const CLOTHING_ITEMS = {
 
   // Accessories - Feet
   feet: {
+    'socks': {
+      clo: 0.02,                // ASHRAE 55 ankle to calf-length socks 0.02-0.03
+      name: 'Socks',
+      file: 'accessories/socks.svg',
+      category: 'accessory',
+      zone: 'feet',
+      infantSafe: true
+    },
     'thick-socks': {
       clo: 0.04,
       name: 'Thick socks',
       file: 'accessories/thick-socks.png',
       category: 'accessory',
-      zone: 'feet'
+      zone: 'feet',
+      infantSafe: true
     },
     'thermal-socks': {
       clo: 0.06,
       name: 'Thermal socks',
       file: 'accessories/thermal-socks.png',
       category: 'accessory',
-      zone: 'feet'
+      zone: 'feet',
+      infantSafe: true
     },
     'double-socks': {
       clo: 0.05,
       name: 'Double up on socks!',
       file: 'accessories/thick-socks.png',
       category: 'accessory',
-      zone: 'feet'
+      zone: 'feet',
+      requiresOwned: { key: 'thick-socks', quantity: 2 }  // Wardrobe: needs two pairs
+    }
+  },
+
+  // Footwear - always exactly one pair, picked for warmth and ground conditions
+  footwear: {
+    'trainers': {
+      clo: 0.02,
+      name: 'Trainers',
+      file: 'accessories/boots.png',
+      category: 'footwear',
+      zone: 'footwear',
+      grip: 0.4,
+      maxSnowDepth: 0
+    },
+    'waterproof-shoes': {
+      clo: 0.03,
+      name: 'Waterproof shoes',
+      file: 'accessories/boots.png',
+      category: 'footwear',
+      zone: 'footwear',
+      waterproof: true,
+      grip: 0.5,
+      maxSnowDepth: 2
+    },
+    'insulated-boots': {
+      clo: 0.08,
+      name: 'Insulated boots',
+      file: 'accessories/boots.png',
+      category: 'footwear',
+      zone: 'footwear',
+      waterproof: true,
+      grip: 0.7,
+      maxSnowDepth: 10
+    },
+    'snow-boots': {
+      clo: 0.1,
+      name: 'Snow boots',
+      file: 'accessories/boots.png',
+      category: 'footwear',
+      zone: 'footwear',
+      waterproof: true,
+      grip: 0.9,
+      maxSnowDepth: 25
     }
   }
 };
 
+// Custom items - the user's own clothes that aren't in CLOTHING_ITEMS (added on the wardrobe screen)
+// A custom item belongs to one CLOTHING_ITEMS group; its warmth level picks a CLO typical of that
+// group (outer: light ≈ raincoat, medium ≈ waterproof jacket, warm ≈ coat, very warm ≈ winter coat)
+export const CUSTOM_ITEMS = {
+  warmth: ['light', 'medium', 'warm', 'very-warm'],
+  clo: {
+    base: [0.15, 0.2, 0.25, 0.35],
+    mid: [0.2, 0.28, 0.35, 0.45],
+    outer: [0.15, 0.35, 0.5, 0.85],
+    legs: {
+      base: [0.1, 0.12, 0.15, 0.2],    // Under trousers
+      mid: [0.2, 0.24, 0.3, 0.4],      // Trousers
+      outer: [0.05, 0.08, 0.12, 0.2]   // Overtrousers
+    },
+    head: [0.03, 0.05, 0.08, 0.1],
+    hands: [0.03, 0.05, 0.1, 0.15],
+    neck: [0.03, 0.05, 0.06, 0.08],
+    feet: [0.02, 0.04, 0.05, 0.06],
+    footwear: [0.02, 0.03, 0.05, 0.08]
+  },
+  bulk: {                   // Core layers' bulk at each warmth level (a warm coat is too bulky for a car seat)
+    base: [0.05, 0.1, 0.1, 0.15],
+    mid: [0.2, 0.3, 0.4, 0.5],
+    outer: [0.1, 0.3, 0.6, 0.9]
+  },
+  icons: {                  // Shown when there's no photo
+    base: 'base/t-shirt.png',
+    mid: 'mid/jumper.png',
+    outer: 'outer/coat.png',
+    legs: 'base/trousers.png',
+    head: 'accessories/hat.png',
+    hands: 'accessories/gloves.png',
+    neck: 'accessories/scarf.png',
+    feet: 'accessories/thick-socks.png',
+    footwear: 'accessories/boots.png'
+  },
+  // Grip is unknown - assume trainers, or waterproof shoes when marked waterproof
+  footwear: { grip: 0.4, maxSnowDepth: 0 },
+  waterproofFootwear: { grip: 0.5, maxSnowDepth: 2 },
+  photoSize: 240,           // px - photos are scaled down to fit before saving locally
+  maxNameLength: 40
+};
+
+// CLO estimation from garment construction (engine estimateClo), after the ISO 9920 garment tables:
+// a base value per garment type at its usual length in medium-weight cotton with a regular fit, scaled
+// by how the garment differs. Base values are on this catalog's scale (a T-shirt is 0.2) so estimates
+// sit alongside built-in items; ratios follow ISO 9920 (short sleeves ~0.8 of long, shorts ~0.5 of trousers)
+export const CLO_ESTIMATION = {
+  types: {
+    'vest': { name: 'Vest or camisole', group: 'base', clo: 0.15, length: 'sleeves', standard: 'sleeveless' },
+    't-shirt': { name: 'T-shirt', group: 'base', clo: 0.2, length: 'sleeves', standard: 'short' },
+    'top': { name: 'Long-sleeve top', group: 'base', clo: 0.25, length: 'sleeves', standard: 'long' },
+    'shirt': { name: 'Shirt', group: 'mid', clo: 0.28, length: 'sleeves', standard: 'long' },
+    'jumper': { name: 'Jumper', group: 'mid', clo: 0.28, length: 'sleeves', standard: 'long' },
+    'cardigan': { name: 'Cardigan', group: 'mid', clo: 0.25, length: 'sleeves', standard: 'long' },
+    'hoodie': { name: 'Hoodie', group: 'mid', clo: 0.34, length: 'sleeves', standard: 'long' },
+    'gilet': { name: 'Gilet or body warmer', group: 'mid', clo: 0.22, length: 'sleeves', standard: 'sleeveless' },
+    'jacket': { name: 'Jacket', group: 'outer', clo: 0.35, length: 'coat', standard: 'hip' },
+    'coat': { name: 'Coat', group: 'outer', clo: 0.5, length: 'coat', standard: 'thigh' },
+    'leggings': { name: 'Leggings or long johns', group: 'legs', category: 'base', clo: 0.15, length: 'legs', standard: 'full' },
+    'trousers': { name: 'Trousers', group: 'legs', category: 'mid', clo: 0.24, length: 'legs', standard: 'full' },
+    'overtrousers': { name: 'Overtrousers', group: 'legs', category: 'outer', clo: 0.08, length: 'legs', standard: 'full' },
+    'hat': { name: 'Hat', group: 'head', clo: 0.05 },
+    'gloves': { name: 'Gloves', group: 'hands', clo: 0.05 },
+    'mittens': { name: 'Mittens', group: 'hands', clo: 0.1 },
+    'scarf': { name: 'Scarf', group: 'neck', clo: 0.05 },
+    'socks': { name: 'Socks', group: 'feet', clo: 0.04 },
+    'shoes': { name: 'Shoes', group: 'footwear', clo: 0.02 },
+    'boots': { name: 'Boots', group: 'footwear', clo: 0.06 }
+  },
+  lengths: {
+    sleeves: { sleeveless: { name: 'Sleeveless', factor: 0.7, arms: 0 }, short: { name: 'Short sleeves', factor: 0.8, arms: 0.5 }, long: { name: 'Long sleeves', factor: 1, arms: 1 } },
+    coat: { waist: { name: 'Waist length', factor: 0.85 }, hip: { name: 'Hip length', factor: 1 }, thigh: { name: 'Thigh length', factor: 1.1 }, knee: { name: 'Knee length', factor: 1.25 } },
+    legs: { shorts: { name: 'Shorts', factor: 0.5 }, cropped: { name: 'Cropped', factor: 0.8 }, full: { name: 'Full length', factor: 1 } }
+  },
+  fabrics: {
+    cotton: { name: 'Cotton', factor: 1 },
+    wool: { name: 'Wool', factor: 1.15 },
+    fleece: { name: 'Fleece', factor: 1.25 },
+    'synthetic-fill': { name: 'Padded (synthetic fill)', factor: 1.4, fill: true },
+    down: { name: 'Down', factor: 1.6, fill: true }
+  },
+  thicknesses: {
+    thin: { name: 'Thin', factor: 0.7 },
+    medium: { name: 'Medium', factor: 1 },
+    thick: { name: 'Thick', factor: 1.35 }
+  },
+  fits: {
+    close: { name: 'Close fitting', factor: 0.9 },   // Less trapped air
+    regular: { name: 'Regular fit', factor: 1 },
+    loose: { name: 'Loose', factor: 1.1 }
+  },
+  defaults: { fabric: 'cotton', thickness: 'medium', fit: 'regular' },
+  // Relative error each input adds to the estimate (combined as root sum of squares)
+  uncertainty: {
+    type: 0.15,               // ISO 9920 table values vary about this much between similar garments
+    length: 0.05,
+    fabric: 0.1,
+    fill: 0.2,                // Fill weight varies a lot between padded and down garments
+    thickness: 0.1,
+    fit: 0.05,
+    unknown: 0.2              // Input not given - the default was assumed
+  }
+};
+
 // Temperature-based CLO requirements (medical guidelines)
 export const TEMP_REQUIREMENTS = {
   // temp >= 15°C
   15: {
     core: { min: 0.2, max: 0.4, optimal: 0.3 },
+    legs: { min: 0.15, max: 0.3, optimal: 0.24 },
     head: { min: 0.0, max: 0.0, optimal: 0.0 },
     hands: { min: 0.0, max: 0.0, optimal: 0.0 },
     neck: { min: 0.0, max: 0.0, optimal: 0.0 },
     feet: { min: 0.0, max: 0.0, optimal: 0.0 },
+    footwear: { min: 0.02, max: 0.04, optimal: 0.02 },
     riskLevel: 'low',
     alert: 'green'
   },
   // 10-15°C
   10: {
     core: { min: 0.3, max: 0.7, optimal: 0.5 },
+    legs: { min: 0.2, max: 0.35, optimal: 0.24 },
     head: { min: 0.0, max: 0.05, optimal: 0.0 },
     hands: { min: 0.0, max: 0.0, optimal: 0.0 },
     neck: { min: 0.0, max: 0.05, optimal: 0.0 },
     feet: { min: 0.0, max: 0.0, optimal: 0.0 },
+    footwear: { min: 0.02, max: 0.05, optimal: 0.02 },
     riskLevel: 'low-moderate',
     alert: 'green'
   },
   // 7-10°C
   7: {
     core: { min: 0.6, max: 0.9, optimal: 0.85 },
+    legs: { min: 0.2, max: 0.4, optimal: 0.24 },
     head: { min: 0.0, max: 0.05, optimal: 0.05 },
     hands: { min: 0.0, max: 0.05, optimal: 0.0 },
     neck: { min: 0.0, max: 0.03, optimal: 0.02 },
     feet: { min: 0.0, max: 0.04, optimal: 0.0 },
+    footwear: { min: 0.02, max: 0.06, optimal: 0.02 },
     riskLevel: 'low',
     alert: 'green'
   },
   // 5-7°C (UKHSA 6°C threshold)
   5: {
     core: { min: 0.8, max: 1.0, optimal: 0.9 },
+    legs: { min: 0.22, max: 0.45, optimal: 0.3 },
     head: { min: 0.02, max: 0.08, optimal: 0.04 },
     hands: { min: 0.00, max: 0.06, optimal: 0.03 },
     neck: { min: 0.00, max: 0.06, optimal: 0.04 },
     feet: { min: 0.0, max: 0.04, optimal: 0.0 },
+    footwear: { min: 0.02, max: 0.08, optimal: 0.02 },
     riskLevel: 'moderate',
     alert: 'yellow'
   },
   // 2-5°C
   2: {
     core: { min: 1.1, max: 1.4, optimal: 1.25 },
+    legs: { min: 0.24, max: 0.5, optimal: 0.35 },
     head: { min: 0.05, max: 0.08, optimal: 0.08 },
     hands: { min: 0.05, max: 0.10, optimal: 0.10 },
     neck: { min: 0.00, max: 0.08, optimal: 0.08 },
     feet: { min: 0.00, max: 0.06, optimal: 0.04 },
+    footwear: { min: 0.03, max: 0.1, optimal: 0.08 },
     riskLevel: 'moderate',
     alert: 'yellow'
   },
   // 0-2°C (Freezing point)
   0: {
     core: { min: 1.2, max: 1.55, optimal: 1.4 },
+    legs: { min: 0.3, max: 0.55, optimal: 0.39 },
     head: { min: 0.05, max: 0.10, optimal: 0.08 },
     hands: { min: 0.05, max: 0.15, optimal: 0.10 },
     neck: { min: 0.05, max: 0.08, optimal: 0.08 },
     feet: { min: 0.04, max: 0.06, optimal: 0.06 },
+    footwear: { min: 0.06, max: 0.1, optimal: 0.08 },
     riskLevel: 'moderate',
     alert: 'yellow',
     maxExposure: 45
@@ -310,10 +767,12 @@ export const TEMP_REQUIREMENTS = {
   // <0°C (Below freezing)
   '-5': {
     core: { min: 1.5, max: 1.9, optimal: 1.7 },
+    legs: { min: 0.35, max: 0.6, optimal: 0.45 },
     head: { min: 0.08, max: 0.10, optimal: 0.10 },
     hands: { min: 0.10, max: 0.15, optimal: 0.15 },
     neck: { min: 0.05, max: 0.08, optimal: 0.08 },
     feet: { min: 0.04, max: 0.06, optimal: 0.06 },
+    footwear: { min: 0.08, max: 0.12, optimal: 0.08 },
     riskLevel: 'high',
     alert: 'amber',
     maxExposure: 20,
@@ -322,10 +781,12 @@ export const TEMP_REQUIREMENTS = {
   // -10°C and below (Extreme cold - minimum supported temperature)
   '-10': {
     core: { min: 1.6, max: 2.0, optimal: 1.8 },
+    legs: { min: 0.38, max: 0.65, optimal: 0.5 },
     head: { min: 0.10, max: 0.10, optimal: 0.10 },
     hands: { min: 0.15, max: 0.15, optimal: 0.15 },
     neck: { min: 0.08, max: 0.08, optimal: 0.08 },
     feet: { min: 0.06, max: 0.06, optimal: 0.06 },
+    footwear: { min: 0.08, max: 0.12, optimal: 0.1 },
     riskLevel: 'severe',
     alert: 'red',
     maxExposure: 10,
@@ -333,28 +794,625 @@ export const TEMP_REQUIREMENTS = {
   }
 };
 
+// Weather corrections applied on top of air temperature
+// Wind chill: Environment Canada / JAG-TI index (valid <=10°C, wind >=4.8 km/h)
+// Heat index: NWS Rothfusz regression (valid >=27°C)
+// Damp cold and sunshine: simplified from Steadman's apparent temperature
+export const WEATHER_FACTORS = {
+  windChill: {
+    maxTemp: 10,          // °C - index not defined above this
+    minWind: 4.8,         // km/h - calm below this
+    gustWeight: 0.3       // Share of gust excess added to mean wind speed
+  },
+  heatIndex: {
+    minTemp: 27           // °C - index not defined below this
+  },
+  dampCold: {
+    maxTemp: 10,          // °C - damp only feels colder when it's cold
+    minHumidity: 75,      // % RH where dampness starts to matter
+    maxDelta: -1.5        // °C at 100% RH
+  },
+  sun: {
+    fullSun: 800,         // W/m² - clear-sky midday shortwave radiation
+    maxGain: 3.0,         // °C felt in full, calm sunshine
+    windDamping: 15       // km/h - wind speed that halves the sun's effect
+  }
+};
+
+// Rain, sleet and snow handling
+export const PRECIPITATION = {
+  likelyProbability: 40,    // % chance at which rain/snow is expected
+  requireProbability: 60,   // % chance at which a waterproof outer is required
+  minAmount: 0.1,           // mm/h - anything falling now counts (and requires waterproof)
+  sleetMaxTemp: 2,          // °C - rain and snow mix at or below this
+  // Share of insulation lost when a layer gets soaked (no waterproof outer)
+  // Wet fibres conduct heat far better than trapped air (Havenith et al.)
+  wetInsulationLoss: {
+    base: 0.05,
+    mid: 0.20,
+    outer: 0.35
+  },
+  snowWetness: 0.5          // Dry snow soaks in at roughly half the rate of rain
+};
+
+// Ground conditions underfoot - decide footwear grip and height
+// Ground frost: surface at or below 0°C; without a ground reading the air can be a few
+// degrees warmer than the ground on clear, still nights (Met Office)
+export const GROUND_CONDITIONS = {
+  frostGroundTemp: 0,       // °C - ground (soil surface) temperature for frost
+  frostAirTemp: 2,          // °C - air temperature fallback when no ground reading
+  frostGrip: 0.6,           // Minimum grip on frost or ice
+  snowGrip: 0.8,            // Minimum grip on lying snow
+  minSnowDepth: 0.5         // cm - lying snow that counts as snow underfoot
+};
+
+// Activity levels - MET values from the Compendium of Physical Activities (Ainsworth et al. 2011)
+// airSpeed: wind created by moving (km/h), added to weather wind for wind chill
+// TEMP_REQUIREMENTS assume standing still (waiting)
+export const ACTIVITY_LEVELS = {
+  'waiting': { name: 'Waiting at a bus stop', met: 1.3, airSpeed: 0 },
+  'gardening': { name: 'Gardening', met: 3.5, airSpeed: 0 },
+  'walking': { name: 'Walking', met: 2.8, airSpeed: 4 },
+  'brisk-walking': { name: 'Brisk walking', met: 4.3, airSpeed: 6 },
+  'cycling': { name: 'Cycling', met: 6.8, airSpeed: 18 },
+  'running': { name: 'Running', met: 8.3, airSpeed: 10 }
+};
+
+// How metabolic heat reduces the insulation needed (simplified from ISO 11079 IREQ)
+// Required CLO scales with (restingMet / met) ^ exponent
+export const ACTIVITY_SCALING = {
+  restingMet: 1.3,
+  coreExponent: 0.6,        // Core warms up quickly with effort
+  extremityExponent: 0.3,   // Hands, feet and head benefit less (blood goes to working muscles)
+  // Never scale below a top, a pair of trousers and a pair of shoes
+  minimums: {
+    core: { min: 0.15, max: 0.3, optimal: 0.2 },
+    legs: { min: 0.1, max: 0.3, optimal: 0.24 },
+    footwear: { min: 0.02, max: 0.04, optimal: 0.02 }
+  }
+};
+
+// Planned time outside - short dashes rely on stored body heat, long spells drain it
+// Required CLO scales with (minutes / referenceMinutes) ^ exponent, clamped to [minFactor, maxFactor]
+// TEMP_REQUIREMENTS assume roughly half an hour outside
+export const EXPOSURE_SCALING = {
+  referenceMinutes: 30,
+  coreExponent: 0.15,
+  extremityExponent: 0.25,  // Fingers and toes cool steadily the longer you stay out
+  minFactor: 0.7,
+  maxFactor: 1.35
+};
+
 // Age/Gender CLO adjustments (medical guidelines)
 export const ADJUSTMENTS = {
   gender: {
-    female: { core: 0.15 },  // Women feel cold ~3°C warmer
+    female: { core: 0.15, reason: 'Women tend to feel the cold at around 3°C warmer' },
     male: { core: 0.0 }
   },
   age: {
-    infant: { core: 0.25 },        // 0-2: Heat loss 4x faster
-    child: { core: 0.10 },          // 3-12
-    teen: { core: 0.05 },           // 13-17
-    adult: { core: 0.0 },           // 18-64
-    elderly: { core: 0.15 },        // 65-80: Reduced thermoregulation, thinner fat layer
-    'very-elderly': { core: 0.30 }  // 80+: Further metabolic decline, reduced vasoconstriction
+    infant: { core: 0.25, reason: 'Babies lose heat up to 4 times faster than adults' },        // 0-2
+    child: { core: 0.10, reason: 'Children lose heat faster than adults' },                     // 3-12
+    teen: { core: 0.05, reason: 'Teenagers lose heat a little faster than adults' },            // 13-17
+    adult: { core: 0.0 },                                                                       // 18-64
+    elderly: { core: 0.15, reason: 'Over 65s keep less heat in (slower thermoregulation, thinner fat layer)' },  // 65-80
+    'very-elderly': { core: 0.30, reason: 'Over 80s produce less heat and narrow blood vessels less in the cold' }  // 80+
+  }
+};
+
+// Infants (0-2) - NHS and Lullaby Trust advice
+// Sleepsuits and snowsuits cover legs and feet, and scarves are a strangling risk,
+// so those zones are skipped; carriers give warmth of their own (clo) but need a snug fit
+export const INFANT = {
+  carrierMaxBulk: 0.5,      // Thickest layer a car seat harness or sling still fits snugly over
+  skipZones: ['legs', 'neck', 'footwear'],
+  snowsuitMaxTemp: 5,       // °C - below this a pram outfit needs an all-in-one outer for the legs
+  carriers: {
+    'pram': { name: 'Pram or buggy', clo: 0 },
+    'car-seat': {
+      name: 'Car seat',
+      clo: 0.4,             // Thick blanket or footmuff over the fastened harness
+      noBulky: true,
+      advice: 'Take off coats and snowsuits in the car seat - they stop the harness fitting snugly. Tuck a blanket over the straps instead.'
+    },
+    'sling': {
+      name: 'Sling or carrier',
+      clo: 0.4,             // Carer's body heat, with their coat around both
+      noBulky: true,
+      advice: "No bulky coat in a sling - your body keeps baby warm. Zip your coat around you both and keep baby's face clear."
+    }
+  }
+};
+
+// Baby sleep (nursery room temperature) - Lullaby Trust safe sleep guidance
+// Sleepwear plus exactly one baby sleeping bag; never hats or loose bedding
+// 1 TOG = 0.1 m²·K/W = 0.645 CLO
+export const SLEEP_ITEMS = {
+  sleepwear: {
+    'vest': {
+      clo: 0.15,
+      name: 'Short-sleeve bodysuit',
+      file: 'base/vest-underlayer.png',
+      category: 'base',
+      zone: 'core',
+      coverage: { torso: 1, arms: 0.5 },
+      bulk: 0.05,
+      infantOnly: true
+    },
+    'long-sleeve-bodysuit': {
+      clo: 0.2,
+      name: 'Long-sleeve bodysuit',
+      file: 'base/long-sleeve-top.png',
+      category: 'base',
+      zone: 'core',
+      infantOnly: true
+    },
+    'baby-sleepsuit': {
+      clo: 0.3,
+      name: 'Sleepsuit',
+      file: 'base/baby-sleepsuit.png',
+      category: 'base',
+      zone: 'core',
+      coverage: { torso: 1, arms: 1, legs: 1 },
+      infantOnly: true,
+      allInOne: true
+    }
+  },
+  sleepingBags: {
+    'sleeping-bag-0.5': {
+      clo: 0.32,
+      tog: 0.5,
+      name: '0.5 TOG sleeping bag',
+      file: 'outer/sleeping-bag.png',
+      category: 'outer',
+      zone: 'core',
+      infantOnly: true
+    },
+    'sleeping-bag-1.0': {
+      clo: 0.65,
+      tog: 1.0,
+      name: '1.0 TOG sleeping bag',
+      file: 'outer/sleeping-bag.png',
+      category: 'outer',
+      zone: 'core',
+      infantOnly: true
+    },
+    'sleeping-bag-2.5': {
+      clo: 1.61,
+      tog: 2.5,
+      name: '2.5 TOG sleeping bag',
+      file: 'outer/sleeping-bag.png',
+      category: 'outer',
+      zone: 'core',
+      infantOnly: true
+    },
+    'sleeping-bag-3.5': {
+      clo: 2.26,
+      tog: 3.5,
+      name: '3.5 TOG sleeping bag',
+      file: 'outer/sleeping-bag.png',
+      category: 'outer',
+      zone: 'core',
+      infantOnly: true
+    }
+  }
+};
+
+// Whole-body CLO (sleepwear + sleeping bag) by nursery temperature
+// Bands follow the usual room temperature / TOG charts; the ideal room is 16-20°C
+export const SLEEP_REQUIREMENTS = {
+  // 27°C+
+  27: {
+    core: { min: 0.3, max: 0.55, optimal: 0.47 },
+    riskLevel: 'high',
+    alert: 'amber',
+    warning: 'Too warm for safe sleep - overheating raises the risk of SIDS. Cool the room if you can.'
+  },
+  // 24-27°C
+  24: {
+    core: { min: 0.45, max: 0.85, optimal: 0.6 },
+    riskLevel: 'moderate',
+    alert: 'yellow',
+    warning: 'Warmer than the ideal 16-20°C - check baby is not too hot.'
+  },
+  // 22-24°C
+  22: {
+    core: { min: 0.75, max: 1.1, optimal: 0.95 },
+    riskLevel: 'low',
+    alert: 'green'
+  },
+  // 20-22°C
+  20: {
+    core: { min: 1.5, max: 2.0, optimal: 1.8 },
+    riskLevel: 'low',
+    alert: 'green'
+  },
+  // 18-20°C
+  18: {
+    core: { min: 1.75, max: 2.2, optimal: 1.91 },
+    riskLevel: 'low',
+    alert: 'green'
+  },
+  // 16-18°C
+  16: {
+    core: { min: 2.0, max: 2.7, optimal: 2.36 },
+    riskLevel: 'low',
+    alert: 'green'
+  },
+  // Below 16°C
+  14: {
+    core: { min: 2.4, max: 2.9, optimal: 2.7 },
+    riskLevel: 'moderate',
+    alert: 'yellow',
+    warning: 'Cooler than the ideal 16-20°C - use the warmest sleeping bag and check baby\'s chest or back of neck.'
+  }
+};
+
+export const SLEEP = {
+  breakpoints: [27, 24, 22, 20, 18, 16, 14],
+  idealMin: 16,             // °C - Lullaby Trust ideal nursery range
+  idealMax: 20
+};
+
+// Indoor (keeping warm at home) - everyday clothes plus wraps, a lap blanket and slippers
+// Outdoor temperature restrictions (e.g. leggings only at 10°C and below) don't apply to room temperatures
+function indoorWear(group, keys) {
+  return Object.fromEntries(keys.map(key => {
+    const { tempRestriction, ...item } = CLOTHING_ITEMS[group][key];
+    return [key, item];
+  }));
+}
+
+export const INDOOR_ITEMS = {
+  base: indoorWear('base', ['vest', 'baby-sleepsuit', 'baby-long-sleeve-top', 't-shirt', 'long-sleeve-top', 'long-sleeve-shirt', 'thermal-top']),
+  legs: {
+    ...indoorWear('legs', ['thermal-leggings', 'trousers', 'lined-trousers']),
+    'lap-blanket': {
+      clo: 0.4,
+      name: 'Blanket over your lap',
+      file: 'outer/blanket.png',
+      category: 'outer',
+      zone: 'legs'
+    }
+  },
+  mid: indoorWear('mid', ['baby-cardigan', 'baby-fleece', 'cardigan', 'jumper', 'hoodie', 'fleece', 'thick-jumper', 'thick-shirt', 'thin-jumper', 'wool-jumper', 'turtleneck', 'quilted-gilet']),
+  wraps: {
+    'shoulder-throw': {
+      clo: 0.3,
+      name: 'Throw round your shoulders',
+      file: 'outer/blanket.png',
+      category: 'outer',
+      zone: 'core'
+    },
+    'dressing-gown': {
+      clo: 0.35,
+      name: 'Dressing gown',
+      file: 'outer/dressing-gown.png',
+      category: 'outer',
+      zone: 'core'
+    }
+  },
+  head: indoorWear('head', ['hat']),
+  neck: indoorWear('neck', ['scarf']),
+  feet: indoorWear('feet', ['socks', 'thick-socks', 'thermal-socks', 'double-socks']),
+  footwear: {
+    'slippers': {
+      clo: 0.03,
+      name: 'Slippers',
+      file: 'accessories/slippers.png',
+      category: 'footwear',
+      zone: 'footwear'
+    },
+    'slipper-boots': {
+      clo: 0.07,
+      name: 'Slipper boots',
+      file: 'accessories/slippers.png',
+      category: 'footwear',
+      zone: 'footwear'
+    }
   }
 };
 
+// Whole-outfit CLO for sitting at home (1.0 MET) by room temperature - ISO 7730 / ASHRAE 55
+// comfort zone (about 1 CLO at 20-21°C), extended below 18°C where UKHSA warns of health risks
+export const INDOOR_REQUIREMENTS = {
+  // 24°C+
+  24: {
+    core: { min: 0.2, max: 0.45, optimal: 0.3 },
+    legs: { min: 0.15, max: 0.3, optimal: 0.24 },
+    footwear: { min: 0.0, max: 0.04, optimal: 0.03 },
+    riskLevel: 'low',
+    alert: 'green'
+  },
+  // 21-24°C
+  21: {
+    core: { min: 0.3, max: 0.6, optimal: 0.45 },
+    legs: { min: 0.2, max: 0.35, optimal: 0.24 },
+    footwear: { min: 0.0, max: 0.05, optimal: 0.03 },
+    riskLevel: 'low',
+    alert: 'green'
+  },
+  // 18-21°C
+  18: {
+    core: { min: 0.5, max: 0.85, optimal: 0.7 },
+    legs: { min: 0.24, max: 0.45, optimal: 0.35 },
+    feet: { min: 0.0, max: 0.05, optimal: 0.04 },
+    footwear: { min: 0.03, max: 0.07, optimal: 0.03 },
+    riskLevel: 'low',
+    alert: 'green'
+  },
+  // 16-18°C
+  16: {
+    core: { min: 0.7, max: 1.05, optimal: 0.9 },
+    legs: { min: 0.35, max: 0.7, optimal: 0.5 },
+    feet: { min: 0.04, max: 0.06, optimal: 0.06 },
+    footwear: { min: 0.03, max: 0.08, optimal: 0.07 },
+    riskLevel: 'moderate',
+    alert: 'yellow',
+    warning: 'Below 18°C - UKHSA recommends heating the rooms you use to at least 18°C. Cold homes raise blood pressure and the risk of chest infections.'
+  },
+  // 14-16°C
+  14: {
+    core: { min: 0.9, max: 1.3, optimal: 1.1 },
+    legs: { min: 0.45, max: 0.85, optimal: 0.65 },
+    head: { min: 0.0, max: 0.05, optimal: 0.05 },
+    feet: { min: 0.04, max: 0.06, optimal: 0.06 },
+    footwear: { min: 0.05, max: 0.08, optimal: 0.07 },
+    riskLevel: 'high',
+    alert: 'amber',
+    warning: 'Cold room - below 16°C the risk of heart attack and stroke rises, especially for older people. Heat at least one room to 18°C if you can.'
+  },
+  // 12-14°C
+  12: {
+    core: { min: 1.05, max: 1.5, optimal: 1.3 },
+    legs: { min: 0.55, max: 1.0, optimal: 0.8 },
+    head: { min: 0.05, max: 0.05, optimal: 0.05 },
+    neck: { min: 0.0, max: 0.05, optimal: 0.05 },
+    feet: { min: 0.05, max: 0.06, optimal: 0.06 },
+    footwear: { min: 0.05, max: 0.08, optimal: 0.07 },
+    riskLevel: 'severe',
+    alert: 'red',
+    warning: 'Dangerously cold room - extra clothes only go so far. Get help to heat your home: contact your energy supplier or local council.'
+  },
+  // Below 12°C
+  10: {
+    core: { min: 1.2, max: 1.65, optimal: 1.45 },
+    legs: { min: 0.65, max: 1.05, optimal: 0.9 },
+    head: { min: 0.05, max: 0.05, optimal: 0.05 },
+    neck: { min: 0.0, max: 0.05, optimal: 0.05 },
+    feet: { min: 0.05, max: 0.06, optimal: 0.06 },
+    footwear: { min: 0.05, max: 0.08, optimal: 0.07 },
+    riskLevel: 'severe',
+    alert: 'red',
+    warning: 'Dangerously cold room - extra clothes only go so far. Get help to heat your home: contact your energy supplier or local council.'
+  }
+};
+
+export const INDOOR = {
+  breakpoints: [24, 21, 18, 16, 14, 12, 10],
+  recommendedMin: 18,       // °C - UKHSA minimum for rooms you use
+  activity: { key: 'sitting', name: 'Sitting at home', met: 1.0 }
+};
+
+// Learned personal calibration from "how did it feel" ratings after an outing
+// A "too cold" rating implies the zone needed at least what was worn above the recommendation plus
+// one step (too warm likewise below); offsets are averaged per felt-temperature range and zone
+export const CALIBRATION = {
+  ranges: [
+    { key: 'freezing', name: 'Below 3°C', max: 3 },
+    { key: 'cold', name: '3-10°C', max: 10 },
+    { key: 'mild', name: '10°C and above', max: Infinity }
+  ],
+  zones: ['core', 'legs', 'head', 'hands', 'neck', 'feet'],
+  // CLO one "too cold" or "too warm" is worth - about one light garment or accessory per zone
+  step: { core: 0.15, legs: 0.08, head: 0.03, hands: 0.03, neck: 0.02, feet: 0.03 },
+  maxSteps: 4,              // Offsets never exceed this many steps either way
+  priorRatings: 2,          // Ratings' worth of "no change" every offset starts from
+  neighbourWeight: 0.5,     // Ratings in the next range up or down count half
+  maxRatings: 60,           // Oldest ratings dropped beyond this
+  sliderStep: 0.25          // Core CLO per step of the old -2..+2 warmth slider
+};
+
+// Layering rules - every outfit is checked against these while it is built and again as a whole
+//   id           - shown with rejection counts (which rules threw out which candidate outfits)
+//   type         - the check the engine runs (see LAYERING RULES in engine.js)
+//   params       - the zone(s) it looks at plus the check's thresholds
+//   when         - optional: modes / exceptModes, ages / exceptAges, snugCarrier, wet (rain or snow expected),
+//                  waterproof (a waterproof outer is required)
+//   explanation  - why an outfit was rejected; {name} fills in a param or a detail of the broken rule
+// Listed in the order they are checked - an outfit is reported against the first rule it breaks
+export const LAYERING_RULES = [
+  {
+    id: 'one-outer-layer',
+    type: 'maxLayers',
+    params: { zone: 'core', categories: ['outer'], max: 1 },
+    explanation: 'Only one coat or jacket at a time'
+  },
+  {
+    id: 'max-mid-layers',
+    type: 'maxLayers',
+    params: { zone: 'core', categories: ['mid'], max: 2 },
+    explanation: 'No more than {max} jumpers, fleeces or cardigans - any more is too bulky'
+  },
+  {
+    id: 'max-base-layers',
+    type: 'maxLayers',
+    // Vulnerable groups can add a third base layer at 5°C and below
+    params: { zone: 'core', categories: ['base'], max: 2, cold: { max: 3, maxTemp: 5, ages: ['elderly', 'very-elderly', 'infant', 'child'] } },
+    explanation: 'No more than {max} base layers'
+  },
+  {
+    id: 'base-foundation',
+    type: 'foundation',
+    params: { zone: 'core', category: 'base', minLayers: 2, maxBulk: SKIN_LAYER_MAX_BULK },
+    explanation: 'Two or more base layers need a thin one against the skin, like a t-shirt or vest'
+  },
+  {
+    id: 'vest-not-alone',
+    type: 'notAlone',
+    params: { zone: 'core', category: 'base', maxArms: 0 },
+    when: { exceptAges: ['infant'] },     // A baby's bodysuit vest is fine on its own
+    explanation: 'A {item} goes under a t-shirt or long-sleeve top, not on its own'
+  },
+  {
+    id: 'no-double-jumper',
+    type: 'exclusive',
+    params: { zone: 'core', keys: ['jumper', 'thick-jumper', 'thin-jumper', 'wool-jumper', 'turtleneck'] },
+    explanation: 'One jumper at a time - a {items} together is one too many'
+  },
+  {
+    id: 'gilet-needs-sleeves',
+    type: 'sleeves',
+    params: { zone: 'core', category: 'mid', maxArms: 0 },
+    explanation: 'A {item} has no sleeves - wear it over something long-sleeved'
+  },
+  {
+    id: 'mid-layers-under-coat',
+    type: 'maxUnderOuter',
+    // Mid-layer CLO allowed under heavier coats, from coldMax at coldTemp down to warmMax at warmTemp
+    // (lighter outers have no limit)
+    params: {
+      zone: 'core',
+      tiers: [
+        { minOuterCLO: 0.49, coldMax: 1.00, warmMax: 0.50 },  // Heavy coat
+        { minOuterCLO: 0.37, coldMax: 0.95, warmMax: 0.55 }   // Regular coat
+      ],
+      coldTemp: -15,
+      warmTemp: 15
+    },
+    explanation: 'Too much under a {outer} - no more than {maxCLO} CLO of mid layers at this temperature'
+  },
+  {
+    id: 'heavy-mids-need-coat',
+    type: 'needsOuter',
+    // Mid-layer CLO allowed without an outer: midCLO at belowTemp, perDegree more for each degree colder
+    params: { zone: 'core', belowTemp: 2, midCLO: 0.50, perDegree: 0.05 },
+    when: { snugCarrier: false },         // A car seat blanket or sling stands in for the coat
+    explanation: 'Below {belowTemp}°C heavy mid layers need a coat over them'
+  },
+  {
+    id: 'sleeping-bag',
+    type: 'requires',
+    params: { zone: 'core', category: 'outer', property: 'tog' },
+    when: { modes: ['sleep'] },
+    explanation: 'Baby needs a sleeping bag'
+  },
+  {
+    id: 'sleepwear-in-bag',
+    type: 'requires',
+    params: { zone: 'core', category: 'base' },
+    when: { modes: ['sleep'] },
+    explanation: 'Baby needs sleepwear inside the sleeping bag'
+  },
+  {
+    id: 'clear-cot',
+    type: 'empty',
+    params: { zones: ['legs', 'head', 'hands', 'neck', 'feet', 'footwear'] },
+    when: { modes: ['sleep'] },
+    explanation: 'No hats or loose bedding in the cot'
+  },
+  {
+    id: 'top-under-indoor-layers',
+    type: 'requires',
+    params: { zone: 'core', category: 'base' },
+    when: { modes: ['indoor'] },
+    explanation: 'Wraps and jumpers go over a top'
+  },
+  {
+    id: 'infant-sleepsuit',
+    type: 'requires',
+    params: { zone: 'core', category: 'base', property: 'allInOne' },
+    when: { ages: ['infant'], exceptModes: ['sleep'] },
+    explanation: 'Baby needs a sleepsuit underneath'
+  },
+  {
+    id: 'snug-in-carrier',
+    type: 'forbids',
+    params: { zone: 'core', bulkOver: INFANT.carrierMaxBulk },
+    when: { ages: ['infant'], exceptModes: ['sleep'], snugCarrier: true },
+    explanation: 'No {item} in a {carrier} - the harness or sling needs a snug fit'
+  },
+  {
+    id: 'infant-snowsuit',
+    type: 'requires',
+    params: { zone: 'core', category: 'outer', property: 'allInOne', belowTemp: INFANT.snowsuitMaxTemp },
+    when: { ages: ['infant'], exceptModes: ['sleep'], snugCarrier: false },
+    explanation: "Below {belowTemp}°C baby's legs need a snowsuit"
+  },
+  {
+    id: 'one-pair-of-shoes',
+    type: 'maxLayers',
+    params: { zone: 'footwear', max: 1 },
+    explanation: 'One pair of shoes at a time'
+  },
+  {
+    id: 'one-leg-layer-each',
+    type: 'maxLayers',
+    params: { zone: 'legs', categories: ['base', 'mid', 'outer'], max: 1 },
+    explanation: 'Only one {category} leg layer at a time'
+  },
+  {
+    id: 'trousers',
+    type: 'requires',
+    params: { zone: 'legs', category: 'mid' },
+    when: { exceptAges: ['infant'], exceptModes: ['sleep'] },  // Sleepsuits and sleeping bags cover the legs
+    explanation: 'Leggings and overtrousers go with trousers'
+  },
+  {
+    id: 'overtrousers-when-wet',
+    type: 'forbids',
+    params: { zone: 'legs', category: 'outer', property: 'waterproof' },
+    when: { wet: false },
+    explanation: 'Overtrousers only when rain or snow is expected'
+  },
+  {
+    id: 'one-pair-of-socks',
+    type: 'exclusive',
+    params: { zone: 'feet', keys: ['socks', 'thick-socks', 'thermal-socks', 'double-socks'] },
+    explanation: 'One pair of socks at a time - for more, double up on socks'
+  },
+  {
+    id: 'one-pair-of-warm-gloves',
+    type: 'exclusive',
+    params: { zone: 'hands', keys: ['thick-gloves', 'insulated-gloves', 'mittens'] },
+    explanation: 'Thin gloves can go under {items}, but not both'
+  },
+  {
+    id: 'one-hat',
+    type: 'exclusive',
+    params: { zone: 'head', keys: ['hat', 'warm-hat', 'hat-ear-coverage'] },
+    explanation: 'One hat at a time - not a {items} together'
+  },
+  {
+    id: 'waterproof-outer',
+    type: 'requires',
+    params: { zone: 'core', category: 'outer', property: 'waterproof', unlessShortfall: 'waterproof' },
+    when: { waterproof: true },
+    explanation: 'A waterproof outer layer is needed for the {precipitation}'
+  },
+  {
+    id: 'warm-when-wet',
+    type: 'wetWarmth',
+    params: { zone: 'core' },
+    when: { wet: true },
+    explanation: 'Not warm enough once the layers get wet'
+  }
+];
+
 // Practicality scores for sorting combinations
 export const PRACTICALITY_WEIGHTS = {
   fewerItems: 2.0,          // Prefer fewer items
   commonItems: 1.5,         // Prefer common items (t-shirt, jumper)
   properLayering: 3.0,      // Base < Mid < Outer
-  avoidRedundancy: 2.5      // Don't mix similar items
+  avoidRedundancy: 2.5,     // Don't mix similar items
+  waterproofOuter: 30,      // Waterproof outer when rain/snow is likely
+  windproofOuter: 10,       // Windproof outer when wind chill adds layers (less for less wind resistance)
+  breathability: 100,       // Penalty per unit below 0.5 breathability on dry days
+  skinLayer: 25,            // A thin base layer against the skin (t-shirt, vest)...
+  thermalLayer: 15,         // ...with a long-sleeved base layer over it
+  bulk: 10,                 // Penalty per unit of core bulk over bulkLimit...
+  bulkLimit: 1.5,           // ...about a t-shirt, thermal, thick jumper and winter coat
+  zoneFit: 10,              // Legs, accessories and footwear at their optimal CLO...
+  zoneFitHalfway: 0.025     // ...worth half as much this many CLO away
 };
 
 // Common item frequency (likelihood of items being in people's homes)
@@ -370,22 +1428,58 @@ export const ITEM_FREQUENCY = {
   'thermal-top': 0.5,
   'thermal-leggings': 0.4,
   'pyjama-bottoms': 0.6,
+  'trousers': 1.3,
+  'lined-trousers': 0.4,
+  'waterproof-overtrousers': 0.3,
   'fleece': 1.0,
   'thick-jumper': 0.7,
   'thick-shirt': 0.6,
+  'thin-jumper': 0.8,
+  'wool-jumper': 0.6,
+  'turtleneck': 0.5,
+  'quilted-gilet': 0.5,
   'light-jacket': 0.7,
+  'raincoat': 0.6,
+  'waterproof-jacket': 0.7,
   'winter-coat': 0.6,
-  'heavy-winter-coat': 0.4,
+  'padded-coat': 0.5,
+  'windbreaker': 0.5,
+  'denim-jacket': 0.6,
+  'spring-coat': 0.5,
   'hat': 0.8,
   'warm-hat': 0.7,
+  'hat-ear-coverage': 0.4,
   'balaclava': 0.3,
   'gloves': 0.8,
+  'thick-gloves': 0.6,
   'insulated-gloves': 0.6,
   'mittens': 0.5,
   'scarf': 0.8,
   'thick-scarf': 0.6,
   'neck-warmer': 0.7,
+  'socks': 1.3,
   'thick-socks': 0.6,
   'thermal-socks': 0.5,
-  'double-socks': 0.9
+  'double-socks': 0.9,
+  'baby-sleepsuit': 1.0,
+  'baby-cardigan': 0.8,
+  'baby-long-sleeve-top': 0.9,
+  'baby-fleece': 0.7,
+  'baby-mittens': 0.8,
+  'long-sleeve-bodysuit': 0.9,
+  'sleeping-bag-0.5': 0.6,
+  'sleeping-bag-1.0': 0.8,
+  'sleeping-bag-2.5': 0.8,
+  'sleeping-bag-3.5': 0.6,
+  'baby-coat': 0.6,
+  'snowsuit': 0.6,
+  'lap-blanket': 0.9,
+  'shoulder-throw': 0.7,
+  'dressing-gown': 0.9,
+  'slippers': 1.2,
+  'slipper-boots': 0.5,
+  'trainers': 1.3,
+  'waterproof-shoes': 0.6,
+  'insulated-boots': 0.5,
+  'snow-boots': 0.3
 };
@@ -1,7 +1,65 @@
 /**
- * WrapMeApp - Calculation Engine v1.9.0
+ * WrapMeApp - Calculation Engine v1.30.5
  * Warmth calculation guided by CLO values (approximate)
  *
+ * v1.30.5: Accessories swap with any other worn in the same place that suits the person (baby mittens for
+ *          mittens), in place of a hand-kept list of groups
+ * v1.30.4: findSubstitutes only offers swaps the layering rules allow in the old item's place, and nothing left
+ *          out or already worn
+ * v1.30.3: Zones calibration warms beyond anything there is get the warmest option, with a calibrated shortfall,
+ *          rather than no outfit at all
+ * v1.30.2: The trace counts the branches the outfit search explored (branches) - how much work it took, the same
+ *          on any machine
+ * v1.30.1: FASTER SEARCH - zone searches open the best-bounded branch first, the core bound charges the items
+ *          and extra base layers its bonuses need, and zone options merge through a binary heap
+ * v1.30.0: ITEM ATTRIBUTES - coverage, bulk, wind resistance, breathability and removability (getItemAttributes,
+ *          ITEM_DEFAULTS for what an item leaves out) drive the core score (skin and thermal layers, bulk, wind),
+ *          diversity (feel), layering rules and which layers come off, in place of item-key special cases
+ * v1.29.0: MORE GARMENTS - items may cover another zone (covers: a roll neck's collar counts towards the neck,
+ *          and the covered zone is searched for what's left) and have no or short sleeves (sleeves rule);
+ *          findSubstitutes groups for the new hats, gloves and socks
+ * v1.28.0: PINNED AND BANNED ITEMS - options.locks ({ pinned, banned } item keys) rerun the full search with
+ *          pinned items in every outfit (whatever the temperature) and banned ones left out; the heuristic
+ *          replaceItem is gone (a swap pins the new item and bans the old one)
+ * v1.27.0: CLO ESTIMATOR - estimateClo derives CLO and a confidence range from garment type, length, fabric,
+ *          thickness and fit; used for described custom items and catalog items given construction in place of clo
+ * v1.26.0: CUSTOM ITEMS - options.customItems (the user's own clothes: group, warmth level, photo) join the
+ *          outdoor catalog via getCustomItem, so the search, wardrobe and findSubstitutes treat them as built-in
+ * v1.25.0: RECOMMENDATION TRACE - getRecommendations returns outfits with a trace: final per-zone requirements,
+ *          the adjustments that fired (age, gender, activity, calibration...), and why each option was picked
+ *          (diversity breakdown); getOutfitBreakdown gives each item's share of its zone
+ * v1.24.0: LAYERING RULE ENGINE - isValidCombination and the outfit search evaluate the declarative
+ *          LAYERING_RULES (monotone rules while building, the rest on finished outfits); combinations
+ *          carry rejections, the count and example candidates each rule threw out
+ * v1.23.0: EXACT OUTFIT SEARCH - findCombinations returns the provably best N outfits: each zone is searched
+ *          branch-and-bound on its share of the practicality score (layering limits applied while building),
+ *          then zones are merged best-first; ties go to more common items, then item keys. Legs, accessories
+ *          and footwear are scored on closeness to their optimal CLO (zoneFit)
+ * v1.22.0: PERSONAL CALIBRATION - fitCalibration learns per-range, per-zone offsets from "too cold / too warm"
+ *          ratings, applied to outdoor requirements in place of the single warmth slider value
+ * v1.21.0: TRIP PACKING LIST - getPackingList picks one outfit per day of a trip so the fewest
+ *          different items cover every day (reuse across days), getDayConditions shared with day planner
+ * v1.20.0: DAY PLANNER - getDayRecommendations dresses for the coldest hour of an hourly forecast,
+ *          planLayerChanges says when to take layers off and put them back on
+ * v1.19.0: INDOOR MODE - Room temperature while sitting at home drives its own requirement table and
+ *          item set (everyday layers, wraps, lap blanket, slippers), flagged below UKHSA's 18°C
+ * v1.18.0: BABY SLEEP MODE - Nursery temperature drives a separate requirement table and item set
+ *          (sleepwear + one TOG sleeping bag, no hats or loose bedding), options.mode = 'sleep'
+ * v1.17.0: INFANTS - Baby garments only (adult-only items hidden), vest foundation, sleepsuit required,
+ *          pram/car seat/sling carriers (no bulky layers in a harness or sling)
+ * v1.16.0: FOOTWEAR - One pair per outfit, chosen for warmth and ground conditions (frost, lying
+ *          snow depth, wet), footwear substitutes only with footwear
+ * v1.15.0: LEGS ZONE - Trousers, leggings and overtrousers searched separately with their own
+ *          layering rules (leggings under trousers, overtrousers only for rain/snow)
+ * v1.14.0: WARDROBE - Search limited to owned items (requirements.wardrobe), best-effort outfits
+ *          with per-zone shortfalls when owned clothes can't meet the requirement
+ * v1.13.0: EXPOSURE DURATION - Planned minutes outside scale requirements, checked against maxExposure
+ * v1.12.0: ACTIVITY LEVEL - MET value scales core/extremity requirements, movement adds to wind chill
+ * v1.11.0: PRECIPITATION - Waterproof outer required/preferred for rain, sleet and snow
+ *          Wet insulation loss for unprotected layers, windproof and breathability scoring
+ * v1.10.0: WEATHER-AWARE REQUIREMENTS - Engine takes full observations (wind, gusts, humidity, sun)
+ *          Own wind chill / heat index correction instead of Open-Meteo's apparent temperature
+ *          Requirements carry a per-factor breakdown (how much CLO is for wind vs cold)
  * v1.9.0: SMOOTH TEMPERATURE REQUIREMENTS - Linear interpolation for CLO requirements
  *         COMPLETE FIX: -15°C and -1°C now generate different recommendations
  *         Temperature requirements scale smoothly across all temperatures
@@ -18,33 +76,268 @@
  * v1.6.0: Auto-rebalancing after substitutions, simple math operations
  */
 
-import { CLOTHING_ITEMS, TEMP_REQUIREMENTS, ADJUSTMENTS, PRACTICALITY_WEIGHTS, ITEM_FREQUENCY } from './config.js';
+import { CLOTHING_ITEMS, TEMP_REQUIREMENTS, ADJUSTMENTS, PRACTICALITY_WEIGHTS, ITEM_FREQUENCY, WEATHER_FACTORS, PRECIPITATION, ACTIVITY_LEVELS, ACTIVITY_SCALING, EXPOSURE_SCALING, ZONES, GARMENT_ZONES, GROUND_CONDITIONS, INFANT, SLEEP_ITEMS, SLEEP_REQUIREMENTS, SLEEP, INDOOR_ITEMS, INDOOR_REQUIREMENTS, INDOOR, CALIBRATION, LAYERING_RULES, CUSTOM_ITEMS, CLO_ESTIMATION, ITEM_DEFAULTS, SKIN_LAYER_MAX_BULK } from './config.js';
+
+// ===================================
+// WEATHER CORRECTIONS
+// ===================================
+
+/**
+ * Normalise weather input into an observation object
+ * Accepts a plain temperature (manual slider) or a recorded observation:
+ * { temperature, windSpeed, windGusts, humidity, cloudCover, solarRadiation, isDay,
+ *   precipitationProbability, precipitation, rain, snowfall, snowDepth, groundTemperature }
+ * Wind in km/h, humidity, cloud cover and probability in %, solar radiation in W/m²,
+ * precipitation and rain in mm, snowfall and snow depth in cm, ground temperature in °C
+ */
+export function normalizeObservation(weather) {
+  if (typeof weather === 'number') {
+    return { temperature: weather };
+  }
+  return { ...weather };
+}
+
+/**
+ * Wind chill index (Environment Canada / JAG-TI, metric)
+ * Returns the felt temperature, or air temperature outside the valid range
+ */
+export function calculateWindChill(temp, windSpeed) {
+  const { maxTemp, minWind } = WEATHER_FACTORS.windChill;
+  if (temp > maxTemp || !windSpeed || windSpeed < minWind) {
+    return temp;
+  }
+  const v = Math.pow(windSpeed, 0.16);
+  const windChill = 13.12 + 0.6215 * temp - 11.37 * v + 0.3965 * temp * v;
+  return Math.min(temp, windChill);
+}
+
+/**
+ * Heat index (NWS Rothfusz regression, converted to °C)
+ * Returns the felt temperature, or air temperature outside the valid range
+ */
+export function calculateHeatIndex(temp, humidity) {
+  if (temp < WEATHER_FACTORS.heatIndex.minTemp || humidity === undefined) {
+    return temp;
+  }
+  const t = temp * 9 / 5 + 32;
+  const rh = humidity;
+  const heatIndexF = -42.379 + 2.04901523 * t + 10.14333127 * rh
+    - 0.22475541 * t * rh - 0.00683783 * t * t - 0.05481717 * rh * rh
+    + 0.00122874 * t * t * rh + 0.00085282 * t * rh * rh
+    - 0.00000199 * t * t * rh * rh;
+  return Math.max(temp, (heatIndexF - 32) * 5 / 9);
+}
+
+/**
+ * Estimate shortwave radiation when only cloud cover is known
+ * Kasten-Czeplak cloud attenuation applied to clear-sky full sun (an upper bound)
+ */
+function estimateSolarRadiation(observation) {
+  if (observation.solarRadiation !== undefined) {
+    return observation.solarRadiation;
+  }
+  if (observation.cloudCover === undefined || observation.isDay === 0) {
+    return 0;
+  }
+  const cloudFraction = observation.cloudCover / 100;
+  return WEATHER_FACTORS.sun.fullSun * (1 - 0.75 * Math.pow(cloudFraction, 3.4));
+}
+
+/**
+ * Split felt temperature into per-factor corrections (°C)
+ * wind: wind chill (gusts partly counted), humidity: damp cold or heat index,
+ * sun: warming from solar radiation, damped by wind
+ */
+export function getEffectiveTemperature(weather) {
+  const observation = normalizeObservation(weather);
+  const air = observation.temperature;
+  const { gustWeight } = WEATHER_FACTORS.windChill;
+  const { dampCold, sun } = WEATHER_FACTORS;
+
+  // Gusts strip warm air from clothing too, so count part of the excess
+  const meanWind = observation.windSpeed || 0;
+  const gustExcess = Math.max(0, (observation.windGusts || 0) - meanWind);
+  const effectiveWind = meanWind + gustWeight * gustExcess;
+  const wind = calculateWindChill(air, effectiveWind) - air;
+
+  let humidity = 0;
+  if (observation.humidity !== undefined) {
+    if (air <= dampCold.maxTemp && observation.humidity > dampCold.minHumidity) {
+      const dampness = (observation.humidity - dampCold.minHumidity) / (100 - dampCold.minHumidity);
+      humidity = dampCold.maxDelta * dampness;
+    } else {
+      humidity = calculateHeatIndex(air, observation.humidity) - air;
+    }
+  }
+
+  const radiation = estimateSolarRadiation(observation);
+  const sunShare = Math.min(1, radiation / sun.fullSun);
+  const sunDelta = sun.maxGain * sunShare * (sun.windDamping / (sun.windDamping + effectiveWind));
+
+  return {
+    air,
+    wind,
+    humidity,
+    sun: sunDelta,
+    temperature: air + wind + humidity + sunDelta
+  };
+}
+
+/**
+ * Classify expected rain, sleet or snow
+ * expected: worth preferring a waterproof outer
+ * requiresWaterproof: falling now or likely enough that only waterproof outers are valid
+ */
+export function getPrecipitationOutlook(weather) {
+  const observation = normalizeObservation(weather);
+  const probability = observation.precipitationProbability || 0;
+  const amount = observation.precipitation || 0;
+  const rain = observation.rain || 0;
+  const snowfall = observation.snowfall || 0;
+
+  const fallingNow = amount >= PRECIPITATION.minAmount || snowfall > 0;
+  const expected = fallingNow || probability >= PRECIPITATION.likelyProbability;
+
+  let type = 'none';
+  if (expected) {
+    if (snowfall > 0) {
+      type = rain > 0 || observation.temperature > 0 ? 'sleet' : 'snow';
+    } else if (observation.temperature <= 0) {
+      type = 'snow';
+    } else if (observation.temperature <= PRECIPITATION.sleetMaxTemp) {
+      type = 'sleet';
+    } else {
+      type = 'rain';
+    }
+  }
+
+  return {
+    type,
+    probability,
+    amount,
+    snowfall,
+    expected,
+    requiresWaterproof: expected && (fallingNow || type === 'sleet' || probability >= PRECIPITATION.requireProbability)
+  };
+}
+
+/**
+ * Core CLO once rain or snow has soaked through
+ * Layers lose insulation unless a waterproof outer layer shields them
+ */
+export function calculateWetCLO(coreItems, precipitation) {
+  const dryCLO = coreItems.reduce((sum, item) => sum + item.clo, 0);
+  if (!precipitation || !precipitation.expected) {
+    return dryCLO;
+  }
+
+  const isShielded = coreItems.some(item => item.category === 'outer' && item.waterproof);
+  if (isShielded) {
+    return dryCLO;
+  }
+
+  const wetness = precipitation.type === 'snow' ? PRECIPITATION.snowWetness : 1;
+  return coreItems.reduce((sum, item) => {
+    const loss = PRECIPITATION.wetInsulationLoss[item.category] || 0;
+    return sum + item.clo * (1 - loss * wetness);
+  }, 0);
+}
+
+/**
+ * Classify the ground underfoot and what footwear it calls for
+ * Frost from the ground temperature when known, otherwise from the air temperature;
+ * falling snow counts as lying snow
+ */
+export function getGroundConditions(weather) {
+  const observation = normalizeObservation(weather);
+  const precipitation = getPrecipitationOutlook(weather);
+
+  const frost = observation.groundTemperature !== undefined && observation.groundTemperature !== null
+    ? observation.groundTemperature <= GROUND_CONDITIONS.frostGroundTemp
+    : observation.temperature <= GROUND_CONDITIONS.frostAirTemp;
+  const snowDepth = Math.max(observation.snowDepth || 0, observation.snowfall || 0);
+  const snow = snowDepth >= GROUND_CONDITIONS.minSnowDepth;
+  const wet = precipitation.expected || snow;
+
+  let minGrip = 0;
+  if (frost) minGrip = GROUND_CONDITIONS.frostGrip;
+  if (snow) minGrip = GROUND_CONDITIONS.snowGrip;
+
+  return {
+    frost,
+    snow,
+    snowDepth,
+    wet,
+    minGrip,
+    waterproof: wet
+  };
+}
+
+/**
+ * Check a pair of shoes is safe and dry for the ground conditions
+ */
+export function meetsGroundConditions(item, ground) {
+  if (!ground) return true;
+  if ((item.grip || 0) < ground.minGrip) return false;
+  if (ground.waterproof && !item.waterproof) return false;
+  if (ground.snow && (item.maxSnowDepth || 0) < ground.snowDepth) return false;
+  return true;
+}
+
+/**
+ * Get temperature requirement band for given weather
+ * Accepts a plain temperature or a full observation (see normalizeObservation)
+ * Attaches a weather breakdown showing how much core CLO each factor adds
+ */
+export function getTemperatureBand(weather) {
+  const feelsLike = getEffectiveTemperature(weather);
+  const band = interpolateTemperatureBand(feelsLike.temperature);
+
+  // Attribute core CLO to each factor by applying corrections one at a time
+  const coldOnly = interpolateTemperatureBand(feelsLike.air).core.optimal;
+  const withWind = interpolateTemperatureBand(feelsLike.air + feelsLike.wind).core.optimal;
+  const withHumidity = interpolateTemperatureBand(feelsLike.air + feelsLike.wind + feelsLike.humidity).core.optimal;
+
+  return {
+    ...band,
+    precipitation: getPrecipitationOutlook(weather),
+    ground: getGroundConditions(weather),
+    weather: {
+      airTemperature: feelsLike.air,
+      feelsLike: feelsLike.temperature,
+      coldCLO: coldOnly,
+      factors: {
+        wind: { temp: feelsLike.wind, clo: withWind - coldOnly },
+        humidity: { temp: feelsLike.humidity, clo: withHumidity - withWind },
+        sun: { temp: feelsLike.sun, clo: band.core.optimal - withHumidity }
+      }
+    }
+  };
+}
+
+// Outdoor breakpoints (the -10 band only caps scaled requirements)
+const TEMP_BREAKPOINTS = [15, 10, 7, 5, 2, 0, -5];
 
 /**
- * Get temperature requirement band for given temperature
+ * Interpolate requirement band for a (felt) temperature
  * v1.9.0: SMOOTH INTERPOLATION - Linear interpolation between temperature bands
  * This ensures -15°C and -1°C are treated differently
+ * table/breakpoints: another requirement table (e.g. baby sleep), zones it leaves out need nothing
  */
-export function getTemperatureBand(temp) {
+function interpolateTemperatureBand(temp, table = TEMP_REQUIREMENTS, breakpoints = TEMP_BREAKPOINTS) {
   // Define temperature breakpoints in descending order
-  const bands = [
-    { temp: 15, key: 15 },
-    { temp: 10, key: 10 },
-    { temp: 7, key: 7 },
-    { temp: 5, key: 5 },
-    { temp: 2, key: 2 },
-    { temp: 0, key: 0 },
-    { temp: -5, key: '-5' }
-  ];
+  const bands = breakpoints.map(bandTemp => ({ temp: bandTemp, key: bandTemp }));
+  const highest = bands[0];
+  const lowest = bands[bands.length - 1];
 
   // Handle temperatures at or above highest band
-  if (temp >= 15) {
-    return TEMP_REQUIREMENTS[15];
+  if (temp >= highest.temp) {
+    return withAllZones(table[highest.key]);
   }
 
   // Handle temperatures at or below lowest band
-  if (temp <= -5) {
-    return TEMP_REQUIREMENTS['-5'];
+  if (temp <= lowest.temp) {
+    return withAllZones(table[lowest.key]);
   }
 
   // Find the two bands to interpolate between
@@ -60,13 +353,13 @@ export function getTemperatureBand(temp) {
   // If exact match, return that band
   for (const band of bands) {
     if (temp === band.temp) {
-      return TEMP_REQUIREMENTS[band.key];
+      return withAllZones(table[band.key]);
     }
   }
 
   // Interpolate between upper and lower bands
-  const upperReq = TEMP_REQUIREMENTS[upperBand.key];
-  const lowerReq = TEMP_REQUIREMENTS[lowerBand.key];
+  const upperReq = withAllZones(table[upperBand.key]);
+  const lowerReq = withAllZones(table[lowerBand.key]);
 
   // Calculate interpolation factor (0 = lower temp, 1 = upper temp)
   const factor = (temp - lowerBand.temp) / (upperBand.temp - lowerBand.temp);
@@ -74,32 +367,17 @@ export function getTemperatureBand(temp) {
   // Interpolate all CLO values
   const interpolate = (lower, upper) => lower + factor * (upper - lower);
 
+  const zones = {};
+  for (const zone of ZONES) {
+    zones[zone] = {
+      min: interpolate(lowerReq[zone].min, upperReq[zone].min),
+      max: interpolate(lowerReq[zone].max, upperReq[zone].max),
+      optimal: interpolate(lowerReq[zone].optimal, upperReq[zone].optimal)
+    };
+  }
+
   return {
-    core: {
-      min: interpolate(lowerReq.core.min, upperReq.core.min),
-      max: interpolate(lowerReq.core.max, upperReq.core.max),
-      optimal: interpolate(lowerReq.core.optimal, upperReq.core.optimal)
-    },
-    head: {
-      min: interpolate(lowerReq.head.min, upperReq.head.min),
-      max: interpolate(lowerReq.head.max, upperReq.head.max),
-      optimal: interpolate(lowerReq.head.optimal, upperReq.head.optimal)
-    },
-    hands: {
-      min: interpolate(lowerReq.hands.min, upperReq.hands.min),
-      max: interpolate(lowerReq.hands.max, upperReq.hands.max),
-      optimal: interpolate(lowerReq.hands.optimal, upperReq.hands.optimal)
-    },
-    neck: {
-      min: interpolate(lowerReq.neck.min, upperReq.neck.min),
-      max: interpolate(lowerReq.neck.max, upperReq.neck.max),
-      optimal: interpolate(lowerReq.neck.optimal, upperReq.neck.optimal)
-    },
-    feet: {
-      min: interpolate(lowerReq.feet.min, upperReq.feet.min),
-      max: interpolate(lowerReq.feet.max, upperReq.feet.max),
-      optimal: interpolate(lowerReq.feet.optimal, upperReq.feet.optimal)
-    },
+    ...zones,
     riskLevel: lowerReq.riskLevel, // Use lower (colder) band's risk level
     alert: lowerReq.alert,
     maxExposure: lowerReq.maxExposure,
@@ -108,46 +386,318 @@ export function getTemperatureBand(temp) {
 }
 
 /**
- * Apply age/gender adjustments to requirements
+ * Fill in zones a requirement band leaves out (nothing needed there)
+ */
+function withAllZones(band) {
+  const filled = { ...band };
+  for (const zone of ZONES) {
+    if (!filled[zone]) {
+      filled[zone] = { min: 0, max: 0, optimal: 0 };
+    }
+  }
+  return filled;
+}
+
+/**
+ * Get activity with its requirement scaling factors
+ * Unknown activities fall back to standing still (no change)
  */
-export function getAdjustedRequirements(temp, ageCategory, gender) {
-  const baseReqs = getTemperatureBand(temp);
+export function getActivityFactors(activity = 'waiting') {
+  const level = ACTIVITY_LEVELS[activity] || ACTIVITY_LEVELS.waiting;
+  const ratio = ACTIVITY_SCALING.restingMet / level.met;
+  return {
+    key: ACTIVITY_LEVELS[activity] ? activity : 'waiting',
+    ...level,
+    core: Math.min(1, Math.pow(ratio, ACTIVITY_SCALING.coreExponent)),
+    extremities: Math.min(1, Math.pow(ratio, ACTIVITY_SCALING.extremityExponent))
+  };
+}
+
+/**
+ * Get requirement scaling factors for planned time outside
+ * No duration = no scaling (requirements as calibrated)
+ */
+export function getExposureFactors(minutes) {
+  if (!minutes || minutes <= 0) {
+    return { core: 1, extremities: 1 };
+  }
+  const { referenceMinutes, coreExponent, extremityExponent, minFactor, maxFactor } = EXPOSURE_SCALING;
+  const clamp = (value) => Math.max(minFactor, Math.min(maxFactor, value));
+  const ratio = minutes / referenceMinutes;
+  return {
+    core: clamp(Math.pow(ratio, coreExponent)),
+    extremities: clamp(Math.pow(ratio, extremityExponent))
+  };
+}
+
+/**
+ * Scale garment (core factor) and extremity requirements in place
+ * Garment zones never drop below a top and trousers; no zone asks for more than the
+ * extreme-cold band (which single accessories are sized to meet)
+ */
+function scaleRequirements(requirements, factors) {
+  if (factors.core === 1 && factors.extremities === 1) return;
+
+  const ceiling = TEMP_REQUIREMENTS['-10'];
+  for (const zone of ZONES) {
+    const isGarmentZone = GARMENT_ZONES.includes(zone);
+    const factor = isGarmentZone ? factors.core : factors.extremities;
+    const floor = ACTIVITY_SCALING.minimums[zone];
+    for (const key of ['min', 'max', 'optimal']) {
+      let scaled = requirements[zone][key] * factor;
+      if (floor) scaled = Math.max(floor[key], scaled);
+      requirements[zone][key] = Math.min(Math.max(ceiling[zone][key], requirements[zone][key]), scaled);
+    }
+  }
+}
+
+/**
+ * Optimal CLO per zone, to compare against after an adjustment (see recordAdjustment)
+ */
+function getOptimalSnapshot(requirements) {
+  return Object.fromEntries(ZONES.map(zone => [zone, requirements[zone].optimal]));
+}
+
+/**
+ * Note an adjustment that fired on requirements.adjustments, for the "why this outfit" trace
+ * effects: { zone: change in optimal CLO } since the snapshot taken before it (zones it left alone omitted)
+ * Copies the list, so requirement objects spread from this one keep their own history
+ */
+function recordAdjustment(requirements, source, reason, before = null) {
+  const effects = {};
+  if (before) {
+    for (const zone of ZONES) {
+      const change = Math.round((requirements[zone].optimal - before[zone]) * 100) / 100;
+      if (change !== 0) effects[zone] = change;
+    }
+  }
+  requirements.adjustments = [...(requirements.adjustments || []), { source, reason, effects }];
+}
+
+/**
+ * All items in an outfit, across every zone
+ */
+export function getOutfitItems(combination) {
+  return ZONES.flatMap(zone => combination[zone] || []);
+}
+
+/**
+ * Apply age/gender/activity/duration adjustments to requirements
+ * Accepts a plain temperature or a full weather observation
+ * options.activity: key from ACTIVITY_LEVELS, options.duration: planned minutes outside
+ */
+export function getAdjustedRequirements(weather, ageCategory, gender, options = {}) {
+  const { activity = 'waiting', duration = null, carrier = 'pram' } = options;
+  const activityFactors = getActivityFactors(activity);
+
+  // Moving through the air adds to the wind (cycling into a headwind feels colder)
+  const observation = normalizeObservation(weather);
+  if (activityFactors.airSpeed > 0) {
+    observation.windSpeed = (observation.windSpeed || 0) + activityFactors.airSpeed;
+    if (observation.windGusts !== undefined) {
+      observation.windGusts += activityFactors.airSpeed;
+    }
+  }
+
+  const baseReqs = getTemperatureBand(observation);
 
   // Clone requirements
   const adjusted = JSON.parse(JSON.stringify(baseReqs));
 
-  // Apply age adjustment
-  const ageAdj = ADJUSTMENTS.age[ageCategory] || { core: 0 };
-  adjusted.core.min += ageAdj.core;
-  adjusted.core.max += ageAdj.core;
-  adjusted.core.optimal += ageAdj.core;
+  // Apply activity scaling - metabolic heat replaces some insulation
+  let before = getOptimalSnapshot(adjusted);
+  scaleRequirements(adjusted, activityFactors);
+  adjusted.activity = activityFactors;
+  if (activityFactors.core !== 1 || activityFactors.extremities !== 1) {
+    recordAdjustment(adjusted, 'activity', `${activityFactors.name}: body heat from moving replaces some insulation`, before);
+  }
 
-  // Apply gender adjustment
-  const genderAdj = ADJUSTMENTS.gender[gender] || { core: 0 };
-  adjusted.core.min += genderAdj.core;
-  adjusted.core.max += genderAdj.core;
-  adjusted.core.optimal += genderAdj.core;
+  // Apply exposure duration scaling - short dashes need less, long spells more
+  const exposureFactors = getExposureFactors(duration);
+  before = getOptimalSnapshot(adjusted);
+  scaleRequirements(adjusted, exposureFactors);
+  if (exposureFactors.core !== 1 || exposureFactors.extremities !== 1) {
+    const longer = exposureFactors.core > 1 || exposureFactors.extremities > 1;
+    recordAdjustment(adjusted, 'duration', `${duration} minutes outside: ${longer ? 'a long spell needs more' : 'a short trip needs less'}`, before);
+  }
+
+  applyPersonAdjustments(adjusted, ageCategory, gender);
+
+  // Infants: a car seat blanket or sling adds warmth
+  adjusted.carrier = null;
+  if (ageCategory === 'infant') {
+    before = getOptimalSnapshot(adjusted);
+    const carrierConfig = INFANT.carriers[carrier] || INFANT.carriers.pram;
+    adjusted.carrier = { key: INFANT.carriers[carrier] ? carrier : 'pram', ...carrierConfig };
+    adjusted.core.min = Math.max(0, adjusted.core.min - carrierConfig.clo);
+    adjusted.core.max = Math.max(0, adjusted.core.max - carrierConfig.clo);
+    adjusted.core.optimal = Math.max(0, adjusted.core.optimal - carrierConfig.clo);
+    if (carrierConfig.clo > 0) {
+      recordAdjustment(adjusted, 'carrier', `${carrierConfig.name} adds warmth of its own`, before);
+    }
+  }
 
   // Adjust exposure time for elderly
   if (ageCategory === 'elderly' && adjusted.maxExposure) {
     adjusted.maxExposure = Math.floor(adjusted.maxExposure * 0.7);
+    recordAdjustment(adjusted, 'exposure-limit', `Safe time outside cut to ${adjusted.maxExposure} minutes for over 65s`);
   }
 
+  // Compare planned time outside with the safe limit
+  adjusted.exposure = {
+    plannedMinutes: duration,
+    maxMinutes: adjusted.maxExposure || null,
+    exceedsLimit: Boolean(duration && adjusted.maxExposure && duration > adjusted.maxExposure),
+    factors: exposureFactors
+  };
+
   return adjusted;
 }
 
+/**
+ * Apply age and gender core adjustments (in place)
+ * Infants: all-in-ones cover legs and feet and scarves are unsafe, so those zones need nothing
+ */
+function applyPersonAdjustments(requirements, ageCategory, gender) {
+  const ageAdj = ADJUSTMENTS.age[ageCategory] || { core: 0 };
+  const genderAdj = ADJUSTMENTS.gender[gender] || { core: 0 };
+  for (const adj of [ageAdj, genderAdj]) {
+    if (!adj.core) continue;
+    const before = getOptimalSnapshot(requirements);
+    requirements.core.min += adj.core;
+    requirements.core.max += adj.core;
+    requirements.core.optimal += adj.core;
+    recordAdjustment(requirements, adj === ageAdj ? 'age' : 'gender', adj.reason, before);
+  }
+
+  requirements.ageCategory = ageCategory;
+  if (ageCategory === 'infant') {
+    const before = getOptimalSnapshot(requirements);
+    for (const zone of INFANT.skipZones) {
+      requirements[zone] = { min: 0, max: 0, optimal: 0 };
+    }
+    recordAdjustment(requirements, 'infant-zones', 'Sleepsuits and snowsuits cover legs and feet, and scarves are unsafe for babies', before);
+  }
+}
+
+/**
+ * Check whether a wardrobe ({ itemKey: quantity }) covers an item
+ * Items with requiresOwned (e.g. double socks) need enough of another item instead
+ */
+export function isItemOwned(item, wardrobe) {
+  const need = item.requiresOwned || { key: item.key, quantity: 1 };
+  return (wardrobe[need.key] || 0) >= need.quantity;
+}
+
+/**
+ * Requirements for a baby asleep in a nursery at the given room temperature
+ * Same shape as getAdjustedRequirements so the outdoor search, validation and scoring apply;
+ * items come from SLEEP_ITEMS instead of the outdoor catalog
+ */
+export function getSleepRequirements(roomTemperature) {
+  const temperature = typeof roomTemperature === 'number' ? roomTemperature : roomTemperature.temperature;
+  const requirements = interpolateTemperatureBand(temperature, SLEEP_REQUIREMENTS, SLEEP.breakpoints);
+  const noFactor = { temp: 0, clo: 0 };
+
+  return {
+    ...JSON.parse(JSON.stringify(requirements)),
+    mode: 'sleep',
+    catalog: SLEEP_ITEMS,
+    ageCategory: 'infant',
+    carrier: null,
+    precipitation: null,
+    ground: null,
+    room: {
+      temperature,
+      idealMin: SLEEP.idealMin,
+      idealMax: SLEEP.idealMax,
+      tooCold: temperature < SLEEP.idealMin,
+      tooWarm: temperature > SLEEP.idealMax
+    },
+    weather: {
+      airTemperature: temperature,
+      feelsLike: temperature,
+      coldCLO: requirements.core.optimal,
+      factors: { wind: noFactor, humidity: noFactor, sun: noFactor }
+    },
+    activity: null,
+    exposure: { plannedMinutes: null, maxMinutes: null, exceedsLimit: false, factors: { core: 1, extremities: 1 } }
+  };
+}
+
+/**
+ * Requirements for sitting at home at the given room temperature
+ * Heats the person rather than the room: INDOOR_REQUIREMENTS assume sedentary activity, so there
+ * is no activity or duration scaling; items come from INDOOR_ITEMS (wraps, lap blanket, slippers)
+ */
+export function getIndoorRequirements(roomTemperature, ageCategory, gender) {
+  const temperature = typeof roomTemperature === 'number' ? roomTemperature : roomTemperature.temperature;
+  const requirements = JSON.parse(JSON.stringify(
+    interpolateTemperatureBand(temperature, INDOOR_REQUIREMENTS, INDOOR.breakpoints)
+  ));
+  applyPersonAdjustments(requirements, ageCategory, gender);
+  const noFactor = { temp: 0, clo: 0 };
+
+  return {
+    ...requirements,
+    mode: 'indoor',
+    catalog: INDOOR_ITEMS,
+    carrier: null,
+    precipitation: null,
+    ground: null,
+    room: {
+      temperature,
+      recommendedMin: INDOOR.recommendedMin,
+      belowRecommended: temperature < INDOOR.recommendedMin
+    },
+    weather: {
+      airTemperature: temperature,
+      feelsLike: temperature,
+      coldCLO: requirements.core.optimal,
+      factors: { wind: noFactor, humidity: noFactor, sun: noFactor }
+    },
+    activity: { ...INDOOR.activity, core: 1, extremities: 1 },
+    exposure: { plannedMinutes: null, maxMinutes: null, exceedsLimit: false, factors: { core: 1, extremities: 1 } }
+  };
+}
+
+/**
+ * Check an item suits the age group
+ * Infants only get baby garments and baby-sized basics; baby garments are hidden for everyone else
+ */
+function isItemForAge(item, ageCategory) {
+  if (ageCategory === 'infant') {
+    return Boolean(item.infantOnly || item.infantSafe);
+  }
+  return !item.infantOnly;
+}
+
 /**
  * Get all clothing items as flat array
- * Filters items based on temperature restrictions
+ * Filters items based on temperature restrictions, age group and (optionally) the user's wardrobe
+ * catalog: item set to draw from (outdoor clothes by default, SLEEP_ITEMS or INDOOR_ITEMS)
+ * pinned: keys of items to keep whatever the temperature (the user has chosen to wear them)
  */
-function getAllItems(temp = 10) {
+function getAllItems(temp = 10, wardrobe = null, ageCategory = 'adult', catalog = CLOTHING_ITEMS, pinned = []) {
   const items = [];
-  for (const zone in CLOTHING_ITEMS) {
-    for (const key in CLOTHING_ITEMS[zone]) {
-      const item = { key, ...CLOTHING_ITEMS[zone][key] };
+  for (const zone in catalog) {
+    for (const key in catalog[zone]) {
+      const item = { key, ...catalog[zone][key] };
+      if (item.clo === undefined && item.construction) {
+        item.clo = estimateClo(item.construction).clo;
+      }
+
+      if (!isItemForAge(item, ageCategory)) {
+        continue;
+      }
+
+      // Only clothes the user actually owns
+      if (wardrobe && !isItemOwned(item, wardrobe)) {
+        continue;
+      }
 
       // Check temperature restrictions
-      if (item.tempRestriction) {
+      if (item.tempRestriction && !pinned.includes(key)) {
         if (item.tempRestriction.max !== undefined && temp > item.tempRestriction.max) {
           continue; // Skip this item if temp is above max
         }
@@ -163,246 +713,1054 @@ function getAllItems(temp = 10) {
 }
 
 /**
- * Find all combinations that meet CLO requirements
- * Uses dynamic programming / knapsack approach
+ * Zone and layer category for a CLOTHING_ITEMS group (legs say their own layer: base, mid or outer)
  */
-export function findCombinations(requirements, maxCombinations = 50, temp = 10, ageCategory = 'adult') {
-  const allItems = getAllItems(temp);
-  const combinations = [];
+function getGroupPlacement(group, legsCategory) {
+  if (['base', 'mid', 'outer'].includes(group)) return { zone: 'core', category: group };
+  if (group === 'legs') return { zone: 'legs', category: legsCategory };
+  return { zone: group, category: group === 'footwear' ? 'footwear' : 'accessory' };
+}
 
-  // Separate items by zone
-  const itemsByZone = {
-    core: allItems.filter(item => item.zone === 'core'),
-    head: allItems.filter(item => item.zone === 'head'),
-    hands: allItems.filter(item => item.zone === 'hands'),
-    neck: allItems.filter(item => item.zone === 'neck'),
-    feet: allItems.filter(item => item.zone === 'feet')
+/**
+ * Estimate a garment's CLO from how it is made (ISO 9920-style tables in CLO_ESTIMATION)
+ * garment: { type, length, fabric, thickness, fit } - only type is required; anything missing or
+ * unrecognised falls back to the usual (type's length, cotton, medium, regular fit) and widens the range
+ * Returns { clo, min, max, group, category } (min-max is the confidence range), or null for an unknown type
+ * Pure: same garment, same estimate
+ */
+export function estimateClo(garment) {
+  const type = garment && CLO_ESTIMATION.types[garment.type];
+  if (!type) return null;
+
+  const { uncertainty } = CLO_ESTIMATION;
+  const errors = [uncertainty.type];
+  const scale = (options, value, standard, error) => {
+    const known = value !== undefined && value !== null && Object.hasOwn(options, value);
+    errors.push(known ? error : uncertainty.unknown);
+    return known ? options[value].factor / options[standard].factor : 1;
   };
 
-  // Generate combinations for each zone
-  const coreCombos = generateZoneCombinations(itemsByZone.core, requirements.core, temp, ageCategory);
-  const headCombos = generateZoneCombinations(itemsByZone.head, requirements.head, temp, ageCategory);
-  const handsCombos = generateZoneCombinations(itemsByZone.hands, requirements.hands, temp, ageCategory);
-  const neckCombos = generateZoneCombinations(itemsByZone.neck, requirements.neck, temp, ageCategory);
-  const feetCombos = generateZoneCombinations(itemsByZone.feet, requirements.feet, temp, ageCategory);
-
-
-  // Combine all zones
-  for (const core of coreCombos.slice(0, 20)) {  // Limit to top 20 core combinations
-    for (const head of headCombos.slice(0, 3)) {
-      for (const hands of handsCombos.slice(0, 3)) {
-        for (const neck of neckCombos.slice(0, 3)) {
-          for (const feet of feetCombos.slice(0, 3)) {
-            const combo = {
-              core: core.items,
-              head: head.items,
-              hands: hands.items,
-              neck: neck.items,
-              feet: feet.items,
-              totalCLO: core.clo + head.clo + hands.clo + neck.clo + feet.clo,
-              coreCLO: core.clo,
-              meetsRequirements: true
-            };
-
-            combinations.push(combo);
-
-            if (combinations.length >= maxCombinations) {
-              return combinations;
-            }
-          }
-        }
+  const fabric = CLO_ESTIMATION.fabrics[garment.fabric];
+  let clo = type.clo;
+  if (type.length) {
+    clo *= scale(CLO_ESTIMATION.lengths[type.length], garment.length, type.standard, uncertainty.length);
+  }
+  clo *= scale(CLO_ESTIMATION.fabrics, garment.fabric, CLO_ESTIMATION.defaults.fabric, fabric && fabric.fill ? uncertainty.fill : uncertainty.fabric);
+  clo *= scale(CLO_ESTIMATION.thicknesses, garment.thickness, CLO_ESTIMATION.defaults.thickness, uncertainty.thickness);
+  clo *= scale(CLO_ESTIMATION.fits, garment.fit, CLO_ESTIMATION.defaults.fit, uncertainty.fit);
+
+  const spread = Math.sqrt(errors.reduce((sum, error) => sum + error * error, 0));
+  const round = (value) => Math.round(value * 100) / 100;
+  const { category } = getGroupPlacement(type.group, type.category);
+  return { clo: round(clo), min: round(clo * (1 - spread)), max: round(clo * (1 + spread)), group: type.group, category };
+}
+
+// Scoring and the layering rules look items up again and again while searching
+const itemAttributes = new WeakMap();
+
+/**
+ * An item's coverage, bulk, windResistance, breathability and removable - its own values, the rest from
+ * ITEM_DEFAULTS (by layer in the core, by zone elsewhere)
+ */
+function getItemAttributes(item) {
+  let attributes = itemAttributes.get(item);
+  if (!attributes) {
+    const defaults = ITEM_DEFAULTS[item.zone === 'core' ? item.category : item.zone];
+    attributes = {
+      coverage: { ...defaults.coverage, ...item.coverage },
+      bulk: item.bulk ?? defaults.bulk,
+      windResistance: item.windResistance ?? defaults.windResistance,
+      breathability: item.breathability ?? defaults.breathability,
+      removable: item.removable ?? defaults.removable
+    };
+    itemAttributes.set(item, attributes);
+  }
+  return attributes;
+}
+
+/**
+ * Catalog item for one of the user's own clothes
+ * definition: { key, name, group (CLOTHING_ITEMS group), category (legs only: base, mid or outer),
+ *               warmth (CUSTOM_ITEMS.warmth level) or construction (a garment for estimateClo),
+ *               waterproof, photo (data URL, optional) }
+ * Custom items are the person's own, so they suit their age; described tops get their sleeves' arm coverage,
+ * core layers a bulk from their warmth level; returns null for an incomplete definition
+ */
+export function getCustomItem(definition) {
+  const { key, name, group, warmth, construction = null, waterproof = false, photo = null } = definition;
+
+  // Described garment: estimated CLO (and, for legs, the layer it is worn as); otherwise the warmth level
+  const estimate = construction ? estimateClo(construction) : null;
+  const useEstimate = Boolean(estimate && estimate.group === group);
+  const { zone, category } = getGroupPlacement(group, useEstimate ? estimate.category : definition.category);
+
+  const levels = zone === 'legs' ? CUSTOM_ITEMS.clo.legs[category] : CUSTOM_ITEMS.clo[group];
+  if (!key || !name || !levels) return null;
+  const clo = useEstimate ? estimate.clo : levels[CUSTOM_ITEMS.warmth.indexOf(warmth)];
+  if (clo === undefined) return null;
+
+  const item = { key, name, clo, file: CUSTOM_ITEMS.icons[group], category, zone, custom: true, infantSafe: true };
+  if (photo) item.photo = photo;
+  if (waterproof && (category === 'outer' || zone === 'footwear')) {
+    item.waterproof = true;
+    item.windResistance = 1;
+  }
+  if (zone === 'footwear') {
+    Object.assign(item, waterproof ? CUSTOM_ITEMS.waterproofFootwear : CUSTOM_ITEMS.footwear);
+  }
+  // Described tops cover the arms as far as their sleeves go (a gilet needs something with sleeves)
+  const type = useEstimate ? CLO_ESTIMATION.types[construction.type] : null;
+  if (type && type.length === 'sleeves') {
+    const sleeves = CLO_ESTIMATION.lengths.sleeves;
+    const length = Object.hasOwn(sleeves, construction.length || '') ? construction.length : type.standard;
+    item.coverage = { torso: 1, arms: sleeves[length].arms };
+  }
+  // Core layers are as bulky as the warmth level their CLO reaches
+  if (zone === 'core') {
+    const level = Math.max(0, levels.filter(levelCLO => clo >= levelCLO).length - 1);
+    item.bulk = CUSTOM_ITEMS.bulk[category][level];
+  }
+  return item;
+}
+
+/**
+ * Outdoor catalog with the user's own clothes added to their groups (searched like built-in items)
+ */
+function getOutdoorCatalog(customItems) {
+  if (!customItems || customItems.length === 0) return CLOTHING_ITEMS;
+
+  const catalog = { ...CLOTHING_ITEMS };
+  for (const definition of customItems) {
+    const item = getCustomItem(definition);
+    if (item) {
+      catalog[definition.group] = { ...catalog[definition.group], [item.key]: item };
+    }
+  }
+  return catalog;
+}
+
+// ===================================
+// OUTFIT SEARCH
+// ===================================
+
+/**
+ * Find the best outfits that meet the CLO requirements - exactly, nothing truncated
+ * The layering rules and the practicality score split by zone (the core's layers, the legs'
+ * layers, one option per accessory zone), so each zone is searched on its own share of the
+ * score (branch-and-bound, rules applied while building) and the zones' best options are then
+ * merged best-first. Returns up to maxCombinations valid outfits, scored, best first
+ * limits (optional): { zone: n } - only combine each zone's n best options (more coats, fewer hats)
+ * With requirements.wardrobe set, zones the owned items can't satisfy fall back to the
+ * warmest owned option and the shortfall is recorded on each combination (likewise zones a personal
+ * calibration has warmed beyond anything there is - calibrated shortfalls)
+ * With requirements.locks set, every outfit includes the pinned items and none of the banned ones
+ * (pinned items still have to suit the age group, carrier and layering rules); zones that fall short
+ * for want of a banned item get the same best-effort fallback as the wardrobe
+ * Each combination also carries rejections: which LAYERING_RULES threw out how many candidates
+ */
+export function findCombinations(requirements, maxCombinations = 50, temp = 10, ageCategory = 'adult', limits = null) {
+  const wardrobe = requirements.wardrobe || null;
+  const { pinned, banned } = getLocks(requirements);
+  const available = getAllItems(temp, wardrobe, ageCategory, requirements.catalog, pinned);
+  const allItems = available.filter(item => !banned.includes(item.key));
+  // Zones the user has left something out of - falling short there is their call
+  const bannedZones = new Set(available.filter(item => banned.includes(item.key)).map(item => item.zone));
+  const isPinned = (item) => pinned.includes(item.key);
+  const shortfalls = [];
+  let precipitation = requirements.precipitation;
+
+  // Separate items by zone
+  const itemsByZone = {};
+  for (const zone of ZONES) {
+    itemsByZone[zone] = allItems.filter(item => item.zone === zone);
+  }
+
+  // Infants: always a sleepsuit, and nothing bulky under a car seat harness or in a sling
+  // (the car, or the carer's coat, keeps the rain off instead)
+  const coreOptions = {};
+  if (requirements.mode === 'sleep') {
+    coreOptions.requireOuter = true; // Always a sleeping bag...
+    coreOptions.requireBase = true;  // ...with sleepwear inside it
+  } else if (ageCategory === 'infant') {
+    coreOptions.requireAllInOne = true;
+    if (requirements.carrier && requirements.carrier.noBulky) {
+      itemsByZone.core = itemsByZone.core.filter(item => getItemAttributes(item).bulk <= INFANT.carrierMaxBulk);
+      if (precipitation) {
+        precipitation = { ...precipitation, expected: false, requiresWaterproof: false };
       }
     }
   }
 
-  return combinations;
+  // At home: a top under jumpers, throws and dressing gowns
+  if (requirements.mode === 'indoor') {
+    coreOptions.requireBase = true;
+  }
+
+  // Rain/snow: only waterproof outers count, and an outer layer is mandatory
+  const waterproofCore = itemsByZone.core.filter(item => item.category !== 'outer' || item.waterproof);
+
+  // Nothing waterproof in the wardrobe (or a pinned coat that isn't): fall back to plain search, and flag it
+  const pinnedOuter = itemsByZone.core.find(item => item.category === 'outer' && isPinned(item));
+  const hasWaterproofOuter = pinnedOuter ? Boolean(pinnedOuter.waterproof) : waterproofCore.some(item => item.category === 'outer');
+  if (precipitation && precipitation.expected && !hasWaterproofOuter) {
+    shortfalls.push(pinnedOuter ? { zone: 'core', type: 'waterproof', pinned: true } : { zone: 'core', type: 'waterproof' });
+    precipitation = { ...precipitation, expected: false, requiresWaterproof: false };
+  }
+  if (precipitation && precipitation.requiresWaterproof) {
+    itemsByZone.core = waterproofCore;
+    coreOptions.requireOuter = true;
+  }
+
+  // Overtrousers are only worth wearing when it's actually going to be wet (or when pinned)
+  if (!(precipitation && precipitation.expected)) {
+    itemsByZone.legs = itemsByZone.legs.filter(item => item.category !== 'outer' || !item.waterproof || isPinned(item));
+  }
+
+  // A pinned pair of shoes is the only pair
+  if (itemsByZone.footwear.some(isPinned)) {
+    itemsByZone.footwear = itemsByZone.footwear.filter(isPinned);
+  }
+
+  const zoneLimit = (zone) => Math.min(maxCombinations, (limits && limits[zone]) || maxCombinations);
+  // Every candidate a layering rule throws out is tallied against that rule
+  const situation = getRuleSituation(temp, ageCategory, requirements);
+  const context = { requirements, situation, shortfalls, rejections: {}, branches: 0 };
+  const searchOptions = (zone, requirement) => zone === 'core'
+    ? searchCore(itemsByZone.core, requirement, zoneLimit(zone), coreOptions, context)
+    : searchZone(getZoneSearch(itemsByZone[zone], requirement, zone, context), zoneLimit(zone), context);
+
+  // Core last: the other zones' shortfalls decide whether its wet-warmth check applies
+  const zoneOptions = {};
+  for (const zone of [...ZONES.filter(zone => zone !== 'core'), 'core']) {
+    if (zone === 'footwear') {
+      zoneOptions.footwear = getFootwearOptions(itemsByZone.footwear, requirements.footwear, requirements.ground, shortfalls, zoneLimit(zone));
+      continue;
+    }
+
+    zoneOptions[zone] = searchOptions(zone, requirements[zone]);
+    const calibrated = Boolean(requirements.calibration && requirements.calibration.offsets[zone] > 0);
+    if ((!wardrobe && !bannedZones.has(zone) && !calibrated) || zoneOptions[zone].length > 0) continue;
+
+    // Owned (or not banned) clothes can't reach the minimum: use the warmest option left instead
+    const requirement = requirements[zone];
+    const shortfall = { zone, type: 'warmth', required: requirement.min, achieved: 0, missing: requirement.min };
+    if (bannedZones.has(zone)) shortfall.banned = true;
+    else if (!wardrobe) shortfall.calibrated = true;
+    shortfalls.push(shortfall);
+
+    const candidates = searchOptions(zone, { min: 0, max: requirement.max, optimal: requirement.max });
+    shortfall.achieved = Math.max(0, ...candidates.map(option => option.clo));
+    shortfall.missing = requirement.min - shortfall.achieved;
+    const bestEffort = candidates.filter(option => option.clo >= shortfall.achieved - 0.05);
+    zoneOptions[zone] = bestEffort.length > 0 ? bestEffort : [{ items: [], clo: 0, score: 0 }];
+  }
+
+  // Core options that also warm another zone (a roll neck's collar) get that zone searched again for
+  // what's still missing, and each group is combined with its own options
+  const groups = getCoverGroups(zoneOptions.core).map(({ coverage, core }) => {
+    const options = { ...zoneOptions, core };
+    for (const [zone, clo] of Object.entries(coverage)) {
+      if (zone === 'footwear' || shortfalls.some(shortfall => shortfall.zone === zone)) continue;
+      const covered = searchOptions(zone, getCoveredRequirement(requirements[zone], clo));
+      if (covered.length > 0) options[zone] = covered;
+    }
+    return options;
+  });
+
+  // Combine the zones, best total first
+  const combinations = groups.flatMap(options => mergeZoneOptions(options, maxCombinations).map(indices => {
+    const combo = {};
+    ZONES.forEach((zone, z) => { combo[zone] = options[zone][indices[z]].items; });
+    combo.totalCLO = ZONES.reduce((sum, zone, z) => sum + options[zone][indices[z]].clo, 0);
+    combo.coreCLO = options.core[indices[ZONES.indexOf('core')]].clo;
+    combo.legsCLO = options.legs[indices[ZONES.indexOf('legs')]].clo;
+    combo.meetsRequirements = shortfalls.length === 0;
+    combo.shortfalls = shortfalls;
+    combo.rejections = context.rejections;
+    combo.branches = context.branches;
+    combo.targetOptimal = requirements.core.optimal;
+    combo.requirements = requirements;
+    combo.practicalityScore = calculatePracticalityScore(combo);
+    combo.commonItemsCount = countCommonItems(combo);
+    return combo;
+  }));
+
+  // Ties: more very common items first, then a fixed order so results never depend on search order
+  const signatures = new Map(combinations.map(combo => [combo, getOutfitItems(combo).map(item => item.key).join('+')]));
+  combinations.sort((a, b) =>
+    roundScore(b.practicalityScore) - roundScore(a.practicalityScore) ||
+    b.commonItemsCount - a.commonItemsCount ||
+    signatures.get(a).localeCompare(signatures.get(b))
+  );
+
+  return combinations.slice(0, maxCombinations);
+}
+
+/**
+ * Core options grouped by the warmth they also give other zones (covers), uncovered first
+ * Returns [{ coverage: { zone: CLO }, core: [options] }]
+ */
+function getCoverGroups(coreOptions) {
+  const groups = new Map([['', { coverage: {}, core: [] }]]);
+  for (const option of coreOptions) {
+    const coverage = getCoverage(option.items);
+    const key = Object.keys(coverage).sort().map(zone => `${zone}:${coverage[zone]}`).join(',');
+    if (!groups.has(key)) groups.set(key, { coverage, core: [] });
+    groups.get(key).core.push(option);
+  }
+  return [...groups.values()].filter(group => group.core.length > 0);
+}
+
+/**
+ * Warmth items give zones other than their own - { zone: CLO }
+ */
+function getCoverage(items) {
+  const coverage = {};
+  for (const item of items) {
+    for (const [zone, clo] of Object.entries(item.covers || {})) {
+      coverage[zone] = roundScore((coverage[zone] || 0) + clo);
+    }
+  }
+  return coverage;
+}
+
+/**
+ * What a zone still needs once clo of it is covered from elsewhere
+ */
+function getCoveredRequirement(requirement, clo) {
+  return {
+    ...requirement,
+    min: Math.max(0, requirement.min - clo),
+    optimal: requirement.optimal - clo,
+    max: Math.max(0, requirement.max - clo)
+  };
+}
+
+/**
+ * Items from other zones that cover this one, each counted at the warmth it gives here
+ */
+function getCover(combination, zone) {
+  const cover = [];
+  for (const other of ZONES) {
+    if (other === zone) continue;
+    for (const item of combination[other] || []) {
+      if (item.covers && item.covers[zone]) cover.push({ ...item, clo: item.covers[zone] });
+    }
+  }
+  return cover;
+}
+
+// Scores are sums of fractions - compare them at a fixed precision so equal outfits tie exactly
+function roundScore(score) {
+  return Math.round(score * 1e6) / 1e6;
 }
 
 /**
- * Generate combinations for a single zone
- * For core zone: Build from t-shirt as foundation, allow layering thermals on top
- * Allow up to 3 base layers for vulnerable populations in extreme cold
+ * Zone options' index combinations in order of total score (ZONES order, options best first)
+ * Starts from every zone's best option and steps one zone at a time to its next option, only
+ * ever stepping zones at or after the last one stepped, so each combination is reached once.
+ * Stops after the k best (keeping any that tie with the k-th)
  */
-function generateZoneCombinations(items, requirement, temp = 10, ageCategory = 'adult') {
-  const combinations = [];
-  const { min, max, optimal } = requirement;
+function mergeZoneOptions(zoneOptions, k) {
+  if (ZONES.some(zone => zoneOptions[zone].length === 0)) return [];
+
+  const totalScore = (indices) => roundScore(ZONES.reduce((sum, zone, z) => sum + zoneOptions[zone][indices[z]].score, 0));
+  // Highest score first, ties in the order they were reached
+  const before = (a, b) => a.score > b.score || (a.score === b.score && a.order < b.order);
+  const start = ZONES.map(() => 0);
+  const frontier = [{ indices: start, from: 0, score: totalScore(start), order: 0 }];
+  const picked = [];
+  let reached = 1;
+
+  while (frontier.length > 0) {
+    const node = heapPop(frontier, before);
+    if (picked.length >= k && node.score < picked[k - 1].score) break;
+    picked.push(node);
+
+    for (let z = node.from; z < ZONES.length; z++) {
+      if (node.indices[z] + 1 >= zoneOptions[ZONES[z]].length) continue;
+      const indices = [...node.indices];
+      indices[z]++;
+      heapPush(frontier, { indices, from: z, score: totalScore(indices), order: reached++ }, before);
+    }
+  }
 
-  // Determine max base layers based on temperature and age
-  // Allow 3 base layers for vulnerable populations (elderly, very-elderly, infant, child) in cold weather (≤5°C)
-  const isVulnerable = ['elderly', 'very-elderly', 'infant', 'child'].includes(ageCategory);
-  const isCold = temp <= 5;
-  const maxBaseLayers = (isVulnerable && isCold) ? 3 : 2;
+  return picked.map(node => node.indices);
+}
 
-  // If no requirement (min = max = 0), return empty combination
-  if (max === 0) {
-    return [{ items: [], clo: 0 }];
+/**
+ * Binary heap over an array - before(a, b) is true when a comes out first
+ */
+function heapPush(heap, node, before) {
+  let i = heap.push(node) - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (!before(heap[i], heap[parent])) break;
+    [heap[i], heap[parent]] = [heap[parent], heap[i]];
+    i = parent;
   }
+}
 
-  // Group items by category for core zone
-  const itemsByCategory = {};
-  for (const item of items) {
-    const cat = item.category || 'other';
-    if (!itemsByCategory[cat]) itemsByCategory[cat] = [];
-    itemsByCategory[cat].push(item);
-  }
-
-  // For core zone: enforce smart layering constraints during generation
-  const isCore = items.some(item => item.zone === 'core');
-
-  // Generate all possible combinations using recursive approach
-  function recurse(index, currentItems, currentCLO) {
-    // Smart constraints during generation
-    if (isCore) {
-      const baseItems = currentItems.filter(i => i.category === 'base');
-      const baseCount = baseItems.length;
-      const midCount = currentItems.filter(i => i.category === 'mid').length;
-      const outerCount = currentItems.filter(i => i.category === 'outer').length;
-
-      // NEW LAYERING RULES:
-      // - Can have up to 2-3 base layers depending on vulnerability and temperature
-      // - If 2+ base layers, must include t-shirt as foundation
-      // - max 2 mid, max 1 outer
-      if (baseCount > maxBaseLayers || midCount > 2 || outerCount > 1) {
-        return; // Skip this branch
-      }
+function heapPop(heap, before) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length === 0) return top;
+
+  heap[0] = last;
+  let i = 0;
+  for (;;) {
+    const left = 2 * i + 1;
+    const right = left + 1;
+    let first = i;
+    if (left < heap.length && before(heap[left], heap[first])) first = left;
+    if (right < heap.length && before(heap[right], heap[first])) first = right;
+    if (first === i) return top;
+    [heap[i], heap[first]] = [heap[first], heap[i]];
+    i = first;
+  }
+}
 
-      // If we have 2+ base layers, one MUST be t-shirt
-      if (baseCount >= 2) {
-        const hasTShirt = baseItems.some(item => item.key === 't-shirt');
-        if (!hasTShirt) {
-          return; // Skip - must have t-shirt as foundation
-        }
+/**
+ * Keep the k best options (score, then item keys), best first
+ */
+function insertOption(best, option, k) {
+  const isBetter = (a, b) => a.score > b.score || (a.score === b.score && a.signature < b.signature);
+  if (best.length >= k && !isBetter(option, best[k - 1])) return;
+
+  let at = best.length;
+  while (at > 0 && isBetter(option, best[at - 1])) at--;
+  best.splice(at, 0, option);
+  if (best.length > k) best.pop();
+}
+
+/**
+ * Branch-and-bound over one zone's item subsets, keeping the k best options by score
+ * search: {
+ *   items                       candidates, in search order
+ *   window: { min, max }        CLO an option has to land in
+ *   canAdd(chosen, item, from)  layering rules checked while building (from: the next position)
+ *   accept(chosen)              rules for a finished option
+ *   score(chosen, clo)          the zone's share of the practicality score
+ *   bound(chosen, clo, from)    best score anything built by adding items[from..] could reach
+ *   reach(chosen, from)         (optional) most CLO items[from..] could still add, default all of it
+ *   required                    (optional) items every option has to include (pinned by the user)
+ * }
+ * A branch is cut once it can't reach the CLO window or beat the k-th best option found so far
+ * context (optional): its branches count goes up by one for each branch explored
+ * Returns [{ items, clo, score }], best first
+ */
+function searchZone(search, k, context = null) {
+  const { items, window } = search;
+  const best = [];
+
+  // Items are added in search order, so a branch that passes a required item has left it out for good
+  const requiredAt = items.map((item, i) => (search.required || []).includes(item) ? i : -1).filter(i => i !== -1);
+
+  // Warmth still addable after each position (ignoring layer limits - an over-estimate)
+  const cloAfter = new Array(items.length + 1).fill(0);
+  for (let i = items.length - 1; i >= 0; i--) {
+    cloAfter[i] = cloAfter[i + 1] + items[i].clo;
+  }
+  const reach = search.reach || ((chosen, from) => cloAfter[from]);
+
+  const consider = (chosen, clo) => {
+    if (!search.accept(chosen)) return;
+    const signature = chosen.map(item => item.key).sort().join('+');
+    insertOption(best, { items: chosen, clo, score: roundScore(search.score(chosen, clo)), signature }, k);
+  };
+
+  // Branches open best bound first, so the k-th best score rises as early as it can and the
+  // search stops once no open branch could beat it
+  const before = (a, b) => a.bound > b.bound || (a.bound === b.bound && a.order < b.order);
+  const open = [{ from: 0, chosen: [], clo: 0, bound: Infinity, order: 0 }];
+  let opened = 1;
+
+  while (open.length > 0) {
+    const { from, chosen, clo, bound } = heapPop(open, before);
+    if (best.length >= k && bound < best[k - 1].score) break;
+    if (context) context.branches++;
+
+    const nextRequired = requiredAt.find(i => i >= from);
+    if (nextRequired === undefined && clo >= window.min && clo <= window.max) consider(chosen, clo);
+
+    const last = nextRequired === undefined ? items.length - 1 : nextRequired;
+    for (let i = from; i <= last; i++) {
+      const item = items[i];
+      const nextCLO = clo + item.clo;
+      if (nextCLO > window.max || nextCLO + cloAfter[i + 1] < window.min) continue;
+      if (!search.canAdd(chosen, item, i + 1)) continue;
+
+      const next = [...chosen, item];
+      if (nextCLO + reach(next, i + 1) < window.min) continue;
+      const nextBound = roundScore(search.bound(next, nextCLO, i + 1));
+      if (best.length >= k && nextBound < best[k - 1].score) continue;
+      heapPush(open, { from: i + 1, chosen: next, clo: nextCLO, bound: nextBound, order: opened++ }, before);
+    }
+  }
+
+  return best.map(({ items: optionItems, clo, score }) => ({ items: optionItems, clo, score }));
+}
+
+/**
+ * The user's pinned and banned item keys ({ pinned: [], banned: [] } when there are none)
+ */
+function getLocks(requirements) {
+  const locks = requirements.locks || {};
+  return { pinned: locks.pinned || [], banned: locks.banned || [] };
+}
+
+/**
+ * Items among a zone's candidates that the user has pinned
+ */
+function getPinnedItems(items, requirements) {
+  const { pinned } = getLocks(requirements);
+  return items.filter(item => pinned.includes(item.key));
+}
+
+/**
+ * CLO window a zone's options have to land in: up to 30% over the maximum, and never
+ * less than the pinned items on their own give
+ */
+function getSearchWindow(requirement, required) {
+  const pinnedCLO = required.reduce((sum, item) => sum + item.clo, 0);
+  return { min: requirement.min, max: Math.max(requirement.max * 1.3, pinnedCLO) };
+}
+
+/**
+ * Score share of a legs, accessory or footwear option: its items, plus warmth close to the zone's optimum
+ */
+function getZoneScore(items, clo, requirement) {
+  const itemsScore = items.reduce((sum, item) => sum + getItemScore(item), 0);
+  return itemsScore + getFitScore(Math.abs(clo - requirement.optimal));
+}
+
+/**
+ * A zone search's canAdd and accept from the layering rules on that zone: monotone rules while
+ * building, the rest on finished options - and while building once past the last item (in the
+ * search's order) that could fix them. Every rejection is tallied in context.rejections
+ */
+function getRuleChecks(zone, context, items) {
+  const { situation, shortfalls, rejections } = context;
+  const rules = getLayeringRules(situation, zone);
+  const buildRules = rules.filter(rule => RULE_CHECKS[rule.type].monotone);
+  const finishRules = rules.filter(rule => !RULE_CHECKS[rule.type].monotone);
+
+  // Outfits built so far already pass the monotone rules - only those about the added item can break
+  const buildRulesFor = new Map(items.map(item => [item, buildRules.filter(rule => RULE_CHECKS[rule.type].affects(item, rule.params))]));
+
+  // Past this position nothing left can fix the rule
+  const fixable = finishRules.filter(rule => RULE_CHECKS[rule.type].fixes).map(rule => {
+    const { fixes } = RULE_CHECKS[rule.type];
+    const lastFixer = items.reduce((last, item, i) => fixes(item, rule.params, situation) ? i : last, -1);
+    return { rules: [rule], lastFixer };
+  });
+
+  // One combination reused for every check - only this zone's items change
+  const combination = { [zone]: [], shortfalls, meetsRequirements: shortfalls.length === 0 };
+  const passes = (zoneRules, items) => {
+    combination[zone] = items;
+    const broken = findBrokenRule(combination, zoneRules, situation);
+    if (broken) recordRejection(rejections, broken, items, situation);
+    return !broken;
+  };
+
+  return {
+    rules,
+    canAdd: (chosen, item, from) => {
+      const candidate = [...chosen, item];
+      if (!passes(buildRulesFor.get(item), candidate)) return false;
+      for (const { rules: settled, lastFixer } of fixable) {
+        if (from > lastFixer && !passes(settled, candidate)) return false;
       }
+      return true;
+    },
+    accept: (chosen) => passes(finishRules, chosen)
+  };
+}
+
+/**
+ * Legs and accessory search - any mix the layering rules allow (for legs: one layer of each kind,
+ * always trousers) that lands in the warmth window
+ */
+function getZoneSearch(items, requirement, zone, context) {
+  // Not needed (no requirement, or infants in all-in-ones) - unless something here is pinned
+  const required = getPinnedItems(items, context.requirements);
+  if (requirement.max === 0 && required.length === 0) {
+    return { items: [], window: { min: 0, max: 0 }, accept: () => true, score: () => getZoneScore([], 0, requirement) };
+  }
+
+  const { canAdd, accept } = getRuleChecks(zone, context, items);
+  // Item scores are fixed, so the best addable extra is known up front
+  const positiveAfter = new Array(items.length + 1).fill(0);
+  const cloAfter = new Array(items.length + 1).fill(0);
+  for (let i = items.length - 1; i >= 0; i--) {
+    positiveAfter[i] = positiveAfter[i + 1] + Math.max(0, getItemScore(items[i]));
+    cloAfter[i] = cloAfter[i + 1] + items[i].clo;
+  }
+  const window = getSearchWindow(requirement, required);
+
+  return {
+    items,
+    window,
+    required,
+    canAdd,
+    accept,
+    score: (chosen, clo) => getZoneScore(chosen, clo, requirement),
+    bound: (chosen, clo, from) => {
+      const itemsScore = chosen.reduce((sum, item) => sum + getItemScore(item), 0) + positiveAfter[from];
+      const reachable = Math.min(window.max, clo + cloAfter[from]);
+      return itemsScore + getFitScore(Math.max(0, clo - requirement.optimal, requirement.optimal - reachable));
     }
+  };
+}
 
-    // Check if current combination is valid
-    if (currentCLO >= min && currentCLO <= max * 1.3) {  // Allow 30% over max
-      combinations.push({
-        items: [...currentItems],
-        clo: currentCLO,
-        score: Math.abs(optimal - currentCLO)  // Distance from optimal
-      });
+/**
+ * Core search: outer layer first, then mid layers, then base layers, so the weatherproofing
+ * and mid-over-outer rules are settled early and the bound tightens fast
+ * options.requireOuter: only keep core combinations that include an outer layer
+ * options.requireAllInOne: only keep core combinations with an all-in-one base (infant sleepsuit)
+ * options.requireBase: only keep core combinations with at least one base layer
+ */
+function searchCore(items, requirement, k, options, context) {
+  const { requirements, situation } = context;
+  const layerOrder = { outer: 0, mid: 1, base: 2 };
+  const ordered = [...items].sort((a, b) => layerOrder[a.category] - layerOrder[b.category]);
+  const wearingOrder = (a, b) => items.indexOf(a) - items.indexOf(b);
+
+  const { rules, canAdd, accept } = getRuleChecks('core', context, ordered);
+
+  // Layer limits from the maxLayers rules, for the warmth still within reach
+  const layerLimits = { base: Infinity, mid: Infinity, outer: Infinity };
+  for (const rule of rules.filter(candidate => candidate.type === 'maxLayers')) {
+    for (const category of rule.params.categories || Object.keys(layerLimits)) {
+      layerLimits[category] = Math.min(layerLimits[category], getLayerLimit(rule.params, situation));
     }
+  }
 
-    // Stop if exceeded max significantly or reached end
-    if (currentCLO > max * 1.5 || index >= items.length) {
-      return;
+  // What could still be added after each position (per layer: the warmest n items' CLO, and the
+  // best item score - -Infinity once none are left)
+  const after = new Array(ordered.length + 1);
+  after[ordered.length] = {
+    clo: 0,
+    warmest: { base: [0], mid: [0], outer: [0] },
+    positive: 0,
+    bestScore: { base: -Infinity, mid: -Infinity, outer: -Infinity },
+    skin: null,
+    thermal: null,
+    bestWeather: -Infinity
+  };
+  const cumulative = (clos) => clos.sort((a, b) => b - a).reduce((sums, clo) => [...sums, sums[sums.length - 1] + clo], [0]);
+  for (let i = ordered.length - 1; i >= 0; i--) {
+    const item = ordered[i];
+    const next = after[i + 1];
+    const layerCLOs = ordered.slice(i).filter(other => other.category === item.category).map(other => other.clo);
+    after[i] = {
+      clo: next.clo + item.clo,
+      warmest: { ...next.warmest, [item.category]: cumulative(layerCLOs) },
+      positive: next.positive + Math.max(0, getItemScore(item)),
+      bestScore: { ...next.bestScore, [item.category]: Math.max(next.bestScore[item.category], getItemScore(item)) },
+      skin: isSkinLayer(item) && !(next.skin && next.skin.clo <= item.clo) ? item : next.skin,
+      thermal: isThermalLayer(item) && !(next.thermal && next.thermal.clo <= item.clo) ? item : next.thermal,
+      bestWeather: item.category === 'outer' ? Math.max(next.bestWeather, getWeatherScore([item], requirements)) : next.bestWeather
+    };
+  }
+  const required = getPinnedItems(ordered, requirements);
+  const window = getSearchWindow(requirement, required);
+
+  // The bound runs for nearly every branch - look up what it needs about each item once
+  // (soaked layers count for less unless a waterproof outer turns up - assume it doesn't)
+  const precipitation = requirements.precipitation;
+  const wet = precipitation && precipitation.expected;
+  const facts = new Map(ordered.map(item => [item, {
+    score: getItemScore(item),
+    leastCLO: wet ? calculateWetCLO(item.category === 'outer' && item.waterproof ? [] : [item], precipitation) : item.clo,
+    skin: isSkinLayer(item),
+    thermal: isThermalLayer(item),
+    weather: item.category === 'outer' ? getWeatherScore([item], requirements) : 0
+  }]));
+  const noOuterWeather = getWeatherScore([], requirements);
+  const redundancy = (count) => count > 1 ? -PRACTICALITY_WEIGHTS.avoidRedundancy * (count - 1) : count === 1 ? PRACTICALITY_WEIGHTS.avoidRedundancy : 0;
+  // Best warmth score for a core that gives from least to most CLO
+  const fit = (least, most) => 100 / (1 + Math.max(0, least - requirement.optimal, requirement.optimal - most) * 10);
+
+  // Most warmth still addable within the layer limits
+  const reach = (chosen, from) => {
+    const { warmest } = after[from];
+    let sum = 0;
+    for (const category of ['base', 'mid', 'outer']) {
+      let room = layerLimits[category];
+      for (const item of chosen) {
+        if (item.category === category) room--;
+      }
+      sum += warmest[category][Math.max(0, Math.min(room, warmest[category].length - 1))];
     }
+    return sum;
+  };
+
+  const found = searchZone({
+    items: ordered,
+    window,
+    required,
+    reach,
 
-    // Try adding next item
-    for (let i = index; i < items.length; i++) {
-      const nextItem = items[i];
-
-      // Additional constraint: don't add another item of same category if already at limit
-      if (isCore) {
-        const baseItems = currentItems.filter(it => it.category === 'base');
-        const baseCount = baseItems.length;
-        const midCount = currentItems.filter(it => it.category === 'mid').length;
-        const outerCount = currentItems.filter(it => it.category === 'outer').length;
-
-        // Allow up to 2-3 base layers depending on vulnerability and temperature
-        if (nextItem.category === 'base' && baseCount >= maxBaseLayers) continue;
-
-        // If adding second base layer, ensure we already have t-shirt OR we're adding t-shirt
-        if (nextItem.category === 'base' && baseCount === 1) {
-          const hasTShirt = baseItems.some(it => it.key === 't-shirt');
-          const addingTShirt = nextItem.key === 't-shirt';
-          if (!hasTShirt && !addingTShirt) continue; // Skip - need t-shirt as foundation
+    canAdd,
+
+    accept: (chosen) => {
+      if (options.requireOuter && !chosen.some(item => item.category === 'outer')) return false;
+      if (options.requireAllInOne && !chosen.some(item => item.category === 'base' && item.allInOne)) return false;
+      if (options.requireBase && !chosen.some(item => item.category === 'base')) return false;
+      return accept(chosen);
+    },
+
+    score: (chosen) => chosen.reduce((sum, item) => sum + getItemScore(item), 0) + getCoreScore(chosen, requirements),
+
+    // Optimistic: every layering bonus still within reach (each added layer at the best score left
+    // for it), warmth at the optimum if reachable
+    bound: (chosen, clo, from) => {
+      const rest = after[from];
+      let score = rest.positive - getBulkPenalty(chosen);
+      const worn = { base: 0, mid: 0, outer: 0 };
+      let leastCLO = 0;
+      let skinWorn = false;
+      let thermalWorn = false;
+      for (const item of chosen) {
+        const fact = facts.get(item);
+        score += fact.score;
+        leastCLO += fact.leastCLO;
+        skinWorn = skinWorn || fact.skin;
+        thermalWorn = thermalWorn || fact.thermal;
+        worn[item.category]++;
+      }
+
+      // Layering, redundancy and warmth with this many base layers (least: the CLO they'd give at
+      // worst). A missing layer still to come is always worth adding - its bonus outweighs any
+      // item's cost - but once every layer is there, more warmth costs at least one more of a layer
+      const highest = Math.min(window.max, clo + reach(chosen, from));
+      const layered = (base, least) => {
+        let bonus = 0;
+        let layers = 0;
+        let added = 0;
+        let oneMore = Infinity;
+        for (const category of ['base', 'mid', 'outer']) {
+          let count = category === 'base' ? base : worn[category];
+          const left = rest.bestScore[category] > -Infinity;
+          const cost = Math.min(0, rest.bestScore[category]);
+          if (category === 'base' && base > worn.base) {
+            bonus += (base - worn.base) * cost;
+            added += base - worn.base;
+          }
+          if (count === 0 && left) {
+            count = 1;
+            bonus += cost;
+            added++;
+          }
+          if (count > 0) layers++;
+          bonus += redundancy(count);
+          if (left) oneMore = Math.min(oneMore, redundancy(count) - redundancy(count + 1) - cost);
+        }
+        bonus += layers === 3 ? PRACTICALITY_WEIGHTS.properLayering * 2 : layers === 2 ? PRACTICALITY_WEIGHTS.properLayering : 0;
+        return bonus + (added > 0 ? fit(least, highest) : Math.max(fit(least, clo), fit(least, highest) - oneMore));
+      };
+
+      // The skin layer (and thermal) bonus only with their warmth on top - the lightest still to come -
+      // and as many more base layers as they need (the thermal one over a different skin layer)
+      let best = layered(worn.base, leastCLO);
+      const skin = skinWorn ? null : rest.skin;
+      if (skin || skinWorn) {
+        const withSkin = skin ? leastCLO + facts.get(skin).leastCLO : leastCLO;
+        best = Math.max(best, PRACTICALITY_WEIGHTS.skinLayer + layered(worn.base + (skinWorn ? 0 : 1), withSkin));
+        const thermal = thermalWorn ? null : rest.thermal;
+        if (thermal || thermalWorn) {
+          const withThermal = thermal && thermal !== skin ? withSkin + facts.get(thermal).leastCLO : withSkin;
+          const base = worn.base + Math.max(2 - worn.base, (skinWorn ? 0 : 1) + (thermalWorn ? 0 : 1));
+          best = Math.max(best, PRACTICALITY_WEIGHTS.skinLayer + PRACTICALITY_WEIGHTS.thermalLayer + layered(base, withThermal));
         }
+      }
+      score += best;
+
+      if (worn.outer === 0) score += Math.max(noOuterWeather, rest.bestWeather);
+      else if (worn.outer === 1) score += facts.get(chosen.find(item => item.category === 'outer')).weather;
+      else score += getWeatherScore(chosen.filter(item => item.category === 'outer'), requirements);
+      return score;
+    }
+  }, k, context);
+
+  // Back in catalog order (base layers first) for display
+  return found.map(option => ({ ...option, items: [...option.items].sort(wearingOrder) }));
+}
+
+/**
+ * Footwear options - always exactly one pair
+ * Only pairs safe for the ground (grip, waterproof, snow depth) and warm enough when any are;
+ * when no owned pair is safe, fall back to the grippiest with a shortfall
+ */
+function getFootwearOptions(items, requirement, ground, shortfalls, k) {
+  // Not needed (infants in all-in-ones)
+  if (requirement.max === 0) {
+    return [{ items: [], clo: 0, score: getZoneScore([], 0, requirement) }];
+  }
 
-        if (nextItem.category === 'mid' && midCount >= 2) continue;
-        if (nextItem.category === 'outer' && outerCount >= 1) continue;
+  if (items.length === 0) {
+    shortfalls.push({ zone: 'footwear', type: 'warmth', required: requirement.min, achieved: 0, missing: requirement.min });
+    return [{ items: [], clo: 0, score: getZoneScore([], 0, requirement) }];
+  }
+
+  let suitable = items.filter(item => meetsGroundConditions(item, ground));
+  if (suitable.length === 0) {
+    const bestGrip = Math.max(...items.map(item => item.grip || 0));
+    suitable = items.filter(item => (item.grip || 0) === bestGrip);
+    shortfalls.push({ zone: 'footwear', type: 'ground' });
+  }
+
+  const warmEnough = suitable.filter(item => item.clo >= requirement.min && item.clo <= requirement.max * 1.3);
+  const best = [];
+  for (const item of warmEnough.length > 0 ? warmEnough : suitable) {
+    insertOption(best, { items: [item], clo: item.clo, score: roundScore(getZoneScore([item], item.clo, requirement)), signature: item.key }, k);
+  }
+  return best.map(({ items: optionItems, clo, score }) => ({ items: optionItems, clo, score }));
+}
+
+// ===================================
+// LAYERING RULES
+// ===================================
+
+/**
+ * Checks behind the LAYERING_RULES types
+ * check(combination, params, situation) returns null when the outfit passes, or details for the rule's
+ * explanation when it doesn't. Monotone checks can't be passed again by adding items, so the search
+ * applies them while it builds outfits, each time an item they're about (affects) is added; the rest
+ * are checked on finished ones, and while building too once no item left could fix them (fixes)
+ */
+const RULE_CHECKS = {
+  // No more than max items (of each of params.categories)
+  maxLayers: {
+    monotone: true,
+    affects: (item, params) => !params.categories || params.categories.includes(item.category),
+    check: (combination, params, situation) => {
+      const max = getLayerLimit(params, situation);
+      const items = getZoneItems(combination, params.zone);
+      for (const category of params.categories || [null]) {
+        if (items.filter(item => !category || item.category === category).length > max) {
+          return { max, category };
+        }
       }
+      return null;
+    }
+  },
+
+  // minLayers or more of a category need a matching one (the foundation) among them
+  foundation: {
+    check: (combination, params) => {
+      const layers = getZoneItems(combination, params.zone).filter(item => item.category === params.category);
+      return layers.length >= params.minLayers && !layers.some(item => matchesRule(item, params)) ? {} : null;
+    },
+    fixes: (item, params) => matchesRule(item, params)
+  },
+
+  // A matching item can't be the only layer of its category
+  notAlone: {
+    check: (combination, params) => {
+      const layers = getZoneItems(combination, params.zone).filter(item => item.category === params.category);
+      return layers.length === 1 && matchesRule(layers[0], params) ? { item: layers[0].name.toLowerCase() } : null;
+    },
+    fixes: (item, params) => item.category === params.category
+  },
+
+  // No more than one of these items
+  exclusive: {
+    monotone: true,
+    affects: (item, params) => params.keys.includes(item.key),
+    check: (combination, params) => {
+      const worn = getZoneItems(combination, params.zone).filter(item => params.keys.includes(item.key));
+      return worn.length > 1 ? { items: worn.map(item => item.name.toLowerCase()).join(' and ') } : null;
+    }
+  },
+
+  // Mid-layer warmth under a heavier outer, scaled from the tier's coldMax at coldTemp to warmMax at warmTemp
+  maxUnderOuter: {
+    check: (combination, params, situation) => {
+      const items = getZoneItems(combination, params.zone);
+      const outerItems = items.filter(item => item.category === 'outer');
+      const outerCLO = outerItems.reduce((sum, item) => sum + item.clo, 0);
+      const tier = params.tiers.find(candidate => outerCLO >= candidate.minOuterCLO);
+      if (!tier) return null;
+
+      const progress = (situation.temp - params.coldTemp) / (params.warmTemp - params.coldTemp);
+      const maxCLO = Math.max(tier.warmMax, Math.min(tier.coldMax, tier.coldMax - progress * (tier.coldMax - tier.warmMax)));
+      const midCLO = items.filter(item => item.category === 'mid').reduce((sum, item) => sum + item.clo, 0);
+      return midCLO > maxCLO ? { outer: outerItems[0].name.toLowerCase(), maxCLO: Math.round(maxCLO * 100) / 100 } : null;
+    }
+  },
 
-      recurse(i + 1, [...currentItems, nextItem], currentCLO + nextItem.clo);
+  // Below belowTemp, mid layers over midCLO (perDegree more for each degree colder) need an outer layer
+  needsOuter: {
+    check: (combination, params, situation) => {
+      const items = getZoneItems(combination, params.zone);
+      if (situation.temp >= params.belowTemp || items.some(item => item.category === 'outer')) return null;
+
+      const threshold = params.midCLO + (params.belowTemp - situation.temp) * params.perDegree;
+      const midCLO = items.filter(item => item.category === 'mid').reduce((sum, item) => sum + item.clo, 0);
+      return midCLO > threshold ? {} : null;
+    },
+    fixes: (item) => item.category === 'outer'
+  },
+
+  // At least one matching item - only below belowTemp (when set), and not once a shortfall of
+  // type unlessShortfall has been flagged (nothing suitable owned)
+  requires: {
+    check: (combination, params, situation) => {
+      if (params.belowTemp !== undefined && situation.temp >= params.belowTemp) return null;
+      if (params.unlessShortfall && (combination.shortfalls || []).some(shortfall => shortfall.type === params.unlessShortfall)) return null;
+      return getZoneItems(combination, params.zone).some(item => matchesRule(item, params)) ? null : {};
+    },
+    fixes: (item, params) => matchesRule(item, params)
+  },
+
+  // No matching items
+  forbids: {
+    monotone: true,
+    affects: (item, params) => matchesRule(item, params),
+    check: (combination, params) => {
+      const item = getZoneItems(combination, params.zone).find(candidate => matchesRule(candidate, params));
+      return item ? { item: item.name.toLowerCase() } : null;
+    }
+  },
+
+  // A matching item (one without sleeves) needs something in the zone that covers the arms
+  sleeves: {
+    check: (combination, params) => {
+      const items = getZoneItems(combination, params.zone);
+      const sleeveless = items.find(item => matchesRule(item, params));
+      return sleeveless && !items.some(coversArms) ? { item: sleeveless.name.toLowerCase() } : null;
+    },
+    fixes: (item) => coversArms(item)
+  },
+
+  // Nothing at all in these zones
+  empty: {
+    monotone: true,
+    affects: () => true,
+    check: (combination, params) => {
+      const item = params.zones.flatMap(zone => getZoneItems(combination, zone))[0];
+      return item ? { item: item.name.toLowerCase() } : null;
+    }
+  },
+
+  // Unprotected layers still warm enough once soaked (unless owned clothes already fall short)
+  wetWarmth: {
+    check: (combination, params, situation) => {
+      if (combination.meetsRequirements === false) return null;
+      const wetCLO = calculateWetCLO(getZoneItems(combination, params.zone), situation.precipitation);
+      return wetCLO < situation.requirements[params.zone].min ? {} : null;
     }
   }
+};
 
-  // Start recursion
-  recurse(0, [], 0);
-
-  // Debug: Log why core zone might have 0 combinations
-  if (isCore && combinations.length === 0) {
-    console.log(`❌ Core zone generated 0 combinations!`);
-    console.log(`Requirements: min=${min}, max=${max}, optimal=${optimal}`);
-    console.log(`Available items:`, items.length);
-
-    // Calculate maximum achievable CLO
-    const maxBase = items.filter(i => i.category === 'base').slice(0, maxBaseLayers).reduce((sum, i) => sum + i.clo, 0);
-    const maxMid = items.filter(i => i.category === 'mid').slice(0, 2).reduce((sum, i) => sum + i.clo, 0);
-    const maxOuter = items.filter(i => i.category === 'outer').slice(0, 1).reduce((sum, i) => sum + i.clo, 0);
-    const maxAchievable = maxBase + maxMid + maxOuter;
-    console.log(`Max achievable CLO: ${maxAchievable.toFixed(2)} (base: ${maxBase.toFixed(2)}, mid: ${maxMid.toFixed(2)}, outer: ${maxOuter.toFixed(2)})`);
-  }
-
-  // Sort by score (closest to optimal)
-  combinations.sort((a, b) => a.score - b.score);
+function getZoneItems(combination, zone) {
+  return combination[zone] || [];
+}
 
-  // Return top combinations
-  return combinations.slice(0, 30);
+/**
+ * Item has the rule's category and property, arm coverage up to maxArms, and bulk up to maxBulk
+ * or over bulkOver (any may be left out)
+ */
+function matchesRule(item, params) {
+  if (params.category && item.category !== params.category) return false;
+  if (params.property && !item[params.property]) return false;
+  const { coverage, bulk } = getItemAttributes(item);
+  return (params.maxArms === undefined || (coverage.arms ?? 0) <= params.maxArms) &&
+    (params.maxBulk === undefined || bulk <= params.maxBulk) &&
+    (params.bulkOver === undefined || bulk > params.bulkOver);
 }
 
-// ===================================
-// VALIDATION HELPER FUNCTIONS
-// ===================================
+function coversArms(item) {
+  return (getItemAttributes(item).coverage.arms ?? 0) >= 1;
+}
 
 /**
- * Calculate temperature-scaled max mid-layer CLO for outer layers
+ * A maxLayers rule's limit - params.cold raises it for some ages at and below its maxTemp
  */
-function getMaxMidCLOForOuter(outerCLO, temp) {
-  // Heavy coat (0.49+): Allow 1.00 CLO at -15°C, scaling down to 0.50 at 15°C
-  if (outerCLO >= 0.49) {
-    return Math.max(0.50, Math.min(1.00, 1.00 - ((temp + 15) / 30) * 0.50));
-  }
-  // Regular coat (0.37-0.48): Allow 0.95 CLO at -15°C, scaling down to 0.55 at 15°C
-  if (outerCLO >= 0.37) {
-    return Math.max(0.55, Math.min(0.95, 0.95 - ((temp + 15) / 30) * 0.40));
-  }
-  return Infinity; // No limit for lighter outer layers
+function getLayerLimit(params, situation) {
+  const { cold } = params;
+  return cold && situation.temp <= cold.maxTemp && cold.ages.includes(situation.ageCategory) ? cold.max : params.max;
 }
 
 /**
- * Check if combination has redundant mid-layer items
+ * What the rules' when conditions look at
+ * Babies in a car seat or sling are kept dry by the car or the carer's coat, so it's never wet for them
  */
-function hasRedundantMidLayers(midItems) {
-  const hasJumper = midItems.some(item => item.key === 'jumper');
-  const hasThickJumper = midItems.some(item => item.key === 'thick-jumper');
-  return hasJumper && hasThickJumper;
+function getRuleSituation(temp, ageCategory, requirements) {
+  const carrier = (requirements && requirements.carrier) || null;
+  const snugCarrier = Boolean(carrier && carrier.noBulky);
+  const precipitation = (requirements && !snugCarrier && requirements.precipitation) || null;
+  return {
+    temp,
+    ageCategory,
+    requirements,
+    mode: (requirements && requirements.mode) || 'outdoor',
+    carrier,
+    snugCarrier,
+    precipitation,
+    wet: Boolean(precipitation && precipitation.expected),
+    waterproof: Boolean(precipitation && precipitation.expected && precipitation.requiresWaterproof)
+  };
 }
 
 /**
- * Check if combination has too many heavy mid-layers
+ * The LAYERING_RULES that apply in this situation
+ * zone (optional): only rules looking at that zone
  */
-function hasTooManyHeavyMidLayers(midItems) {
-  const heavyMids = midItems.filter(item =>
-    ['thick-jumper', 'fleece', 'hoodie'].includes(item.key)
-  );
-  return heavyMids.length > 2;
+function getLayeringRules(situation, zone = null) {
+  return LAYERING_RULES.filter(rule => {
+    const when = rule.when || {};
+    if (when.modes && !when.modes.includes(situation.mode)) return false;
+    if (when.exceptModes && when.exceptModes.includes(situation.mode)) return false;
+    if (when.ages && !when.ages.includes(situation.ageCategory)) return false;
+    if (when.exceptAges && when.exceptAges.includes(situation.ageCategory)) return false;
+    for (const flag of ['snugCarrier', 'wet', 'waterproof']) {
+      if (when[flag] !== undefined && when[flag] !== situation[flag]) return false;
+    }
+    return !zone || (rule.params.zones || [rule.params.zone]).includes(zone);
+  });
 }
 
 /**
- * Check if base layer configuration is valid
+ * First rule the combination breaks, as { rule, details }, or null when it passes them all
  */
-function hasValidBaseLayers(baseItems, maxBaseLayers) {
-  if (baseItems.length > maxBaseLayers) {
-    return { valid: false, reason: `Too many base layers (>${maxBaseLayers})` };
-  }
-
-  // If 2+ base layers, one MUST be t-shirt
-  if (baseItems.length >= 2) {
-    const hasTShirt = baseItems.some(item => item.key === 't-shirt');
-    if (!hasTShirt) {
-      return { valid: false, reason: `${baseItems.length} base layers without t-shirt foundation` };
+function findBrokenRule(combination, rules, situation) {
+  for (const rule of rules) {
+    const details = RULE_CHECKS[rule.type].check(combination, rule.params, situation);
+    if (details) {
+      return { rule, details };
     }
   }
+  return null;
+}
 
-  // Vest cannot be worn alone - needs a top layer (t-shirt, long-sleeve, etc.)
-  const hasVest = baseItems.some(item => item.key === 'tank-top');
-  if (hasVest && baseItems.length === 1) {
-    return { valid: false, reason: 'Vest cannot be worn alone (needs t-shirt or long-sleeve top)' };
-  }
+/**
+ * Fill in a rule's explanation from the details of the breach, its params and the situation
+ */
+function explainRule(rule, details, situation) {
+  const values = {
+    carrier: situation.carrier && situation.carrier.name.toLowerCase(),
+    precipitation: situation.precipitation && situation.precipitation.type,
+    ...rule.params,
+    ...details
+  };
+  return rule.explanation.replace(/\{(\w+)\}/g, (match, name) => values[name] ?? match);
+}
 
-  return { valid: true };
+/**
+ * Tally a rejected candidate against the rule it broke - { [rule id]: { explanation, count, examples } },
+ * examples being the item keys of the first few candidates
+ */
+function recordRejection(rejections, broken, items, situation) {
+  const { rule, details } = broken;
+  const entry = rejections[rule.id] || (rejections[rule.id] = { explanation: explainRule(rule, details, situation), count: 0, examples: [] });
+  entry.count++;
+  if (entry.examples.length < 3) {
+    entry.examples.push(items.map(item => item.key));
+  }
 }
 
 // ===================================
@@ -410,97 +1768,73 @@ function hasValidBaseLayers(baseItems, maxBaseLayers) {
 // ===================================
 
 /**
- * Validate combination for practical wearability
- * Returns true if valid, false if not (or {isValid, reason} if debug=true)
+ * Validate combination for practical wearability against LAYERING_RULES
+ * Returns true if valid, false if not (or {isValid, reason, rule} if debug=true - the first broken rule)
+ * requirements (optional): adjusted requirements, enables mode, carrier and weather rules
  */
-export function isValidCombination(combination, debug = false, temp = 10, ageCategory = 'adult') {
-  const reject = (reason) => debug ? { isValid: false, reason } : false;
-  const accept = () => debug ? { isValid: true } : true;
-
-  // Extract items by category
-  const baseItems = combination.core.filter(item => item.category === 'base');
-  const midItems = combination.core.filter(item => item.category === 'mid');
-  const outerItems = combination.core.filter(item => item.category === 'outer');
-
-  // Calculate CLO values
-  const midCLO = midItems.reduce((sum, item) => sum + item.clo, 0);
-  const outerCLO = outerItems.reduce((sum, item) => sum + item.clo, 0);
-
-  // Determine max base layers
-  const isVulnerable = ['elderly', 'very-elderly', 'infant', 'child'].includes(ageCategory);
-  const maxBaseLayers = (isVulnerable && temp <= 5) ? 3 : 2;
+export function isValidCombination(combination, debug = false, temp = 10, ageCategory = 'adult', requirements = null) {
+  const situation = getRuleSituation(temp, ageCategory, requirements);
+  const broken = findBrokenRule(combination, getLayeringRules(situation), situation);
 
-  // Validate layer counts
-  if (outerItems.length > 1) return reject('Multiple outer layers');
-  if (midItems.length > 2) return reject('Too many mid-layers (>2)');
-
-  // Validate base layers
-  const baseValidation = hasValidBaseLayers(baseItems, maxBaseLayers);
-  if (!baseValidation.valid) return reject(baseValidation.reason);
-
-  // Check for redundant items
-  if (hasRedundantMidLayers(midItems)) {
-    return reject('Jumper and thick-jumper together (redundant)');
-  }
+  if (!debug) return !broken;
+  return broken ? { isValid: false, reason: explainRule(broken.rule, broken.details, situation), rule: broken.rule.id } : { isValid: true };
+}
 
-  // Check for too many heavy mid-layers
-  if (hasTooManyHeavyMidLayers(midItems)) {
-    return reject('Too many heavy mid-layers (bulky)');
-  }
+/**
+ * Calculate practicality score for a combination
+ * The sum of each item's score, the core's layering score and how close the legs, accessories
+ * and footwear come to their optimal warmth - the outfit search maximises the same parts zone by zone
+ */
+export function calculatePracticalityScore(combination) {
+  let score = 100 + 10 * PRACTICALITY_WEIGHTS.fewerItems;
 
-  // Validate outer + mid layer combinations
-  const maxMidCLO = getMaxMidCLOForOuter(outerCLO, temp);
-  if (midCLO > maxMidCLO) {
-    return reject('Excessive mid-layers for outer layer');
+  // 1-2. Fewer items, common items
+  for (const item of getOutfitItems(combination)) {
+    score += getItemScore(item);
   }
 
-  // Check for heavy mids without outer in cold weather
-  if (temp < 2 && outerCLO === 0) {
-    const threshold = 0.50 + (2 - temp) * 0.05;
-    if (midCLO > threshold) {
-      return reject('Heavy mid-layers need outer layer in cold weather');
-    }
-  }
+  // 3-8. Core layering, warmth and weatherproofing
+  const requirements = combination.requirements;
+  score += getCoreScore(combination.core, requirements, combination.targetOptimal);
 
-  // Don't stack 3+ mid layers with outer (unless all light)
-  if (midItems.length >= 3 && outerItems.length >= 1) {
-    const allLightMids = midItems.every(item => item.clo <= 0.20);
-    if (!allLightMids) {
-      return reject('Too many mid-layers with outer (bulky)');
+  // 9. Legs, accessories and footwear close to their optimal warmth
+  if (requirements) {
+    for (const zone of ZONES) {
+      if (zone === 'core') continue;
+      const clo = [...(combination[zone] || []), ...getCover(combination, zone)].reduce((sum, item) => sum + item.clo, 0);
+      score += getFitScore(Math.abs(clo - requirements[zone].optimal));
     }
   }
 
-  return accept();
+  return score;
 }
 
 /**
- * Calculate practicality score for a combination
+ * One item's share: fewer items = higher score, common items = higher score
  */
-export function calculatePracticalityScore(combination) {
-  let score = 100;
-
-  const allItems = [
-    ...combination.core,
-    ...combination.head,
-    ...combination.hands,
-    ...combination.neck,
-    ...combination.feet
-  ];
+function getItemScore(item) {
+  const frequency = ITEM_FREQUENCY[item.key] || 0.5;
+  return frequency * PRACTICALITY_WEIGHTS.commonItems - PRACTICALITY_WEIGHTS.fewerItems;
+}
 
-  // 1. Fewer items = higher score
-  const itemCount = allItems.length;
-  score += (10 - itemCount) * PRACTICALITY_WEIGHTS.fewerItems;
+/**
+ * Points for a zone's warmth being distance CLO away from its optimum (half at zoneFitHalfway)
+ */
+function getFitScore(distance) {
+  return PRACTICALITY_WEIGHTS.zoneFit / (1 + distance / PRACTICALITY_WEIGHTS.zoneFitHalfway);
+}
 
-  // 2. Common items = higher score
-  for (const item of allItems) {
-    const frequency = ITEM_FREQUENCY[item.key] || 0.5;
-    score += frequency * PRACTICALITY_WEIGHTS.commonItems;
-  }
+/**
+ * Core layers' share of the practicality score
+ * targetOptimal: core CLO to aim for (default: requirements.core.optimal)
+ */
+function getCoreScore(coreItems, requirements, targetOptimal = requirements && requirements.core.optimal) {
+  let score = 0;
 
   // 3. Proper layering (base < mid < outer)
-  const hasBase = combination.core.some(item => item.category === 'base');
-  const hasMid = combination.core.some(item => item.category === 'mid');
-  const hasOuter = combination.core.some(item => item.category === 'outer');
+  const hasBase = coreItems.some(item => item.category === 'base');
+  const hasMid = coreItems.some(item => item.category === 'mid');
+  const hasOuter = coreItems.some(item => item.category === 'outer');
 
   if (hasBase && hasMid && hasOuter) {
     score += PRACTICALITY_WEIGHTS.properLayering * 2;
@@ -510,7 +1844,7 @@ export function calculatePracticalityScore(combination) {
 
   // 4. Avoid redundancy (e.g. two jumpers, two jackets)
   const categoryCount = {};
-  for (const item of combination.core) {
+  for (const item of coreItems) {
     const cat = `${item.category}-${item.zone}`;
     categoryCount[cat] = (categoryCount[cat] || 0) + 1;
   }
@@ -523,22 +1857,77 @@ export function calculatePracticalityScore(combination) {
     }
   }
 
-  // 5. Prefer closer to optimal CLO
-  const optimalScore = 100 / (1 + Math.abs(combination.coreCLO - combination.targetOptimal || 0) * 10);
+  // 5. Prefer closer to optimal CLO (judged on wet CLO when rain/snow is expected)
+  const precipitation = requirements && requirements.precipitation;
+  const coreCLO = coreItems.reduce((sum, item) => sum + item.clo, 0);
+  const effectiveCoreCLO = precipitation ? calculateWetCLO(coreItems, precipitation) : coreCLO;
+  const optimalScore = 100 / (1 + Math.abs(effectiveCoreCLO - targetOptimal || 0) * 10);
   score += optimalScore;
 
-  // 6. STRONG preference for t-shirt as base layer (most common household item)
-  const hasTShirt = combination.core.some(item => item.key === 't-shirt');
-  if (hasTShirt) {
-    score += 25; // Large bonus for t-shirt foundation
+  // 6. STRONG preference for a thin layer against the skin (t-shirt, vest), more with a long-sleeved
+  // base layer over it (realistic cold weather approach)
+  score += getBaseLayerScore(coreItems);
+
+  // 7. Not too bulky to move in
+  score -= getBulkPenalty(coreItems);
+
+  // 8. Weatherproofing
+  score += getWeatherScore(coreItems.filter(item => item.category === 'outer'), requirements);
+
+  return score;
+}
+
+/**
+ * Skin layer bonus, plus the thermal bonus when another base layer covering the arms goes over it
+ */
+function getBaseLayerScore(coreItems) {
+  const base = coreItems.filter(item => item.category === 'base');
+  const skin = base.filter(isSkinLayer);
+  if (skin.length === 0) return 0;
+  const thermal = skin.some(inner => base.some(item => item !== inner && isThermalLayer(item)));
+  return PRACTICALITY_WEIGHTS.skinLayer + (thermal ? PRACTICALITY_WEIGHTS.thermalLayer : 0);
+}
+
+function isSkinLayer(item) {
+  return item.category === 'base' && getItemAttributes(item).bulk <= SKIN_LAYER_MAX_BULK;
+}
+
+function isThermalLayer(item) {
+  return item.category === 'base' && coversArms(item);
+}
+
+/**
+ * Points off for core bulk over PRACTICALITY_WEIGHTS.bulkLimit
+ */
+function getBulkPenalty(coreItems) {
+  const bulk = coreItems.reduce((sum, item) => sum + getItemAttributes(item).bulk, 0);
+  return Math.max(0, bulk - PRACTICALITY_WEIGHTS.bulkLimit) * PRACTICALITY_WEIGHTS.bulk;
+}
+
+/**
+ * Waterproof when wet, windproof when windy (by the outer's wind resistance), breathable when dry
+ */
+function getWeatherScore(outerItems, requirements) {
+  let score = 0;
+  const precipitation = requirements && requirements.precipitation;
+  if (precipitation && precipitation.expected) {
+    if (outerItems.some(item => item.waterproof)) {
+      score += PRACTICALITY_WEIGHTS.waterproofOuter;
+    } else {
+      score -= PRACTICALITY_WEIGHTS.waterproofOuter;
+    }
+  } else {
+    for (const item of outerItems) {
+      const { breathability } = getItemAttributes(item);
+      if (breathability < 0.5) {
+        score -= (0.5 - breathability) * PRACTICALITY_WEIGHTS.breathability;
+      }
+    }
   }
 
-  // 7. Bonus for t-shirt + thermal layering (realistic cold weather approach)
-  const hasThermal = combination.core.some(item =>
-    item.key === 'thermal-top'
-  );
-  if (hasTShirt && hasThermal) {
-    score += 15; // Additional bonus for proper layering
+  const windCLO = requirements && requirements.weather ? requirements.weather.factors.wind.clo : 0;
+  if (windCLO >= 0.1) {
+    score += Math.max(0, ...outerItems.map(item => getItemAttributes(item).windResistance)) * PRACTICALITY_WEIGHTS.windproofOuter;
   }
 
   return score;
@@ -549,13 +1938,21 @@ export function calculatePracticalityScore(combination) {
  * Higher score = more different
  */
 function calculateDiversity(combo1, combo2) {
-  let diversityScore = 0;
+  return getDiversityBreakdown(combo1, combo2).total;
+}
+
+/**
+ * Diversity score between two combinations, split by what makes them different
+ * Returns { itemCount, differentItems, layers, clo, accessories, feel, total } (points each)
+ */
+function getDiversityBreakdown(combo1, combo2) {
+  const breakdown = {};
 
   // 1. Item count difference (major diversity factor)
-  const allItems1 = [...combo1.core, ...combo1.head, ...combo1.hands, ...combo1.neck, ...combo1.feet];
-  const allItems2 = [...combo2.core, ...combo2.head, ...combo2.hands, ...combo2.neck, ...combo2.feet];
+  const allItems1 = getOutfitItems(combo1);
+  const allItems2 = getOutfitItems(combo2);
   const itemCountDiff = Math.abs(allItems1.length - allItems2.length);
-  diversityScore += itemCountDiff * 20; // Heavy weight on item count difference
+  breakdown.itemCount = itemCountDiff * 20; // Heavy weight on item count difference
 
   // 2. Different items used (check key overlap)
   const keys1 = new Set(allItems1.map(item => item.key));
@@ -563,7 +1960,7 @@ function calculateDiversity(combo1, combo2) {
   const overlap = [...keys1].filter(key => keys2.has(key)).length;
   const totalUnique = keys1.size + keys2.size - overlap;
   const differentItems = totalUnique - overlap;
-  diversityScore += differentItems * 10;
+  breakdown.differentItems = differentItems * 10;
 
   // 3. Layer distribution difference
   const layerDist1 = {
@@ -579,7 +1976,7 @@ function calculateDiversity(combo1, combo2) {
   const layerDiff = Math.abs(layerDist1.base - layerDist2.base) +
                     Math.abs(layerDist1.mid - layerDist2.mid) +
                     Math.abs(layerDist1.outer - layerDist2.outer);
-  diversityScore += layerDiff * 15;
+  breakdown.layers = layerDiff * 15;
 
   // 4. CLO distribution difference (heavy outer + light mid vs light outer + heavy mid)
   const baseCLO1 = combo1.core.filter(i => i.category === 'base').reduce((sum, i) => sum + i.clo, 0);
@@ -593,7 +1990,7 @@ function calculateDiversity(combo1, combo2) {
   const cloDiff = Math.abs(baseCLO1 - baseCLO2) +
                   Math.abs(midCLO1 - midCLO2) +
                   Math.abs(outerCLO1 - outerCLO2);
-  diversityScore += cloDiff * 30;
+  breakdown.clo = cloDiff * 30;
 
   // 5. Accessory difference
   const hasHead1 = combo1.head.length > 0;
@@ -601,24 +1998,36 @@ function calculateDiversity(combo1, combo2) {
   const hasHands1 = combo1.hands.length > 0;
   const hasHands2 = combo2.hands.length > 0;
 
-  if (hasHead1 !== hasHead2) diversityScore += 5;
-  if (hasHands1 !== hasHands2) diversityScore += 5;
+  breakdown.accessories = (hasHead1 !== hasHead2 ? 5 : 0) + (hasHands1 !== hasHands2 ? 5 : 0);
 
-  return diversityScore;
+  // 6. Feel difference (a bulky coat vs thin layers, a windproof shell vs a fleece)
+  const feel = (combo) => ({
+    bulk: combo.core.reduce((sum, item) => sum + getItemAttributes(item).bulk, 0),
+    wind: Math.max(0, ...combo.core.map(item => getItemAttributes(item).windResistance))
+  });
+  const feel1 = feel(combo1);
+  const feel2 = feel(combo2);
+  breakdown.feel = Math.abs(feel1.bulk - feel2.bulk) * 20 + Math.abs(feel1.wind - feel2.wind) * 10;
+
+  breakdown.total = breakdown.itemCount + breakdown.differentItems + breakdown.layers + breakdown.clo + breakdown.accessories + breakdown.feel;
+  return breakdown;
 }
 
 /**
  * Select diverse combinations
- * Returns exactly 3 distinctly different options
+ * Returns exactly 3 distinctly different options, each with selection: why it was picked
+ * ({ reason: 'best' | 'different' | 'different-from-both', rank among the candidates,
+ *    diversity: breakdowns against the options picked before it })
  */
 function selectDiverseCombinations(validCombinations) {
   if (validCombinations.length === 0) return [];
-  if (validCombinations.length === 1) return validCombinations;
 
   const selected = [];
 
   // 1. Pick the best overall (highest practicality score)
   selected.push(validCombinations[0]);
+  validCombinations[0].selection = { reason: 'best', rank: 1, diversity: [] };
+  if (validCombinations.length === 1) return selected;
 
   // 2. Pick the most different from the first
   let maxDiversity = -1;
@@ -630,7 +2039,14 @@ function selectDiverseCombinations(validCombinations) {
       mostDifferent = validCombinations[i];
     }
   }
-  if (mostDifferent) selected.push(mostDifferent);
+  if (mostDifferent) {
+    selected.push(mostDifferent);
+    mostDifferent.selection = {
+      reason: 'different',
+      rank: validCombinations.indexOf(mostDifferent) + 1,
+      diversity: [getDiversityBreakdown(selected[0], mostDifferent)]
+    };
+  }
 
   // 3. Pick third option that maximizes total diversity from both existing picks
   if (validCombinations.length > 2) {
@@ -649,7 +2065,14 @@ function selectDiverseCombinations(validCombinations) {
         thirdPick = combo;
       }
     }
-    if (thirdPick) selected.push(thirdPick);
+    if (thirdPick) {
+      selected.push(thirdPick);
+      thirdPick.selection = {
+        reason: 'different-from-both',
+        rank: validCombinations.indexOf(thirdPick) + 1,
+        diversity: [getDiversityBreakdown(selected[0], thirdPick), getDiversityBreakdown(selected[1], thirdPick)]
+      };
+    }
   }
 
   return selected;
@@ -663,13 +2086,7 @@ function countCommonItems(combination) {
   const veryCommonItems = ['t-shirt', 'jumper', 'hoodie', 'fleece', 'coat', 'long-sleeve-top', 'light-jacket'];
   let count = 0;
 
-  const allItems = [
-    ...combination.core,
-    ...combination.head,
-    ...combination.hands,
-    ...combination.neck,
-    ...combination.feet
-  ];
+  const allItems = getOutfitItems(combination);
 
   for (const item of allItems) {
     if (veryCommonItems.includes(item.key)) {
@@ -681,428 +2098,519 @@ function countCommonItems(combination) {
 }
 
 /**
- * Main function: Get clothing recommendations
+ * Apply heat calibration - a fitted model (see fitCalibration) or a plain slider value:
+ * Positive values = "more layers" (increase target CLO requirement)
+ * Negative values = "less layers" (decrease target CLO requirement)
+ * Range: -2 (fewer layers) to +2 (more layers)
+ * ±2 = ±0.5 CLO (major item like coat), ±1 = ±0.25 CLO (minor item like t-shirt/jumper)
  */
-export function getRecommendations(temp, ageCategory, gender, warmthAdjustment = 0) {
-  // 1. Get adjusted requirements
-  let requirements = getAdjustedRequirements(temp, ageCategory, gender);
-
-  // Apply heat calibration:
-  // Positive values = "more layers" (increase target CLO requirement)
-  // Negative values = "less layers" (decrease target CLO requirement)
-  // Range: -2 (fewer layers) to +2 (more layers)
-  // ±2 = ±0.5 CLO (major item like coat), ±1 = ±0.25 CLO (minor item like t-shirt/jumper)
-  if (warmthAdjustment !== 0) {
-    const adjustment = warmthAdjustment * 0.25;
-    requirements = {
-      core: {
-        min: Math.max(0, requirements.core.min + adjustment),
-        max: requirements.core.max + adjustment,
-        optimal: requirements.core.optimal + adjustment
-      },
-      head: requirements.head,
-      hands: requirements.hands,
-      neck: requirements.neck,
-      feet: requirements.feet,
-      alert: requirements.alert,
-      warning: requirements.warning,
-      maxExposure: requirements.maxExposure,
-      riskLevel: requirements.riskLevel
-    };
+function applyWarmthAdjustment(requirements, warmthAdjustment) {
+  if (warmthAdjustment && typeof warmthAdjustment === 'object') {
+    return applyCalibration(requirements, warmthAdjustment);
   }
+  if (!warmthAdjustment) return requirements;
 
-  // 2. Find all valid combinations
-  const combinations = findCombinations(requirements, 50, temp, ageCategory);
-
-  // 3. Filter out impractical combinations
-  let rejectionReasons = {};
-  const validCombinations = combinations.filter(combo => {
-    const validationResult = isValidCombination(combo, true, temp, ageCategory); // Pass debug flag, temperature, and age
-    if (!validationResult.isValid) {
-      rejectionReasons[validationResult.reason] = (rejectionReasons[validationResult.reason] || 0) + 1;
+  const adjustment = warmthAdjustment * CALIBRATION.sliderStep;
+  const adjusted = {
+    ...requirements,
+    core: {
+      min: Math.max(0, requirements.core.min + adjustment),
+      max: requirements.core.max + adjustment,
+      optimal: requirements.core.optimal + adjustment
     }
-    return validationResult.isValid || validationResult.isValid === true;
-  });
+  };
+  const direction = warmthAdjustment > 0 ? 'more' : 'fewer';
+  recordAdjustment(adjusted, 'warmth', `Warmth preference: ${direction} layers`, getOptimalSnapshot(requirements));
+  return adjusted;
+}
 
-  // Log rejection summary if no valid combinations found
-  if (validCombinations.length === 0 && Object.keys(rejectionReasons).length > 0) {
-    console.log('Rejection reasons:', rejectionReasons);
-  }
+// ===================================
+// PERSONAL CALIBRATION
+// ===================================
 
-  // 4. Calculate practicality scores for valid combinations
-  for (const combo of validCombinations) {
-    combo.targetOptimal = requirements.core.optimal;
-    combo.practicalityScore = calculatePracticalityScore(combo);
-    combo.requirements = requirements;
+const FEEL_DIRECTIONS = { 'too-cold': 1, 'just-right': 0, 'too-warm': -1 };
 
-    // Calculate "common items bonus" for tie-breaking
-    // Prioritize combinations with very common household items
-    combo.commonItemsCount = countCommonItems(combo);
-  }
+/**
+ * Index into CALIBRATION.ranges for a felt temperature
+ */
+function getCalibrationRangeIndex(temperature) {
+  const index = CALIBRATION.ranges.findIndex(range => temperature < range.max);
+  return index === -1 ? CALIBRATION.ranges.length - 1 : index;
+}
+
+/**
+ * CLO offset one rating implies for a zone
+ * Too cold: whatever was worn above the recommendation wasn't enough, plus a step (too warm likewise below)
+ */
+function getRatingOffset(rating, zone) {
+  const feel = (rating.zones && rating.zones[zone]) || rating.feel;
+  const direction = FEEL_DIRECTIONS[feel] || 0;
+  if (direction === 0) return 0;
+
+  const extra = (rating.worn[zone] || 0) - (rating.recommended[zone] || 0);
+  const step = CALIBRATION.step[zone];
+  return direction > 0 ? Math.max(0, extra) + step : Math.min(0, extra) - step;
+}
 
-  // 5. Sort by practicality score (descending), with tie-breaker for common items
-  validCombinations.sort((a, b) => {
-    const scoreDiff = b.practicalityScore - a.practicalityScore;
+/**
+ * Fit a personal calibration from "how did it feel" ratings
+ * rating: { temperature (felt °C), activity, feel: 'too-cold' | 'just-right' | 'too-warm',
+ *           zones: { zone: feel } (optional, overrides feel for that zone),
+ *           worn: { zone: CLO worn }, recommended: { zone: CLO recommended before calibration } }
+ * prior: { zone: CLO } offsets start from (e.g. the old warmth slider), default none
+ * Each range averages its own ratings (neighbouring ranges count half), shrunk towards the prior
+ * while there are only a few; pass the result to getRecommendations as warmthAdjustment
+ * Returns { ranges: [{ key, offsets: { zone: CLO } }], count }
+ */
+export function fitCalibration(ratings = [], prior = {}) {
+  const ranges = CALIBRATION.ranges.map((range, index) => {
+    const offsets = {};
+
+    for (const zone of CALIBRATION.zones) {
+      let total = (prior[zone] || 0) * CALIBRATION.priorRatings;
+      let weight = CALIBRATION.priorRatings;
+
+      for (const rating of ratings) {
+        const distance = Math.abs(getCalibrationRangeIndex(rating.temperature) - index);
+        if (distance > 1) continue;
+        const ratingWeight = distance === 0 ? 1 : CALIBRATION.neighbourWeight;
+        total += ratingWeight * getRatingOffset(rating, zone);
+        weight += ratingWeight;
+      }
 
-    // If scores are very close (within 5 points), prefer combination with more common items
-    if (Math.abs(scoreDiff) <= 5) {
-      return b.commonItemsCount - a.commonItemsCount;
+      const limit = CALIBRATION.step[zone] * CALIBRATION.maxSteps;
+      const offset = Math.max(-limit, Math.min(limit, total / weight));
+      offsets[zone] = Math.round(offset * 1000) / 1000;
     }
 
-    return scoreDiff;
+    return { key: range.key, offsets };
   });
 
-  // 6. Select 3 diverse combinations
-  if (validCombinations.length === 0) {
-    console.error('ERROR: No valid combinations found! Requirements may be too strict.');
-    console.log('Requirements:', requirements);
-    // Return empty array - app will handle this gracefully
-    return [];
-  }
-
-  const diverseCombos = selectDiverseCombinations(validCombinations);
-
-  return diverseCombos;
+  return { ranges, count: ratings.length };
 }
 
 /**
- * Find substitutes for a specific item
- * Returns items from any zone that provide similar warmth
+ * Shift each zone's requirement by the learned offset for the felt temperature's range
+ * Outdoor only (ratings are for outings); requirements.calibration records the range, offsets
+ * and the uncalibrated optimum so the next rating can be compared against it
  */
-export function findSubstitutes(currentRecommendation, itemToReplace, temp = 10) {
-  const { requirements } = currentRecommendation;
-  const zone = itemToReplace.zone;
+function applyCalibration(requirements, calibration) {
+  if (requirements.mode === 'sleep' || requirements.mode === 'indoor') return requirements;
+
+  const index = getCalibrationRangeIndex(requirements.weather.feelsLike);
+  const offsets = (calibration.ranges[index] && calibration.ranges[index].offsets) || {};
+  const adjusted = {
+    ...requirements,
+    calibration: { range: CALIBRATION.ranges[index].key, offsets, baseline: {}, count: calibration.count || 0 }
+  };
 
-  // Get all items (filtered by temperature)
-  const allItems = getAllItems(temp);
+  for (const zone of CALIBRATION.zones) {
+    const requirement = requirements[zone];
+    adjusted.calibration.baseline[zone] = requirement.optimal;
 
-  // For core items, only substitute with other core items (same category logic)
-  if (zone === 'core') {
-    const category = itemToReplace.category;
-    const sameCategory = allItems.filter(item =>
-      item.zone === 'core' &&
-      item.category === category &&
-      item.key !== itemToReplace.key
-    );
+    // Zones babies don't dress (all-in-ones, no scarves) stay empty
+    const skipped = requirements.ageCategory === 'infant' && INFANT.skipZones.includes(zone);
+    const offset = offsets[zone] || 0;
+    if (offset === 0 || skipped) continue;
 
-    const currentZoneItems = currentRecommendation.core;
-    const currentZoneCLO = currentZoneItems.reduce((sum, item) => sum + item.clo, 0);
-    const cloWithoutItem = currentZoneCLO - itemToReplace.clo;
+    const min = Math.max(0, requirement.min + offset);
+    const optimal = Math.max(min, requirement.optimal + offset);
+    adjusted[zone] = { min, max: Math.max(optimal, requirement.max + offset), optimal };
+  }
 
-    const zoneRequirement = requirements.core;
-    const { min, max, optimal } = zoneRequirement;
+  if (ZONES.some(zone => adjusted[zone] !== requirements[zone])) {
+    const ratings = adjusted.calibration.count === 1 ? '1 rating' : `${adjusted.calibration.count} ratings`;
+    recordAdjustment(adjusted, 'calibration', `Tuned to you from ${ratings} (${CALIBRATION.ranges[index].name})`, getOptimalSnapshot(requirements));
+  }
 
-    const validSubstitutes = sameCategory.filter(substitute => {
-      const newCLO = cloWithoutItem + substitute.clo;
-      return newCLO >= min * 0.9 && newCLO <= max * 1.3;
-    });
+  return adjusted;
+}
 
-    validSubstitutes.sort((a, b) => {
-      const aDistance = Math.abs((cloWithoutItem + a.clo) - optimal);
-      const bDistance = Math.abs((cloWithoutItem + b.clo) - optimal);
-      return aDistance - bDistance;
-    });
+/**
+ * Main function: Get clothing recommendations
+ * weather: plain temperature or a full observation (see normalizeObservation)
+ * warmthAdjustment: fitted calibration (see fitCalibration) or a -2..+2 slider value
+ * options.activity: key from ACTIVITY_LEVELS (default: waiting / standing still)
+ * options.duration: planned minutes outside (default: no duration scaling)
+ * options.wardrobe: { itemKey: quantity } of owned clothes (default: whole catalog)
+ * options.customItems: the user's own clothes (see getCustomItem), added to the outdoor catalog
+ * options.locks: { pinned: [itemKey], banned: [itemKey] } - wear the pinned items, leave out the banned ones
+ * options.mode: 'outdoor' (default), 'indoor' (weather is the room temperature) or 'sleep'
+ * Each returned combination shares a trace of how it was chosen:
+ * { requirements: { zone: { min, optimal, max } } after every adjustment, adjustments (see recordAdjustment),
+ *   candidates: outfits found, rejections: layering rule tallies, options: each option's selection }
+ * With no valid outfit the (empty) list carries the trace itself, as .trace
+ */
+export function getRecommendations(weather, ageCategory, gender, warmthAdjustment = 0, options = {}) {
+  // 1. Get adjusted requirements (wind, humidity, sun, activity and duration corrected)
+  //    or, for the sleep and indoor modes, the requirements for the room temperature
+  const mode = options.mode || 'outdoor';
+  let requirements;
+  if (mode === 'sleep') {
+    requirements = getSleepRequirements(weather);
+    ageCategory = 'infant';
+  } else if (mode === 'indoor') {
+    requirements = getIndoorRequirements(weather, ageCategory, gender);
+  } else {
+    requirements = getAdjustedRequirements(weather, ageCategory, gender, options);
+  }
 
-    return validSubstitutes.slice(0, 5);
+  // Restrict the search (and later substitutions) to owned outdoor clothes, including the user's own items
+  requirements.wardrobe = mode === 'outdoor' ? options.wardrobe || null : null;
+  requirements.locks = options.locks || null;
+  if (mode === 'outdoor') {
+    requirements.catalog = getOutdoorCatalog(options.customItems);
   }
 
-  // For accessories (head, hands, neck, feet), only allow like-for-like substitution
-  // Define accessory groups that can be exchanged
-  const accessoryGroups = {
-    // Neck items: scarf with balaclava and neck warmer
-    'scarf': ['thick-scarf', 'balaclava', 'neck-warmer'],
-    'thick-scarf': ['scarf', 'balaclava', 'neck-warmer'],
-    'balaclava': ['scarf', 'thick-scarf', 'neck-warmer'],
-    'neck-warmer': ['scarf', 'thick-scarf', 'balaclava'],
+  // Layering rules and item restrictions work off the felt temperature
+  const temp = requirements.weather.feelsLike;
+
+  requirements = applyWarmthAdjustment(requirements, warmthAdjustment);
 
-    // Head items: hat with warm-hat
-    'hat': ['warm-hat'],
-    'warm-hat': ['hat'],
+  // 2-5. Find the best valid combinations (layering rules and scoring applied during the search)
+  const validCombinations = findCombinations(requirements, 50, temp, ageCategory);
 
-    // Hand items: gloves with mittens and insulated-gloves
-    'gloves': ['insulated-gloves', 'mittens'],
-    'insulated-gloves': ['gloves', 'mittens'],
-    'mittens': ['gloves', 'insulated-gloves'],
+  // 6. Select 3 diverse combinations
+  const diverseCombos = selectDiverseCombinations(validCombinations);
 
-    // Feet items: thermal-socks with "double up on socks"
-    'thermal-socks': ['thick-socks', 'double-socks'],
-    'thick-socks': ['thermal-socks', 'double-socks']
+  const trace = {
+    requirements: Object.fromEntries(ZONES.map(zone => [zone, { ...requirements[zone] }])),
+    adjustments: requirements.adjustments || [],
+    candidates: validCombinations.length,
+    rejections: validCombinations.length > 0 ? validCombinations[0].rejections : {},
+    branches: validCombinations.length > 0 ? validCombinations[0].branches : 0,
+    options: diverseCombos.map(combo => combo.selection)
   };
 
-  // Get allowed substitutes for this item
-  const allowedKeys = accessoryGroups[itemToReplace.key] || [];
+  if (diverseCombos.length === 0) {
+    // Return empty array with the trace - app will handle this gracefully
+    return Object.assign([], { trace });
+  }
 
-  // Find matching items from the allowed list
-  const validSubstitutes = allItems.filter(item =>
-    allowedKeys.includes(item.key)
-  );
+  for (const combo of diverseCombos) {
+    combo.trace = trace;
+  }
+  return diverseCombos;
+}
 
-  return validSubstitutes;
+/**
+ * How each zone of an outfit meets its requirement (reflects swaps made since it was recommended)
+ * Items that also cover the zone from another (a roll neck's collar) are listed at that share
+ * Returns { zone: { requirement: { min, optimal, max }, clo, items: [{ key, name, clo, share }] } }
+ * where share is the item's fraction of the zone's CLO
+ */
+export function getOutfitBreakdown(combination) {
+  const breakdown = {};
+  for (const zone of ZONES) {
+    const items = [...(combination[zone] || []), ...getCover(combination, zone)];
+    const clo = items.reduce((sum, item) => sum + item.clo, 0);
+    breakdown[zone] = {
+      requirement: combination.requirements[zone],
+      clo,
+      items: items.map(item => ({ key: item.key, name: item.name, clo: item.clo, share: clo > 0 ? item.clo / clo : 0 }))
+    };
+  }
+  return breakdown;
 }
 
+// ===================================
+// DAY PLANNER (hourly forecast)
+// ===================================
+
 /**
- * Replace an item in a recommendation with smart substitution logic
- * Handles cross-zone accessory replacement and automatic adjustments
+ * Multi-temperature variant of getRecommendations for a day away from home
+ * forecast: one observation per hour ({ time: 'HH:MM', ...observation }), in time order
+ * Outfits are picked for the coldest hour, keeping the worst rain, snow and ground of the day,
+ * and requirements.day holds each hour's requirements for planLayerChanges
  */
-export function replaceItem(currentRecommendation, oldItem, newItem) {
-  const oldZone = oldItem.zone;
-  const newZone = newItem.zone;
+export function getDayRecommendations(forecast, ageCategory, gender, warmthAdjustment = 0, options = {}) {
+  if (!forecast || forecast.length === 0) return [];
 
-  // Create a copy of the recommendation
-  const updated = {
-    ...currentRecommendation,
-    core: [...currentRecommendation.core],
-    head: [...currentRecommendation.head],
-    hands: [...currentRecommendation.hands],
-    neck: [...currentRecommendation.neck],
-    feet: [...currentRecommendation.feet],
-    requirements: currentRecommendation.requirements
-  };
+  const { hours, coldestIndex, design } = getDayConditions(forecast, ageCategory, gender, warmthAdjustment, options);
+  const recommendations = getRecommendations(design, ageCategory, gender, warmthAdjustment, options);
+  for (const combo of recommendations) {
+    combo.requirements.day = { hours, coldestIndex };
+  }
+  return recommendations;
+}
 
-  // Remove old item from its zone
-  const oldZoneItems = oldZone === 'core' ? updated.core :
-                       oldZone === 'head' ? updated.head :
-                       oldZone === 'hands' ? updated.hands :
-                       oldZone === 'neck' ? updated.neck :
-                       updated.feet;
-
-  const oldIndex = oldZoneItems.findIndex(item => item.key === oldItem.key);
-  if (oldIndex !== -1) {
-    oldZoneItems.splice(oldIndex, 1);
-  }
-
-  // Add new item to its zone (may be different for accessories)
-  const newZoneItems = newZone === 'core' ? updated.core :
-                       newZone === 'head' ? updated.head :
-                       newZone === 'hands' ? updated.hands :
-                       newZone === 'neck' ? updated.neck :
-                       updated.feet;
-
-  newZoneItems.push(newItem);
-
-  // Cross-zone substitution handling
-  // (no logging needed - visual feedback in UI)
-
-  // Smart substitution: Adjust accessories based on outer layer warmth
-  if (oldItem.category === 'outer' && newItem.category === 'outer') {
-    const cloChange = newItem.clo - oldItem.clo;
-
-    // CASE 1: Upgrading to a warmer coat (e.g., light jacket → winter coat)
-    // Check if new coat is heavy (>= 0.45 CLO) regardless of what we're replacing
-    const isUpgradingToHeavyCoat = newItem.clo >= 0.45;
-
-    if (cloChange >= 0.15 || isUpgradingToHeavyCoat) {
-      // Calculate current CLO for each zone
-      const coreCLO = updated.core.reduce((sum, item) => sum + item.clo, 0);
-      const headCLO = updated.head.reduce((sum, item) => sum + item.clo, 0);
-      const handsCLO = updated.hands.reduce((sum, item) => sum + item.clo, 0);
-      const neckCLO = updated.neck.reduce((sum, item) => sum + item.clo, 0);
-      const feetCLO = updated.feet.reduce((sum, item) => sum + item.clo, 0);
-
-      // Check if we're over the max for core
-      const coreMax = updated.requirements.core.max;
-      if (coreCLO > coreMax * 1.1) {
-        // We need to remove some accessories to compensate
-        // Priority: remove in order that keeps us closest to optimal
-
-        // Build list of removable accessories with their zones
-        const removableAccessories = [
-          ...updated.head.map(item => ({ item, zone: 'head', currentCLO: headCLO, req: updated.requirements.head })),
-          ...updated.neck.map(item => ({ item, zone: 'neck', currentCLO: neckCLO, req: updated.requirements.neck })),
-          ...updated.hands.map(item => ({ item, zone: 'hands', currentCLO: handsCLO, req: updated.requirements.hands })),
-          ...updated.feet.map(item => ({ item, zone: 'feet', currentCLO: feetCLO, req: updated.requirements.feet }))
-        ];
-
-        // Sort by priority: remove items from zones that are most over their minimum
-        removableAccessories.sort((a, b) => {
-          const aOverMin = a.currentCLO - a.req.min;
-          const bOverMin = b.currentCLO - b.req.min;
-          return bOverMin - aOverMin; // Remove items from zones most over minimum first
-        });
-
-        // Remove accessories until we're under max
-        let currentCoreCLO = coreCLO;
-        for (const accessory of removableAccessories) {
-          if (currentCoreCLO <= coreMax * 1.05) break; // Stop when we're close to max
-
-          // Remove this accessory
-          const zoneArray = accessory.zone === 'head' ? updated.head :
-                           accessory.zone === 'hands' ? updated.hands :
-                           accessory.zone === 'neck' ? updated.neck :
-                           updated.feet;
-
-          const idx = zoneArray.findIndex(item => item.key === accessory.item.key);
-          if (idx !== -1) {
-            zoneArray.splice(idx, 1);
-            // Update current CLO (rough approximation)
-            currentCoreCLO -= accessory.item.clo * 0.3; // Accessories contribute less to core warmth
-          }
-        }
-      }
+/**
+ * Hourly requirements, the coldest hour and the observation to dress for over one day
+ * The design observation is the coldest hour with the worst rain, snow and ground of the day
+ */
+function getDayConditions(forecast, ageCategory, gender, warmthAdjustment, options) {
+  const hours = forecast.map(hour => {
+    const requirements = applyWarmthAdjustment(getAdjustedRequirements(hour, ageCategory, gender, options), warmthAdjustment);
+    return {
+      time: hour.time,
+      temperature: requirements.weather.airTemperature,
+      feelsLike: requirements.weather.feelsLike,
+      requirements
+    };
+  });
+
+  // Coldest hour = the one needing the most core insulation (wind and damp included)
+  let coldestIndex = 0;
+  hours.forEach((hour, index) => {
+    if (hour.requirements.core.optimal > hours[coldestIndex].requirements.core.optimal) {
+      coldestIndex = index;
     }
+  });
 
-    // CASE 2: Downgrading to a lighter coat (e.g., winter coat → light jacket)
-    if (cloChange <= -0.15) {
-      // Calculate current CLO
-      const coreCLO = updated.core.reduce((sum, item) => sum + item.clo, 0);
-      const coreMin = updated.requirements.core.min;
-
-      // Check if we're below minimum for core
-      if (coreCLO < coreMin) {
-        // We need to add accessories to compensate for the lighter coat
-        const cloDeficit = coreMin - coreCLO;
-
-        // Priority order: scarf > gloves > hat (neck warmth is most important)
-        const accessoriesToAdd = [];
-
-        // Check what we don't have and add them from config
-        if (updated.neck.length === 0 && updated.requirements.neck.max > 0) {
-          // Add scarf
-          if (CLOTHING_ITEMS.neck && CLOTHING_ITEMS.neck['scarf']) {
-            const scarf = { key: 'scarf', ...CLOTHING_ITEMS.neck['scarf'] };
-            accessoriesToAdd.push({ item: scarf, zone: 'neck' });
-          }
-        }
+  // Dress for the coldest hour, but for the wettest and snowiest conditions of the whole day
+  const worst = (field) => Math.max(0, ...forecast.map(hour => hour[field] || 0));
+  const groundTemperatures = forecast.map(hour => hour.groundTemperature).filter(value => value !== undefined);
+  const design = {
+    ...forecast[coldestIndex],
+    precipitationProbability: worst('precipitationProbability'),
+    precipitation: worst('precipitation'),
+    rain: worst('rain'),
+    snowfall: worst('snowfall'),
+    snowDepth: worst('snowDepth'),
+    groundTemperature: groundTemperatures.length > 0 ? Math.min(...groundTemperatures) : undefined
+  };
 
-        if (updated.hands.length === 0 && updated.requirements.hands.max > 0 && coreCLO + 0.05 < coreMin) {
-          // Add gloves
-          if (CLOTHING_ITEMS.hands && CLOTHING_ITEMS.hands['gloves']) {
-            const gloves = { key: 'gloves', ...CLOTHING_ITEMS.hands['gloves'] };
-            accessoriesToAdd.push({ item: gloves, zone: 'hands' });
-          }
-        }
+  return { hours, coldestIndex, design };
+}
 
-        if (updated.head.length === 0 && updated.requirements.head.max > 0 && coreCLO + 0.10 < coreMin) {
-          // Add hat
-          if (CLOTHING_ITEMS.head && CLOTHING_ITEMS.head['hat']) {
-            const hat = { key: 'hat', ...CLOTHING_ITEMS.head['hat'] };
-            accessoriesToAdd.push({ item: hat, zone: 'head' });
-          }
-        }
+/**
+ * Hour-by-hour plan for an outfit from getDayRecommendations
+ * Returns { hours: [{ time, temperature, feelsLike, wearing: [keys] }], coldest, changes }
+ * where changes are { time, action: 'remove' | 'add', item } in time order (null without a day)
+ */
+export function planLayerChanges(combination) {
+  const day = combination.requirements && combination.requirements.day;
+  if (!day) return null;
+
+  const outfit = getOutfitItems(combination);
+  const hours = day.hours.map(hour => ({
+    time: hour.time,
+    temperature: hour.temperature,
+    feelsLike: hour.feelsLike,
+    wearing: getLayersToWear(combination, hour.requirements)
+  }));
+
+  // Don't take something off for a single hour only to put it straight back on
+  for (let i = 1; i < hours.length - 1; i++) {
+    const before = hours[i - 1].wearing;
+    const after = hours[i + 1].wearing;
+    const sameEitherSide = before.length === after.length && before.every(key => after.includes(key));
+    if (sameEitherSide && hours[i].wearing.every(key => before.includes(key))) {
+      hours[i].wearing = [...before];
+    }
+  }
 
-        // Add the accessories
-        for (const accessory of accessoriesToAdd) {
-          if (accessory.zone === 'head') updated.head.push(accessory.item);
-          else if (accessory.zone === 'hands') updated.hands.push(accessory.item);
-          else if (accessory.zone === 'neck') updated.neck.push(accessory.item);
-          else if (accessory.zone === 'feet') updated.feet.push(accessory.item);
-        }
+  const changes = [];
+  for (let i = 1; i < hours.length; i++) {
+    const before = hours[i - 1].wearing;
+    const now = hours[i].wearing;
+    for (const item of outfit) {
+      if (before.includes(item.key) && !now.includes(item.key)) {
+        changes.push({ time: hours[i].time, action: 'remove', item });
+      } else if (!before.includes(item.key) && now.includes(item.key)) {
+        changes.push({ time: hours[i].time, action: 'add', item });
       }
     }
   }
 
-  // Recalculate CLO before rebalancing
-  let allItems = [...updated.core, ...updated.head, ...updated.hands, ...updated.neck, ...updated.feet];
-  updated.totalCLO = allItems.reduce((sum, item) => sum + item.clo, 0);
-  updated.coreCLO = updated.core.reduce((sum, item) => sum + item.clo, 0);
+  return { hours, coldest: hours[day.coldestIndex], changes };
+}
+
+/**
+ * Which items of an outfit to keep on for one hour's requirements
+ * While a zone is over its max, layers come off lightest first (a cardigan before the coat) and
+ * stop at the first one that would drop the zone below its min, so warmer hours always shed
+ * more of the same list. Only removable items come off - base layers, all-in-ones, legs, socks and
+ * shoes stay on all day - and a waterproof stays on while it's raining
+ */
+function getLayersToWear(combination, requirements) {
+  const wearing = new Set(getOutfitItems(combination).map(item => item.key));
+  const wet = Boolean(requirements.precipitation && requirements.precipitation.expected);
+
+  for (const zone of ZONES) {
+    const requirement = requirements[zone];
+    const zoneItems = combination[zone] || [];
+    let clo = [...zoneItems, ...getCover(combination, zone)].reduce((sum, item) => sum + item.clo, 0);
+
+    const removable = zoneItems
+      .filter(item => getItemAttributes(item).removable && !(wet && item.waterproof))
+      .sort((a, b) => a.clo - b.clo);
+
+    for (const item of removable) {
+      if (clo <= requirement.max + 0.001 || clo - item.clo < requirement.min - 0.001) break;
+      wearing.delete(item.key);
+      clo -= item.clo;
+    }
+  }
 
-  // AUTO-REBALANCING: Adjust items if we're too far from optimal
-  const optimal = updated.requirements.core.optimal;
-  const threshold = 0.20; // Trigger rebalance if more than 0.20 CLO away from optimal
-  const currentDistance = updated.coreCLO - optimal;
+  return [...wearing];
+}
 
-  // CASE 1: Too warm - remove smallest non-base item to get closer to optimal
-  if (currentDistance > threshold) {
-    // Build list of removable items (no base layers)
-    const removableItems = [];
+// ===================================
+// TRIP PACKING LIST
+// ===================================
 
-    // Mid layers from core
-    for (const item of updated.core) {
-      if (item.category === 'mid') {
-        removableItems.push({ item, zone: 'core', clo: item.clo });
-      }
+/**
+ * One packing list for a trip of several days
+ * days: [{ date: 'YYYY-MM-DD', hours: [hourly observations for the time out that day] }]
+ * Each day keeps its own valid, well-scored outfits; the pick per day is then improved one day
+ * at a time (coordinate descent) to shrink the set of different items packed, so a coat or
+ * jumper is reused on every day it works. Practicality score breaks ties.
+ * Returns { items: [{ item, dates }], days: [{ date, combination }], missingDates }
+ */
+export function getPackingList(days, ageCategory, gender, warmthAdjustment = 0, options = {}) {
+  // Search more core options (fewer accessory variations) so days can share coats and jumpers
+  const searchLimits = { core: 40, legs: 3, head: 2, hands: 2, neck: 2, feet: 2, footwear: 2 };
+  const searchLimit = 5000;
+
+  const planned = [];
+  const missingDates = [];
+  for (const day of days) {
+    if (!day.hours || day.hours.length === 0) {
+      missingDates.push(day.date);
+      continue;
     }
 
-    // All accessories
-    for (const item of updated.head) removableItems.push({ item, zone: 'head', clo: item.clo });
-    for (const item of updated.hands) removableItems.push({ item, zone: 'hands', clo: item.clo });
-    for (const item of updated.neck) removableItems.push({ item, zone: 'neck', clo: item.clo });
-    for (const item of updated.feet) removableItems.push({ item, zone: 'feet', clo: item.clo });
-
-    // Sort by CLO value (smallest first)
-    removableItems.sort((a, b) => a.clo - b.clo);
-
-    // Try removing items until we get closer to optimal
-    for (const { item, zone, clo } of removableItems) {
-      const newCoreCLO = updated.coreCLO - clo;
-      const newDistance = newCoreCLO - optimal;
-
-      // Check if removing this item gets us closer to optimal (and doesn't overshoot)
-      if (Math.abs(newDistance) < Math.abs(currentDistance) && newDistance >= -threshold) {
-        // Remove from appropriate zone
-        const zoneArray = zone === 'core' ? updated.core :
-                         zone === 'head' ? updated.head :
-                         zone === 'hands' ? updated.hands :
-                         zone === 'neck' ? updated.neck :
-                         updated.feet;
-
-        const idx = zoneArray.findIndex(i => i.key === item.key);
-        if (idx !== -1) {
-          zoneArray.splice(idx, 1);
-          updated.coreCLO = newCoreCLO;
-          break; // Only remove one item
-        }
-      }
+    const { design } = getDayConditions(day.hours, ageCategory, gender, warmthAdjustment, options);
+    const requirements = applyWarmthAdjustment(getAdjustedRequirements(design, ageCategory, gender, options), warmthAdjustment);
+    requirements.wardrobe = options.wardrobe || null;
+    requirements.catalog = getOutdoorCatalog(options.customItems);
+    const candidates = findCombinations(requirements, searchLimit, requirements.weather.feelsLike, ageCategory, searchLimits);
+
+    if (candidates.length === 0) {
+      missingDates.push(day.date);
+      continue;
     }
+    planned.push({ date: day.date, candidates, choice: 0, need: requirements.core.optimal });
   }
 
-  // CASE 2: Too cold - add an accessory to get closer to optimal
-  if (currentDistance < -threshold) {
-    // Find possible accessories to add (only if zone is empty and allowed)
-    const possibleAdds = [];
+  const itemKeys = (combo) => getOutfitItems(combo).map(item => item.key);
+  const packedKeys = (skipIndex) => {
+    const keys = new Set();
+    planned.forEach((day, index) => {
+      if (index !== skipIndex) itemKeys(day.candidates[day.choice]).forEach(key => keys.add(key));
+    });
+    return keys;
+  };
 
-    if (updated.neck.length === 0 && updated.requirements.neck.max > 0) {
-      if (CLOTHING_ITEMS.neck && CLOTHING_ITEMS.neck['scarf']) {
-        const scarf = { key: 'scarf', ...CLOTHING_ITEMS.neck['scarf'] };
-        possibleAdds.push({ item: scarf, zone: 'neck', clo: scarf.clo });
+  // Outfit adding the fewest items not already packed (best practicality on ties)
+  const leastExtra = (day, packed) => {
+    const extraItems = (combo) => itemKeys(combo).filter(key => !packed.has(key)).length;
+    let best = 0;
+    day.candidates.forEach((combo, candidateIndex) => {
+      const current = day.candidates[best];
+      const fewer = extraItems(combo) < extraItems(current);
+      const tied = extraItems(combo) === extraItems(current);
+      if (fewer || (tied && combo.practicalityScore > current.practicalityScore)) {
+        best = candidateIndex;
       }
-    }
+    });
+    return best;
+  };
 
-    if (updated.head.length === 0 && updated.requirements.head.max > 0) {
-      if (CLOTHING_ITEMS.head && CLOTHING_ITEMS.head['hat']) {
-        const hat = { key: 'hat', ...CLOTHING_ITEMS.head['hat'] };
-        possibleAdds.push({ item: hat, zone: 'head', clo: hat.clo });
-      }
-    }
+  // Start from the coldest day (its coat and jumpers are the ones worth reusing), then each
+  // warmer day picks the outfit adding the fewest items to what's already packed
+  const packed = new Set();
+  [...planned].sort((a, b) => b.need - a.need).forEach(day => {
+    day.choice = leastExtra(day, packed);
+    itemKeys(day.candidates[day.choice]).forEach(key => packed.add(key));
+  });
 
-    if (updated.hands.length === 0 && updated.requirements.hands.max > 0) {
-      if (CLOTHING_ITEMS.hands && CLOTHING_ITEMS.hands['gloves']) {
-        const gloves = { key: 'gloves', ...CLOTHING_ITEMS.hands['gloves'] };
-        possibleAdds.push({ item: gloves, zone: 'hands', clo: gloves.clo });
+  // Coordinate descent: re-pick each day against the rest of the trip until nothing changes
+  const maxPasses = 10;
+  for (let pass = 0; pass < maxPasses; pass++) {
+    let changed = false;
+
+    planned.forEach((day, index) => {
+      const best = leastExtra(day, packedKeys(index));
+      if (best !== day.choice) {
+        day.choice = best;
+        changed = true;
       }
+    });
+
+    if (!changed) break;
+  }
+
+  // Packing list: each different item once, with the days it is worn
+  const items = new Map();
+  for (const day of planned) {
+    for (const item of getOutfitItems(day.candidates[day.choice])) {
+      if (!items.has(item.key)) items.set(item.key, { item, dates: [] });
+      items.get(item.key).dates.push(day.date);
     }
+  }
+
+  return {
+    items: [...items.values()],
+    days: planned.map(day => ({ date: day.date, combination: day.candidates[day.choice] })),
+    missingDates
+  };
+}
 
-    // Find item that gets us closest to optimal without overshooting
-    let bestAdd = null;
-    let bestDistance = Math.abs(currentDistance);
+/**
+ * Find substitutes for a specific item
+ * Returns items from any zone that provide similar warmth, worn in the old item's place without
+ * breaking a layering rule - never one the user has left out (requirements.locks) or is already wearing
+ */
+export function findSubstitutes(currentRecommendation, itemToReplace, temp = 10) {
+  const { requirements } = currentRecommendation;
+  const zone = itemToReplace.zone;
 
-    for (const { item, zone, clo } of possibleAdds) {
-      const newCoreCLO = updated.coreCLO + clo;
-      const newDistance = newCoreCLO - optimal;
+  // Get all items (filtered by temperature, age group and wardrobe)
+  const allItems = getAllItems(temp, requirements.wardrobe, requirements.ageCategory, requirements.catalog);
 
-      // Check if adding this item gets us closer to optimal (and doesn't overshoot too much)
-      if (Math.abs(newDistance) < bestDistance && newDistance <= threshold) {
-        bestDistance = Math.abs(newDistance);
-        bestAdd = { item, zone, clo };
-      }
-    }
+  const { banned } = getLocks(requirements);
+  const worn = getOutfitItems(currentRecommendation).map(item => item.key);
+  const canSwap = (substitute) => {
+    if (banned.includes(substitute.key) || worn.includes(substitute.key)) return false;
+    const zoneItems = currentRecommendation[zone].map(item => item.key === itemToReplace.key ? substitute : item);
+    return isValidCombination({ ...currentRecommendation, [zone]: zoneItems }, false, temp, requirements.ageCategory, requirements);
+  };
 
-    // Add the best item
-    if (bestAdd) {
-      const { item, zone, clo } = bestAdd;
-      const zoneArray = zone === 'head' ? updated.head :
-                       zone === 'hands' ? updated.hands :
-                       updated.neck;
+  // For garments (core, legs), only substitute within the same zone and category
+  if (GARMENT_ZONES.includes(zone)) {
+    const category = itemToReplace.category;
+    const needsWaterproof = category === 'outer' && requirements.precipitation && requirements.precipitation.requiresWaterproof;
+    const sameCategory = allItems.filter(item =>
+      item.zone === zone &&
+      item.category === category &&
+      item.key !== itemToReplace.key &&
+      (!needsWaterproof || item.waterproof)
+    );
 
-      zoneArray.push(item);
-      updated.coreCLO += clo;
-    }
+    const currentZoneItems = currentRecommendation[zone];
+    const currentZoneCLO = currentZoneItems.reduce((sum, item) => sum + item.clo, 0);
+    const cloWithoutItem = currentZoneCLO - itemToReplace.clo;
+
+    const zoneRequirement = requirements[zone];
+    const { min, max, optimal } = zoneRequirement;
+
+    const validSubstitutes = sameCategory.filter(substitute => {
+      const newCLO = cloWithoutItem + substitute.clo;
+      return newCLO >= min * 0.9 && newCLO <= max * 1.3 && canSwap(substitute);
+    });
+
+    validSubstitutes.sort((a, b) => {
+      const aDistance = Math.abs((cloWithoutItem + a.clo) - optimal);
+      const bDistance = Math.abs((cloWithoutItem + b.clo) - optimal);
+      return aDistance - bDistance;
+    });
+
+    return validSubstitutes.slice(0, 5);
   }
 
-  // Final CLO recalculation after potential rebalancing
-  allItems = [...updated.core, ...updated.head, ...updated.hands, ...updated.neck, ...updated.feet];
-  updated.totalCLO = allItems.reduce((sum, item) => sum + item.clo, 0);
-  updated.coreCLO = updated.core.reduce((sum, item) => sum + item.clo, 0);
+  // Footwear swaps only with other footwear that is safe for the ground
+  if (zone === 'footwear') {
+    return allItems.filter(item =>
+      item.zone === 'footwear' &&
+      item.key !== itemToReplace.key &&
+      meetsGroundConditions(item, requirements.ground) &&
+      canSwap(item)
+    );
+  }
 
-  return updated;
+  // Accessories (head, hands, neck, feet) swap like-for-like: any other worn in the same place - allItems
+  // already holds only what suits the age group (baby mittens for babies), is owned and fits the weather
+  return allItems.filter(item => item.zone === zone && item.key !== itemToReplace.key && canSwap(item));
 }
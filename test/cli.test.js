@@ -0,0 +1,100 @@
+/**
+ * Command line recommender tests - run with `npm test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { parseFlags, parseCsv, getGrid, buildCase, UsageError } from '../bin/wrapme.js';
+
+const WRAPME = fileURLToPath(new URL('../bin/wrapme.js', import.meta.url));
+
+function runWrapme(...args) {
+  return spawnSync(process.execPath, [WRAPME, ...args], { encoding: 'utf8', timeout: 60000 });
+}
+
+test('reads long and short flags, with negative values', () => {
+  assert.deepEqual(parseFlags(['-t', '-3', '--age', 'elderly', '--wind-speed=20', '-f', 'json']),
+    { temperature: '-3', age: 'elderly', 'wind-speed': '20', format: 'json' });
+  assert.deepEqual(parseFlags(['--temperature=-12.5', '-h']), { temperature: '-12.5', help: true });
+
+  assert.throws(() => parseFlags(['--bogus', '1']), { message: 'Unknown option: --bogus' });
+  assert.throws(() => parseFlags(['-t']), UsageError);
+  assert.throws(() => parseFlags(['3']), /Unexpected argument: 3/);
+});
+
+test('reads CSV cases - quoted cells, comments, camelCase headers and empty cells left to the flags', () => {
+  const rows = parseCsv([
+    'label,temperature,windSpeed,"gender"',
+    '# a comment line',
+    '"Cold, windy",-3,20,female',
+    '"Said ""hi""",5,,',
+    '',
+    'mild,12'
+  ].join('\r\n'));
+
+  assert.deepEqual(rows, [
+    { label: 'Cold, windy', temperature: '-3', 'wind-speed': '20', gender: 'female' },
+    { label: 'Said "hi"', temperature: '5' },
+    { label: 'mild', temperature: '12' }
+  ]);
+  assert.throws(() => parseCsv('temperature,colour\n3,red'), { message: 'Unknown CSV column(s): colour' });
+});
+
+test('steps through a temperature grid', () => {
+  assert.deepEqual(getGrid('-2..2', 1), [-2, -1, 0, 1, 2]);
+  assert.deepEqual(getGrid('0..1', 0.25), [0, 0.25, 0.5, 0.75, 1]);
+  assert.deepEqual(getGrid('-10..-12', 1), []);
+
+  assert.throws(() => getGrid('0..2', 0), { message: '--step must be above 0' });
+  assert.throws(() => getGrid('0..2', -1), UsageError);
+  assert.throws(() => getGrid('0-2', 1), /--grid must look like -10..20/);
+});
+
+test('builds engine arguments for a case, checking its values', () => {
+  const input = buildCase({ label: 'walk', temperature: '-3', age: 'elderly', activity: 'walking', 'wind-speed': '20', 'is-day': '1' }, {});
+  assert.deepEqual(input.weather, { temperature: -3, windSpeed: 20, isDay: 1 });
+  assert.equal(input.label, 'walk');
+  assert.equal(input.ageCategory, 'elderly');
+  assert.equal(input.gender, null);
+  assert.deepEqual(input.options, { mode: 'outdoor', activity: 'walking' });
+
+  // The profile fills in what the case leaves out; sleep is for infants, with the room temperature only
+  const profile = { ageCategory: 'child', gender: 'female', warmthAdjustment: 2 };
+  const fromProfile = buildCase({ temperature: '5' }, profile);
+  assert.equal(fromProfile.ageCategory, 'child');
+  assert.equal(fromProfile.gender, 'female');
+  assert.ok(fromProfile.calibration.ranges.every(range => range.offsets.core > 0));
+  const sleep = buildCase({ temperature: '18', mode: 'sleep', 'wind-speed': '30' }, profile);
+  assert.equal(sleep.ageCategory, 'infant');
+  assert.equal(sleep.weather, 18);
+
+  assert.throws(() => buildCase({}, {}), { message: 'temperature must be a number (got nothing)' });
+  assert.throws(() => buildCase({ temperature: 'cold' }, {}), { message: 'temperature must be a number (got "cold")' });
+  assert.throws(() => buildCase({ temperature: '3', age: 'toddler' }, {}), /Unknown age "toddler"/);
+  assert.throws(() => buildCase({ temperature: '3', mode: 'space' }, {}), UsageError);
+});
+
+test('prints the case, what each zone needs and three outfits, the same every run', () => {
+  const run = runWrapme('-t', '-3', '--age', 'elderly', '--wind-speed', '20');
+  assert.equal(run.status, 0, run.stderr);
+
+  const lines = run.stdout.trimEnd().split('\n');
+  assert.match(lines[0], /^-3°C outdoor \(feels like -?\d+\.\d\d°C\) - elderly - \w+$/);
+  assert.match(lines[1], /^ {2}needs \(CLO\): core \d+\.\d\d, legs \d+\.\d\d/);
+  assert.equal(lines.length, 5);
+  lines.slice(2).forEach((line, index) => {
+    assert.match(line, new RegExp(`^ {2}${index + 1}\\. [A-Z][^[]+ \\[\\d+\\.\\d\\d CLO, score -?\\d+\\.\\d\\d\\]$`));
+  });
+  assert.equal(runWrapme('-t', '-3', '--age', 'elderly', '--wind-speed', '20').stdout, run.stdout);
+});
+
+test('exits with 2 and a message on a usage error', () => {
+  for (const args of [['--bogus'], ['--grid', '0..2', '--step', '0'], ['-t', '3', '--format', 'yaml']]) {
+    const run = runWrapme(...args);
+    assert.equal(run.status, 2, args.join(' '));
+    assert.equal(run.stdout, '');
+    assert.match(run.stderr, /^wrapme: .+\nRun with --help for usage\.\n$/);
+  }
+});
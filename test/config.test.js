@@ -0,0 +1,30 @@
+/**
+ * Item catalog tests - run with `npm test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'node:fs';
+import { SLEEP_ITEMS, INDOOR_ITEMS } from '../public/js/config.js';
+
+// The icon the app shows for an item (getItemImage: SVG artwork for every .png bar the scarves)
+function getArtworkPath(file) {
+  const path = new URL(`../public/images/clothing/${file}`, import.meta.url);
+  return file.includes('scarf') ? path : new URL(path.href.replace('.png', '.svg'));
+}
+
+function assertArtwork(catalog) {
+  for (const group of Object.values(catalog)) {
+    for (const [key, item] of Object.entries(group)) {
+      assert.ok(existsSync(getArtworkPath(item.file)), `${key}: no artwork for ${item.file}`);
+    }
+  }
+}
+
+test('has artwork for every sleep item', () => {
+  assertArtwork(SLEEP_ITEMS);
+});
+
+test('has artwork for every indoor item', () => {
+  assertArtwork(INDOOR_ITEMS);
+});
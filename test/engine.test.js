@@ -0,0 +1,480 @@
+/**
+ * Outfit engine tests - run with `npm test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getRecommendations, getAdjustedRequirements, findCombinations, isValidCombination, calculatePracticalityScore,
+  meetsGroundConditions, getOutfitItems, calculateWindChill, calculateHeatIndex, getEffectiveTemperature,
+  fitCalibration, estimateClo, getCustomItem, getDayRecommendations, planLayerChanges,
+  getPackingList, findSubstitutes
+} from '../public/js/engine.js';
+import { CLOTHING_ITEMS, SLEEP_ITEMS, LAYERING_RULES, INFANT, ZONES } from '../public/js/config.js';
+
+// A wardrobe with about a hundred of the user's own clothes on top of the catalog
+function getEnlargedCatalog() {
+  const groups = ['base', 'mid', 'outer', 'legs', 'head', 'hands', 'neck', 'feet', 'footwear'];
+  const warmth = ['light', 'medium', 'warm', 'very-warm'];
+  const legCategories = ['base', 'mid', 'outer'];
+  return Array.from({ length: 108 }, (_, i) => {
+    const group = groups[i % groups.length];
+    return {
+      key: `custom-${i}`,
+      name: `Custom ${i}`,
+      group,
+      warmth: warmth[(i >> 2) % warmth.length],
+      category: group === 'legs' ? legCategories[i % legCategories.length] : undefined
+    };
+  });
+}
+
+// Every outfit a small wardrobe allows, scored - each zone any mix of its items landing between its
+// minimum and 30% over its maximum (exactly one pair of shoes), kept if it passes the layering rules
+function getAllOutfitScores(requirements, temp, wardrobe) {
+  const items = Object.values(CLOTHING_ITEMS).flatMap(group => Object.entries(group))
+    .filter(([key]) => wardrobe[key])
+    .map(([key, item]) => ({ key, ...item }));
+  const owned = ZONES.map(zone => items.filter(item => item.zone === zone));
+
+  const choices = ZONES.map((zone, z) => {
+    const { min, max } = requirements[zone];
+    if (max === 0) return [[]];
+    if (zone === 'footwear') {
+      const safe = owned[z].filter(item => meetsGroundConditions(item, requirements.ground));
+      const warmEnough = safe.filter(item => item.clo >= min && item.clo <= max * 1.3);
+      return (warmEnough.length > 0 ? warmEnough : safe).map(item => [item]);
+    }
+    const subsets = owned[z].reduce((all, item) => [...all, ...all.map(subset => [...subset, item])], [[]]);
+    return subsets.filter(subset => {
+      const clo = subset.reduce((sum, item) => sum + item.clo, 0);
+      return clo >= min && clo <= max * 1.3;
+    });
+  });
+
+  const outfits = choices.reduce((partial, options) => partial.flatMap(outfit => options.map(items => [...outfit, items])), [[]]);
+  const scores = [];
+  for (const outfit of outfits) {
+    const combination = Object.fromEntries(ZONES.map((zone, z) => [zone, outfit[z]]));
+    Object.assign(combination, { requirements, targetOptimal: requirements.core.optimal, shortfalls: [], meetsRequirements: true });
+    if (isValidCombination(combination, false, temp, 'adult', requirements)) {
+      scores.push(calculatePracticalityScore(combination));
+    }
+  }
+  return scores.sort((a, b) => b - a);
+}
+
+const round = (score) => Math.round(score * 1e6) / 1e6;
+
+test('finds the best outfits there are, the same as trying every one', () => {
+  // Plenty of tops to layer, a little of everything else
+  const wardrobe = Object.fromEntries([
+    'vest', 't-shirt', 'long-sleeve-top', 'thermal-top', 'cardigan', 'jumper', 'hoodie', 'fleece', 'thick-jumper',
+    'windbreaker', 'light-jacket', 'spring-coat', 'coat', 'padded-coat', 'winter-coat',
+    'trousers', 'lined-trousers', 'warm-hat', 'insulated-gloves', 'scarf', 'thick-socks', 'insulated-boots'
+  ].map(key => [key, 1]));
+
+  for (const temp of [12, 6, 2, -2, -6, -12]) {
+    const requirements = { ...getAdjustedRequirements(temp, 'adult', 'female'), wardrobe };
+    const found = findCombinations(requirements, 10, temp, 'adult');
+    const best = getAllOutfitScores(requirements, temp, wardrobe).slice(0, 10);
+
+    assert.ok(found.length > 0 && found[0].meetsRequirements, `${temp}°C: nothing found`);
+    assert.deepEqual(found.map(combo => round(combo.practicalityScore)), best.map(round), `${temp}°C`);
+  }
+});
+
+test('searches an enlarged catalog in bounded work, the same way every time', () => {
+  const customItems = getEnlargedCatalog();
+  const keys = (outfits) => outfits.map(outfit => getOutfitItems(outfit).map(item => item.key).join('+'));
+
+  for (const temp of [-10, 0, 8]) {
+    const first = getRecommendations(temp, 'adult', 'female', 0, { customItems });
+    const again = getRecommendations(temp, 'adult', 'female', 0, { customItems });
+
+    assert.equal(first.length, 3);
+    assert.deepEqual(keys(again), keys(first));
+    // The search before the best-first order and tighter core bound explored over 16,000 at 0°C
+    assert.ok(first[0].trace.branches < 8000, `${temp}°C explored ${first[0].trace.branches} branches`);
+  }
+});
+
+test('never puts two items on the head', () => {
+  for (const ageCategory of ['infant', 'child', 'teen', 'adult', 'elderly', 'very-elderly']) {
+    for (const temp of [10, 5, 0, -5, -10, -15]) {
+      for (const outfit of getRecommendations(temp, ageCategory, 'any', 0)) {
+        const head = outfit.head.map(item => item.key);
+        assert.ok(head.length <= 1, `${ageCategory} at ${temp}°C: ${head.join(', ')}`);
+      }
+    }
+  }
+});
+
+test('dresses infants in baby layers, not adult sizes', () => {
+  for (const temp of [15, 10, 5, 0, -5, -10]) {
+    for (const outfit of getRecommendations(temp, 'infant', 'any', 0)) {
+      for (const item of outfit.core) {
+        assert.ok(item.infantOnly || item.key === 'vest', `${item.key} at ${temp}°C`);
+      }
+    }
+  }
+});
+
+test('matches the published wind chill and heat index tables', () => {
+  // Environment Canada wind chill chart (°C, km/h)
+  assert.equal(Math.round(calculateWindChill(-10, 30)), -20);
+  assert.equal(Math.round(calculateWindChill(0, 20)), -5);
+  // NWS heat index chart (°F, % RH)
+  const heatIndexF = (tempF, humidity) => Math.round(calculateHeatIndex((tempF - 32) * 5 / 9, humidity) * 9 / 5 + 32);
+  assert.equal(heatIndexF(90, 70), 106);
+  assert.equal(heatIndexF(86, 50), 88);
+  assert.equal(heatIndexF(100, 40), 109);
+});
+
+test('leaves the air temperature alone where the indexes do not apply', () => {
+  assert.equal(calculateWindChill(12, 40), 12);
+  assert.equal(calculateWindChill(-5, 3), -5);
+  assert.equal(calculateHeatIndex(20, 90), 20);
+  assert.equal(calculateHeatIndex(30), 30);
+});
+
+test('splits the felt temperature into wind, humidity and sun', () => {
+  assert.deepEqual(getEffectiveTemperature(5), { air: 5, wind: 0, humidity: 0, sun: 0, temperature: 5 });
+
+  const felt = getEffectiveTemperature({ temperature: 5, windSpeed: 20, humidity: 90, solarRadiation: 400 });
+  assert.ok(felt.wind < 0 && felt.humidity < 0 && felt.sun > 0);
+  assert.equal(felt.temperature, felt.air + felt.wind + felt.humidity + felt.sun);
+
+  // Damp cold at saturation, full calm sunshine
+  assert.equal(getEffectiveTemperature({ temperature: 5, humidity: 100 }).humidity, -1.5);
+  assert.equal(getEffectiveTemperature({ temperature: 5, solarRadiation: 800 }).sun, 3);
+});
+
+test('counts part of the gusts, damps the sun in wind and estimates it from cloud', () => {
+  const steady = getEffectiveTemperature({ temperature: 0, windSpeed: 10 });
+  const gusty = getEffectiveTemperature({ temperature: 0, windSpeed: 10, windGusts: 40 });
+  assert.ok(gusty.wind < steady.wind);
+
+  const calm = getEffectiveTemperature({ temperature: 0, solarRadiation: 600 });
+  const windy = getEffectiveTemperature({ temperature: 0, solarRadiation: 600, windSpeed: 30 });
+  assert.ok(windy.sun < calm.sun);
+
+  const clear = getEffectiveTemperature({ temperature: 0, cloudCover: 0 });
+  const overcast = getEffectiveTemperature({ temperature: 0, cloudCover: 100 });
+  assert.ok(overcast.sun < clear.sun);
+  assert.equal(getEffectiveTemperature({ temperature: 0, cloudCover: 0, isDay: 0 }).sun, 0);
+});
+
+// A rating as the app stores it: what was worn against what was recommended, per zone
+function getRating(temperature, feel, options = {}) {
+  const recommended = { core: 1.2, legs: 0.3, head: 0.08, hands: 0.1, neck: 0.05, feet: 0.1 };
+  return { temperature, activity: 'walking', feel, worn: { ...recommended, ...options.worn }, recommended, zones: options.zones };
+}
+
+const getOffsets = (calibration, key) => calibration.ranges.find(range => range.key === key).offsets;
+
+test('learns nothing from no ratings, and starts from the prior', () => {
+  const empty = fitCalibration();
+  assert.equal(empty.count, 0);
+  for (const { offsets } of empty.ranges) {
+    assert.ok(Object.values(offsets).every(offset => offset === 0));
+  }
+
+  const prior = fitCalibration([], { core: 0.25 });
+  assert.ok(prior.ranges.every(({ offsets }) => offsets.core === 0.25 && offsets.hands === 0));
+});
+
+test('learns per temperature range, the next range counting half and the far one not at all', () => {
+  const calibration = fitCalibration([getRating(0, 'too-cold')]);
+
+  // One step of core warmth, shrunk towards no change by the two prior ratings' worth
+  assert.equal(getOffsets(calibration, 'freezing').core, 0.05);
+  assert.equal(getOffsets(calibration, 'cold').core, 0.03);
+  assert.equal(getOffsets(calibration, 'mild').core, 0);
+  assert.ok(getOffsets(fitCalibration([getRating(15, 'too-warm')]), 'mild').core < 0);
+});
+
+test('learns per zone, counting what was worn beyond the recommendation', () => {
+  const handsOnly = getOffsets(fitCalibration([getRating(5, 'just-right', { zones: { hands: 'too-cold' } })]), 'cold');
+  assert.ok(handsOnly.hands > 0);
+  assert.ok(['core', 'legs', 'head', 'neck', 'feet'].every(zone => handsOnly[zone] === 0));
+
+  // Cold in an extra jumper says more than cold in just what was suggested
+  const asSuggested = getOffsets(fitCalibration([getRating(5, 'too-cold')]), 'cold');
+  const wrappedUp = getOffsets(fitCalibration([getRating(5, 'too-cold', { worn: { core: 1.5 } })]), 'cold');
+  assert.ok(wrappedUp.core > asSuggested.core);
+});
+
+test('never moves a zone more than the step limit', () => {
+  const ratings = Array.from({ length: 40 }, () => getRating(0, 'too-cold', { worn: { core: 3 } }));
+  assert.equal(getOffsets(fitCalibration(ratings), 'freezing').core, 0.6);
+});
+
+test('applies the calibration for the felt temperature outdoors only', () => {
+  const calibration = fitCalibration(Array.from({ length: 6 }, () => getRating(0, 'too-cold')));
+  const plain = getRecommendations(0, 'adult', 'female', 0)[0].trace;
+  const tuned = getRecommendations(0, 'adult', 'female', calibration)[0].trace;
+
+  const offset = getOffsets(calibration, 'freezing').core;
+  assert.ok(Math.abs(tuned.requirements.core.optimal - plain.requirements.core.optimal - offset) < 1e-9);
+  assert.ok(tuned.adjustments.some(adjustment => adjustment.source === 'calibration'));
+
+  // The cold range has only the neighbours' half-weight ratings, so it moves less
+  const mild = getRecommendations(8, 'adult', 'female', calibration)[0].trace;
+  const mildPlain = getRecommendations(8, 'adult', 'female', 0)[0].trace;
+  assert.ok(mild.requirements.core.optimal - mildPlain.requirements.core.optimal < offset);
+
+  const indoor = getRecommendations(18, 'adult', 'female', calibration, { mode: 'indoor' })[0].trace;
+  assert.ok(!indoor.adjustments.some(adjustment => adjustment.source === 'calibration'));
+});
+
+test('gives the warmest there is when calibration asks for more', () => {
+  const calibration = fitCalibration(Array.from({ length: 6 }, () => getRating(0, 'too-cold')));
+  const recommendation = getRecommendations(0, 'adult', 'female', calibration)[0];
+  const feet = recommendation.shortfalls.find(shortfall => shortfall.zone === 'feet');
+
+  // No one pair of socks reaches the calibrated minimum: the warmest pair, and the shortfall said
+  assert.ok(feet && feet.calibrated);
+  assert.deepEqual(recommendation.feet.map(item => item.key), ['thermal-socks']);
+  assert.equal(recommendation.meetsRequirements, false);
+});
+
+test('estimates CLO from the type, scaled by length, fabric, thickness and fit', () => {
+  assert.equal(estimateClo({ type: 'jumper' }).clo, 0.28);
+  assert.equal(estimateClo({ type: 'jumper', fabric: 'wool', thickness: 'thick' }).clo, 0.43); // 0.28 × 1.15 × 1.35
+  assert.equal(estimateClo({ type: 'coat', length: 'knee', fabric: 'down' }).clo, 0.91);       // 0.5 × 1.25 / 1.1 × 1.6
+  assert.equal(estimateClo({ type: 't-shirt', length: 'long', fit: 'close' }).clo, 0.23);      // 0.2 × 1 / 0.8 × 0.9
+
+  assert.deepEqual(estimateClo({ type: 'leggings' }), { clo: 0.15, min: 0.09, max: 0.21, group: 'legs', category: 'base' });
+  assert.equal(estimateClo({ type: 'hat' }).category, 'accessory');
+  assert.equal(estimateClo({ type: 'kilt' }), null);
+  assert.equal(estimateClo(null), null);
+});
+
+test('narrows the confidence range the more is known about a garment', () => {
+  const guessed = estimateClo({ type: 'jumper' });
+  const described = estimateClo({ type: 'jumper', length: 'long', fabric: 'cotton', thickness: 'medium', fit: 'regular' });
+  assert.equal(described.clo, guessed.clo);
+  assert.ok(described.min > guessed.min && described.max < guessed.max);
+  assert.ok(described.min < described.clo && described.clo < described.max);
+
+  // An unrecognised input is treated as not given; fill weight varies more than a plain fabric
+  assert.deepEqual(estimateClo({ type: 'jumper', fabric: 'cashmere' }), guessed);
+  const spread = (estimate) => (estimate.max - estimate.min) / estimate.clo;
+  assert.ok(spread(estimateClo({ type: 'coat', fabric: 'down' })) > spread(estimateClo({ type: 'coat', fabric: 'wool' })));
+});
+
+test('gives described custom items the estimated CLO and their sleeves', () => {
+  const vest = getCustomItem({ key: 'my-top', name: 'My top', group: 'base', construction: { type: 't-shirt', length: 'sleeveless' } });
+  assert.equal(vest.clo, estimateClo({ type: 't-shirt', length: 'sleeveless' }).clo);
+  assert.equal(vest.coverage.arms, 0);
+
+  // A description of another group's garment doesn't count - the warmth level does
+  const mismatched = getCustomItem({ key: 'my-hat', name: 'My hat', group: 'head', warmth: 'warm', construction: { type: 'coat' } });
+  assert.notEqual(mismatched.clo, estimateClo({ type: 'coat' }).clo);
+});
+
+// Hourly forecast from [time, °C] pairs
+const getForecast = (hours) => hours.map(([time, temperature]) => ({ time, temperature }));
+const getKeys = (combination) => getOutfitItems(combination).map(item => item.key);
+
+test('dresses a day for its coldest hour and the worst of its weather', () => {
+  const day = getDayRecommendations(getForecast([['09:00', 8], ['12:00', 3], ['15:00', 12]]), 'adult', 'female')[0];
+  assert.equal(day.requirements.day.coldestIndex, 1);
+  assert.deepEqual(day.trace.requirements.core, getRecommendations({ time: '12:00', temperature: 3 }, 'adult', 'female')[0].trace.requirements.core);
+
+  // Rain in the mild afternoon still calls for a waterproof coat
+  const forecast = [{ time: '08:00', temperature: 3 }, { time: '12:00', temperature: 10, precipitation: 2, rain: 2, precipitationProbability: 90 }];
+  const wet = getDayRecommendations(forecast, 'adult', 'female')[0];
+  assert.equal(wet.requirements.day.coldestIndex, 0);
+  assert.ok(wet.core.some(item => item.category === 'outer' && item.waterproof));
+  assert.deepEqual(getDayRecommendations([], 'adult', 'female'), []);
+});
+
+test('plans when layers come off and go back on over the day', () => {
+  const forecast = getForecast([['08:00', 3], ['10:00', 7], ['12:00', 13], ['14:00', 14], ['16:00', 9], ['18:00', 4]]);
+  const day = getDayRecommendations(forecast, 'adult', 'female')[0];
+  const plan = planLayerChanges(day);
+  const outfit = getKeys(day);
+
+  assert.equal(plan.coldest.time, '08:00');
+  assert.deepEqual(plan.coldest.wearing, outfit);
+  assert.ok(plan.changes.some(change => change.action === 'remove'));
+
+  // Warmer hours shed more of the same list; only removable layers come off, and they're all back on by evening
+  const wearing = (time) => plan.hours.find(hour => hour.time === time).wearing;
+  assert.ok(wearing('14:00').every(key => wearing('10:00').includes(key)));
+  for (const change of plan.changes) {
+    assert.ok(outfit.includes(change.item.key));
+    assert.ok(change.item.category !== 'base' && !['legs', 'feet', 'footwear'].includes(change.item.zone));
+  }
+  assert.deepEqual([...wearing('18:00')].sort(), [...outfit].sort());
+  assert.equal(planLayerChanges(getRecommendations(5, 'adult', 'female')[0]), null);
+});
+
+test('keeps layers on through a single warm hour, and the waterproof on in the rain', () => {
+  const day = getDayRecommendations(getForecast([['09:00', 3], ['12:00', 12], ['15:00', 3]]), 'adult', 'female')[0];
+  assert.deepEqual(planLayerChanges(day).changes, []);
+
+  const forecast = [{ time: '08:00', temperature: 3 }, { time: '12:00', temperature: 10, precipitation: 2, rain: 2, precipitationProbability: 90 }];
+  const wet = getDayRecommendations(forecast, 'adult', 'female')[0];
+  const removed = planLayerChanges(wet).changes.map(change => change.item);
+  assert.ok(removed.length > 0);
+  assert.ok(removed.every(item => !item.waterproof));
+});
+
+// A trip day out from 10:00 to 14:00, a little warmer by the afternoon
+const getTripDay = (date, temperature) => ({ date, hours: getForecast([['10:00', temperature], ['14:00', temperature + 3]]) });
+
+test('packs one valid outfit per day and lists each item once, with the days it is worn', () => {
+  const days = [getTripDay('2026-01-05', 2), getTripDay('2026-01-06', 6), getTripDay('2026-01-07', -1), { date: '2026-01-08', hours: [] }];
+  const packing = getPackingList(days, 'adult', 'female');
+
+  assert.deepEqual(packing.days.map(day => day.date), ['2026-01-05', '2026-01-06', '2026-01-07']);
+  assert.deepEqual(packing.missingDates, ['2026-01-08']);
+  for (const { combination } of packing.days) {
+    assert.ok(isValidCombination(combination, false, combination.requirements.weather.feelsLike, 'adult', combination.requirements));
+    assert.equal(combination.meetsRequirements, true);
+  }
+
+  const keys = packing.items.map(({ item }) => item.key);
+  assert.equal(new Set(keys).size, keys.length);
+  for (const { item, dates } of packing.items) {
+    const wornOn = packing.days.filter(day => getKeys(day.combination).includes(item.key)).map(day => day.date);
+    assert.deepEqual(dates, wornOn);
+  }
+});
+
+test('reuses items across days - fewer to pack than each day\'s own best outfit', () => {
+  const days = [getTripDay('2026-01-05', 2), getTripDay('2026-01-06', 6), getTripDay('2026-01-07', -1), getTripDay('2026-01-08', 9)];
+  const packing = getPackingList(days, 'adult', 'female');
+
+  const separately = new Set(days.flatMap(day => getKeys(getDayRecommendations(day.hours, 'adult', 'female')[0])));
+  assert.ok(packing.items.length < separately.size, `${packing.items.length} items packed, ${separately.size} day by day`);
+  assert.ok(packing.items.some(({ dates }) => dates.length === days.length));
+
+  // Two days alike are the same outfit
+  const twice = getPackingList([getTripDay('2026-01-05', 4), getTripDay('2026-01-06', 4)], 'adult', 'female');
+  assert.ok(twice.items.every(({ dates }) => dates.length === 2));
+});
+
+// Catalog items by key (outdoor first, then sleep), and an adult outfit in trousers
+const catalogItems = [...Object.values(CLOTHING_ITEMS), ...Object.values(SLEEP_ITEMS)]
+  .flatMap(group => Object.entries(group).map(([key, item]) => ({ key, ...item })));
+const getItem = (key) => catalogItems.find(item => item.key === key);
+const getAdultOutfit = (...core) => ({ core: core.map(getItem), legs: [getItem('trousers')] });
+
+test('reports the first layering rule an outfit breaks, for every kind of check', () => {
+  const rain = getAdjustedRequirements({ temperature: 5, precipitation: 3, rain: 3, precipitationProbability: 90 }, 'adult', 'female');
+  const drizzle = { ...rain, precipitation: { ...rain.precipitation, requiresWaterproof: false } };
+  const sleep = { mode: 'sleep' };
+  const cases = [
+    // [check type, outfit, temp, age, requirements, rule broken, reason]
+    ['maxLayers', getAdultOutfit('t-shirt', 'coat', 'winter-coat'), 5, 'adult', null, 'one-outer-layer', 'Only one coat or jacket at a time'],
+    ['foundation', getAdultOutfit('long-sleeve-top', 'thermal-top'), 5, 'adult', null, 'base-foundation', 'Two or more base layers need a thin one against the skin, like a t-shirt or vest'],
+    ['notAlone', getAdultOutfit('vest'), 15, 'adult', null, 'vest-not-alone', 'A vest goes under a t-shirt or long-sleeve top, not on its own'],
+    ['exclusive', getAdultOutfit('t-shirt', 'jumper', 'thick-jumper'), 5, 'adult', null, 'no-double-jumper', 'One jumper at a time - a jumper and thick jumper together is one too many'],
+    ['sleeves', getAdultOutfit('t-shirt', 'quilted-gilet'), 10, 'adult', null, 'gilet-needs-sleeves', 'A quilted gilet has no sleeves - wear it over something long-sleeved'],
+    ['maxUnderOuter', getAdultOutfit('t-shirt', 'thick-jumper', 'fleece', 'winter-coat'), 15, 'adult', null, 'mid-layers-under-coat', 'Too much under a winter coat - no more than 0.5 CLO of mid layers at this temperature'],
+    ['needsOuter', getAdultOutfit('t-shirt', 'thick-jumper', 'fleece'), 1, 'adult', null, 'heavy-mids-need-coat', 'Below 2°C heavy mid layers need a coat over them'],
+    ['requires', getAdultOutfit('t-shirt', 'jumper'), 5, 'adult', rain, 'waterproof-outer', 'A waterproof outer layer is needed for the rain'],
+    ['forbids', { core: [getItem('baby-sleepsuit'), getItem('snowsuit')] }, 0, 'infant', { carrier: INFANT.carriers['car-seat'] }, 'snug-in-carrier', 'No snowsuit (all-in-one) in a car seat - the harness or sling needs a snug fit'],
+    ['empty', { core: [getItem('long-sleeve-bodysuit'), getItem('sleeping-bag-1.0')], head: [getItem('hat')] }, 18, 'infant', sleep, 'clear-cot', 'No hats or loose bedding in the cot'],
+    ['wetWarmth', getAdultOutfit('t-shirt', 'jumper'), 5, 'adult', drizzle, 'warm-when-wet', 'Not warm enough once the layers get wet']
+  ];
+
+  for (const [type, outfit, temp, age, requirements, rule, reason] of cases) {
+    assert.equal(LAYERING_RULES.find(candidate => candidate.id === rule).type, type);
+    assert.deepEqual(isValidCombination(outfit, true, temp, age, requirements), { isValid: false, reason, rule });
+    assert.equal(isValidCombination(outfit, false, temp, age, requirements), false);
+  }
+  assert.deepEqual(new Set(cases.map(([type]) => type)), new Set(LAYERING_RULES.map(rule => rule.type)));
+});
+
+test('lifts layering rules by age, mode and weather', () => {
+  const threeBase = getAdultOutfit('t-shirt', 'vest', 'long-sleeve-top');
+  assert.equal(isValidCombination(threeBase, true, 3, 'adult').rule, 'max-base-layers');
+  assert.equal(isValidCombination(threeBase, false, 3, 'elderly'), true);
+  assert.equal(isValidCombination(threeBase, true, 8, 'elderly').rule, 'max-base-layers');
+
+  const overtrousers = { core: [getItem('t-shirt'), getItem('raincoat')], legs: [getItem('trousers'), getItem('waterproof-overtrousers')] };
+  assert.equal(isValidCombination(overtrousers, true, 10, 'adult').rule, 'overtrousers-when-wet');
+  const rain = getAdjustedRequirements({ temperature: 10, precipitation: 3, rain: 3, precipitationProbability: 90 }, 'adult', 'female');
+  assert.notEqual(isValidCombination(overtrousers, true, 10, 'adult', rain).rule, 'overtrousers-when-wet');
+
+  // Indoors a top goes under everything; a pram needs a snowsuit in the cold, a car seat never
+  assert.equal(isValidCombination(getAdultOutfit('jumper'), true, 18, 'adult', { mode: 'indoor' }).rule, 'top-under-indoor-layers');
+  const sleepsuit = { core: [getItem('baby-sleepsuit')] };
+  assert.equal(isValidCombination(sleepsuit, true, 0, 'infant', { carrier: INFANT.carriers.pram }).rule, 'infant-snowsuit');
+  assert.equal(isValidCombination(sleepsuit, false, 0, 'infant', { carrier: INFANT.carriers['car-seat'] }), true);
+});
+
+test('tallies the candidates each layering rule threw out, with examples that break it', () => {
+  const recommendation = getRecommendations(0, 'adult', 'female')[0];
+  const { rejections } = recommendation.trace;
+  const requirements = recommendation.requirements;
+  assert.ok(Object.keys(rejections).length > 0);
+
+  for (const [id, { explanation, count, examples }] of Object.entries(rejections)) {
+    const rule = LAYERING_RULES.find(candidate => candidate.id === id);
+    assert.ok(rule, id);
+    assert.ok(!explanation.includes('{'), explanation);
+    assert.ok(examples.length > 0 && examples.length <= 3 && count >= examples.length);
+
+    // Each example, worn in its zone (in trousers), breaks that rule before any other
+    for (const keys of examples) {
+      const outfit = { legs: [getItem('trousers')], [rule.params.zone]: keys.map(getItem) };
+      assert.equal(isValidCombination(outfit, true, requirements.weather.feelsLike, 'adult', requirements).rule, id, keys.join(', '));
+    }
+  }
+});
+
+test('offers only swaps the layering rules allow, never an item left out or already worn', () => {
+  let offered = 0;
+  for (const temp of [-10, 0, 10]) {
+    for (const recommendation of getRecommendations(temp, 'adult', 'female')) {
+      const { requirements } = recommendation;
+      const feelsLike = requirements.weather.feelsLike;
+      const worn = getKeys(recommendation);
+
+      for (const item of getOutfitItems(recommendation)) {
+        for (const substitute of findSubstitutes(recommendation, item, feelsLike)) {
+          offered++;
+          assert.ok(!worn.includes(substitute.key), `${item.key} -> ${substitute.key}`);
+          const zoneItems = recommendation[item.zone].map(candidate => candidate === item ? substitute : candidate);
+          const swapped = { ...recommendation, [item.zone]: zoneItems };
+          assert.equal(isValidCombination(swapped, false, feelsLike, 'adult', requirements), true, `${item.key} -> ${substitute.key}`);
+        }
+      }
+    }
+  }
+  assert.ok(offered > 0);
+
+  // Thin gloves under thick ones: the thin pair can't become a second warm pair
+  const gloves = getRecommendations(-10, 'adult', 'female').find(option => getKeys(option).includes('gloves') && option.hands.length === 2);
+  const thinGloves = gloves.hands.find(item => item.key === 'gloves');
+  assert.deepEqual(findSubstitutes(gloves, thinGloves, gloves.requirements.weather.feelsLike), []);
+
+  const locks = { pinned: [], banned: ['thick-gloves'] };
+  const withoutThick = getRecommendations(-10, 'adult', 'female', 0, { locks })[0];
+  const warmGloves = withoutThick.hands.find(item => item.key !== 'gloves');
+  const offeredKeys = findSubstitutes(withoutThick, warmGloves, withoutThick.requirements.weather.feelsLike).map(item => item.key);
+  assert.ok(offeredKeys.length > 0 && !offeredKeys.includes('thick-gloves'), offeredKeys.join(', '));
+});
+
+test('swaps accessories with others worn in the same place that suit the person', () => {
+  const substitutes = (recommendation, key) => {
+    const item = getOutfitItems(recommendation).find(candidate => candidate.key === key);
+    return findSubstitutes(recommendation, item, recommendation.requirements.weather.feelsLike).map(candidate => candidate.key);
+  };
+
+  // Babies swap baby mittens and mittens, never an adult's gloves
+  const baby = getRecommendations(3, 'infant', 'female', 0, { carrier: 'pram' })[0];
+  assert.deepEqual(substitutes(baby, 'baby-mittens'), ['mittens']);
+  const cold = getRecommendations(-5, 'infant', 'female', 0, { carrier: 'pram', locks: { pinned: ['mittens'], banned: [] } })[0];
+  assert.deepEqual(substitutes(cold, 'mittens'), ['baby-mittens']);
+
+  const adult = getRecommendations(3, 'adult', 'female', 0, { locks: { pinned: ['gloves'], banned: [] } })[0];
+  const hands = substitutes(adult, 'gloves');
+  assert.ok(hands.length > 0 && hands.every(key => CLOTHING_ITEMS.hands[key] && !CLOTHING_ITEMS.hands[key].infantOnly), hands.join(', '));
+});